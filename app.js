@@ -6,18 +6,74 @@ import dotenv from "dotenv";
 import mongoose from "mongoose";
 
 import taskRoutes from "./routes/task.routes.js";
+import authRoutes from "./routes/auth.routes.js";
+import webhookRoutes from "./routes/webhook.routes.js";
+import categoryRoutes from "./routes/category.routes.js";
+import viewRoutes from "./routes/view.routes.js";
+import projectRoutes from "./routes/project.routes.js";
+import apiKeyRoutes from "./routes/apiKey.routes.js";
 import { notFound, errorHandler } from "./middleware/error.middleware.js";
+import { rateLimit } from "./middleware/rateLimit.middleware.js";
+import { requestId } from "./middleware/requestId.middleware.js";
+import { perMinute } from "./services/rateLimit.service.js";
 import { swaggerUi, swaggerSpec } from "./config/swagger.js";
 
 dotenv.config();
+mongoose.set("transactionAsyncLocalStorage", true);
 const app = express();
 
+// Responses get a weak ETag computed from their body, which Express checks
+// against If-None-Match to answer GETs with 304. Single tasks set their own,
+// from the document version.
+app.set("etag", "weak");
+
+// Behind a proxy, TRUST_PROXY (a hop count, or addresses as Express takes
+// them) makes req.ip the client's address, which the per-IP limit goes by.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 app.use(helmet());
-app.use(cors());
-app.use(morgan("combined"));
-app.use(express.json());
+app.use(cors({
+  exposedHeaders: [
+    "ETag",
+    "Link",
+    "Warning",
+    "RateLimit-Policy",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "Retry-After",
+    "X-Request-Id",
+  ],
+}));
+app.use(requestId);
+// The combined format, followed by the request ID. The test suite runs
+// without an access log.
+morgan.token("id", (req) => req.id);
+app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :id', {
+  skip: () => process.env.NODE_ENV === "test",
+}));
+// Every request counts against its IP address's limit; those made with an
+// API key count against the key's limit as well (see auth.middleware.js).
+app.use(rateLimit({
+  name: "ip",
+  key: (req) => req.ip,
+  limit: () => perMinute(parseInt(process.env.RATE_LIMIT_PER_IP, 10) || 600),
+}));
+// Imports take up to a thousand tasks, far more than the default limit
+// below allows; their CSV and iCalendar parser is on the route.
+app.use("/tasks/import", express.json({ limit: "5mb" }));
+app.use(express.json({ type: ["application/json", "application/merge-patch+json", "application/json-patch+json"] }));
 
+app.use("/auth", authRoutes);
 app.use("/tasks", taskRoutes);
+app.use("/categories", categoryRoutes);
+app.use("/views", viewRoutes);
+app.use("/projects", projectRoutes);
+app.use("/api-keys", apiKeyRoutes);
+app.use("/webhooks", webhookRoutes);
 
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
@@ -7,9 +7,151 @@ const options = {
     info: {
       title: "Task Management API",
       version: "1.0.0",
-      description: "API documentation for the Task Management system",
+      description: "API documentation for the Task Management system. Requests are rate limited per IP address and per API key: every response carries RateLimit-* headers, and a request over the limit gets a 429 with Retry-After. Errors are RFC 7807 problem details (application/problem+json) with a stable `code` to branch on, and every response carries an X-Request-Id header, which error bodies repeat as `requestId`.",
     },
     servers: [{ url: "http://localhost:3000" }],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "JWT returned by /auth/register or /auth/login",
+        },
+        apiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+          description: "Key issued by POST /api-keys, for service clients",
+        },
+      },
+      parameters: {
+        IfMatch: {
+          in: "header",
+          name: "If-Match",
+          description: "The task's ETag from a previous response; the change is refused with 412 if the task has changed since. Required when the server runs with REQUIRE_IF_MATCH=true.",
+          schema: { type: "string" },
+          example: '"3"',
+        },
+        IfNoneMatch: {
+          in: "header",
+          name: "If-None-Match",
+          description: "ETag from a previous response; answered with 304 and no body if it still matches",
+          schema: { type: "string" },
+        },
+      },
+      headers: {
+        ETag: {
+          description: "Version of the returned representation, for If-None-Match and If-Match",
+          schema: { type: "string" },
+          example: '"3"',
+        },
+      },
+      responses: {
+        NotModified: {
+          description: "The representation still matches the If-None-Match ETag",
+          headers: { ETag: { $ref: "#/components/headers/ETag" } },
+        },
+        PreconditionFailed: {
+          description: "The task has changed since the If-Match ETag was issued",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" },
+              example: {
+                type: "urn:task-api:problem:precondition_failed",
+                title: "Precondition failed",
+                status: 412,
+                detail: "The task has changed since you fetched it; fetch it again and reapply your change",
+                code: "precondition_failed",
+              },
+            },
+          },
+        },
+        Blocked: {
+          description: "The change would complete a task whose blockers are still open",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" },
+              example: {
+                type: "urn:task-api:problem:task_blocked",
+                title: "Task is blocked",
+                status: 409,
+                detail: "This task is blocked by 1 open task(s); complete them first",
+                code: "task_blocked",
+                blockers: [{ id: "60d0fe4f5311236168a109cb", title: "Write the copy" }],
+              },
+            },
+          },
+        },
+        PreconditionRequired: {
+          description: "The server requires If-Match on this request and none was sent",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" },
+              example: {
+                type: "urn:task-api:problem:precondition_required",
+                title: "Precondition required",
+                status: 428,
+                detail: "Send the task's ETag in an If-Match header",
+                code: "precondition_required",
+              },
+            },
+          },
+        },
+        Forbidden: {
+          description: "Your role in the project doesn't allow this",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" },
+              example: {
+                type: "urn:task-api:problem:forbidden",
+                title: "Forbidden",
+                status: 403,
+                detail: "This takes the editor role in the task's project",
+                code: "forbidden",
+              },
+            },
+          },
+        },
+        TooManyRequests: {
+          description: "A rate limit ran out; retry after the number of seconds in Retry-After",
+          headers: {
+            "Retry-After": { schema: { type: "integer" }, example: 2 },
+            "RateLimit-Limit": { schema: { type: "integer" }, example: 300 },
+            "RateLimit-Remaining": { schema: { type: "integer" }, example: 0 },
+            "RateLimit-Reset": { schema: { type: "integer" }, description: "Seconds until the limit is fully restored", example: 60 },
+          },
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" },
+              example: {
+                type: "urn:task-api:problem:rate_limited",
+                title: "Too many requests",
+                status: 429,
+                detail: "Rate limit exceeded; try again in 2 second(s)",
+                code: "rate_limited",
+              },
+            },
+          },
+        },
+        Unauthorized: {
+          description: "Missing, invalid or expired bearer token, or an invalid or revoked API key",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" },
+              example: {
+                type: "urn:task-api:problem:invalid_token",
+                title: "Unauthorized",
+                status: 401,
+                detail: "Invalid or expired token",
+                code: "invalid_token",
+              },
+            },
+          },
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
   },
   apis: ["./routes/*.js"],
 };
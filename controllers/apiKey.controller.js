@@ -0,0 +1,54 @@
+import apiKeyService from "../services/apiKey.service.js";
+import { ForbiddenError, NotFoundError } from "../errors/app.error.js";
+
+// Keys are managed with a login token only, so a leaked key can't be used to
+// issue more keys or revoke the others.
+const keyForbidden = () => new ForbiddenError("API keys can't manage API keys; use a token from /auth/login", "api_key_not_allowed");
+
+class ApiKeyController {
+  async createKey(req, res, next) {
+    try {
+      if (req.apiKey) throw keyForbidden();
+
+      const { apiKey, key } = await apiKeyService.createKey(req.user._id, req.body);
+      res.status(201).json({ ...apiKey.toJSON(), key });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getKeys(req, res, next) {
+    try {
+      if (req.apiKey) throw keyForbidden();
+
+      const keys = await apiKeyService.getKeys(req.user._id);
+      res.json(keys);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async revokeKey(req, res, next) {
+    try {
+      if (req.apiKey) throw keyForbidden();
+
+      const { id } = req.params;
+      const apiKey = await apiKeyService.revokeKey(req.user._id, id);
+      if (!apiKey) throw new NotFoundError("API key", "No API key found with the provided ID");
+
+      res.json({
+        message: "API key revoked",
+        revokedKey: {
+          id: apiKey._id,
+          name: apiKey.name,
+          prefix: apiKey.prefix,
+          revokedAt: apiKey.revokedAt
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+export default new ApiKeyController();
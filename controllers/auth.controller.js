@@ -0,0 +1,38 @@
+import authService from "../services/auth.service.js";
+import { ConflictError, UnauthorizedError } from "../errors/app.error.js";
+
+class AuthController {
+  async register(req, res, next) {
+    try {
+      const result = await authService.register(req.body);
+      if (!result) {
+        throw new ConflictError("email_taken", "Email already registered", "An account with this email already exists");
+      }
+
+      res.status(201).json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async login(req, res, next) {
+    try {
+      const result = await authService.login(req.body);
+      if (!result) throw new UnauthorizedError("invalid_credentials", "Email or password is incorrect");
+
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async me(req, res, next) {
+    try {
+      res.json(req.user);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+export default new AuthController();
@@ -0,0 +1,82 @@
+import categoryService from "../services/category.service.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/app.error.js";
+
+class CategoryController {
+  async createCategory(req, res, next) {
+    try {
+      const category = await categoryService.createCategory(req.user._id, req.body);
+      res.status(201).json(category);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getCategories(req, res, next) {
+    try {
+      const categories = await categoryService.getCategories(req.user._id);
+      res.json(categories);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getCategoryById(req, res, next) {
+    try {
+      const { id } = req.params;
+      const category = await categoryService.getCategoryById(req.user._id, id);
+      if (!category) throw new NotFoundError("Category");
+
+      res.json(category);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async updateCategory(req, res, next) {
+    try {
+      const { id } = req.params;
+      const category = await categoryService.updateCategory(req.user._id, id, req.body);
+      if (!category) throw new NotFoundError("Category");
+
+      res.json(category);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async deleteCategory(req, res, next) {
+    try {
+      const { id } = req.params;
+      let target = null;
+      if (req.query.reassignTo) {
+        target = await categoryService.findByName(req.user._id, req.query.reassignTo);
+        if (!target || target._id.equals(id)) {
+          throw new BadRequestError("invalid_reassign_to", "Invalid reassignTo", "reassignTo must name another one of your categories");
+        }
+      }
+
+      const result = await categoryService.deleteCategory(req.user._id, id, target?.name);
+      if (!result) throw new NotFoundError("Category");
+      if (result.inUse) {
+        throw new ConflictError(
+          "category_in_use",
+          "Category in use",
+          `${result.inUse} task(s) use this category. Pass ?reassignTo=<category> to move them first.`
+        );
+      }
+
+      res.json({
+        message: "Category deleted successfully",
+        deletedCategory: {
+          id: result.category._id,
+          name: result.category.name
+        },
+        reassigned: result.reassigned
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+export default new CategoryController();
@@ -0,0 +1,151 @@
+import projectService from "../services/project.service.js";
+import { ForbiddenError, NotFoundError } from "../errors/app.error.js";
+import { listTasks, sendTaskStats } from "./task.controller.js";
+
+// The project `id` when the caller has at least the `minimum` role in it, or
+// null when they aren't a member, which gets a 404 as if there were no such
+// project. Throws a ForbiddenError when their role is too low.
+const projectAccess = async (req, id, minimum) => {
+  const project = await projectService.getProjectById(req.user._id, id);
+  if (!project) return null;
+  if (!projectService.allows(projectService.roleOf(project, req.user._id), minimum)) {
+    throw new ForbiddenError(`This takes the ${minimum} role in the project`);
+  }
+  return project;
+};
+
+class ProjectController {
+  async createProject(req, res, next) {
+    try {
+      const project = await projectService.createProject(req.user._id, req.body);
+      res.status(201).json(await projectService.present(project, req.user._id));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getProjects(req, res, next) {
+    try {
+      const projects = await projectService.getProjects(req.user._id);
+      res.json(projects);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getProjectById(req, res, next) {
+    try {
+      const { id } = req.params;
+      const project = await projectAccess(req, id, "viewer");
+      if (!project) throw new NotFoundError("Project");
+
+      res.json(await projectService.present(project, req.user._id));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async updateProject(req, res, next) {
+    try {
+      const { id } = req.params;
+      const project = await projectAccess(req, id, "owner");
+      if (!project) throw new NotFoundError("Project");
+
+      await projectService.updateProject(project, req.body);
+      res.json(await projectService.present(project, req.user._id));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // The project's tasks are kept, and left outside any project.
+  async deleteProject(req, res, next) {
+    try {
+      const { id } = req.params;
+      const project = await projectAccess(req, id, "owner");
+      if (!project) throw new NotFoundError("Project");
+
+      const detachedTasks = await projectService.deleteProject(project);
+      res.json({
+        message: "Project deleted successfully",
+        deletedProject: {
+          id: project._id,
+          name: project.name
+        },
+        detachedTasks
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async addMember(req, res, next) {
+    try {
+      const { id } = req.params;
+      const project = await projectAccess(req, id, "owner");
+      if (!project) throw new NotFoundError("Project");
+
+      await projectService.addMember(project, req.body);
+      res.status(201).json(await projectService.present(project, req.user._id));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async updateMember(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+      const project = await projectAccess(req, id, "owner");
+      const updated = project && await projectService.updateMember(project, userId, req.body.role);
+      if (!updated) throw new NotFoundError("Member", "No project found with the provided ID, or the user isn't a member");
+
+      res.json(await projectService.present(updated, req.user._id));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // Owners remove anyone; every member can remove themselves to leave.
+  async removeMember(req, res, next) {
+    try {
+      const { id, userId } = req.params;
+      const leaving = req.user._id.equals(userId);
+      const project = await projectAccess(req, id, leaving ? "viewer" : "owner");
+      const updated = project && await projectService.removeMember(project, userId);
+      if (!updated) throw new NotFoundError("Member", "No project found with the provided ID, or the user isn't a member");
+
+      if (leaving) return res.json({ message: "You left the project" });
+      res.json(await projectService.present(updated, req.user._id));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // The project's tasks, whoever owns them, with the parameters and response
+  // of GET /tasks.
+  async getProjectTasks(req, res, next) {
+    try {
+      const { id } = req.params;
+      const project = await projectAccess(req, id, "viewer");
+      if (!project) throw new NotFoundError("Project");
+
+      await listTasks(req, res, req.query, { withLinks: true, scope: { project: project._id } });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getProjectStats(req, res, next) {
+    try {
+      const { id } = req.params;
+      const project = await projectAccess(req, id, "viewer");
+      if (!project) throw new NotFoundError("Project");
+
+      await sendTaskStats(req, res, { project: project._id });
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+export default new ProjectController();
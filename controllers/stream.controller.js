@@ -0,0 +1,154 @@
+import { WebSocketServer } from "ws";
+import authService from "../services/auth.service.js";
+import streamService, { StreamFilterError } from "../services/stream.service.js";
+
+const STREAM_PATH = "/tasks/stream";
+// Comments and pings every so often keep proxies from closing idle streams.
+const HEARTBEAT_MS = 25 * 1000;
+// How long EventSource clients wait before reconnecting.
+const RETRY_MS = 3000;
+// A WebSocket client without an Authorization header has this long to send
+// its token in an auth message.
+const AUTH_TIMEOUT_MS = 10 * 1000;
+
+// WebSocket close codes, in the range left to applications.
+const CLOSE_UNAUTHORIZED = 4401;
+const CLOSE_BAD_MESSAGE = 4400;
+
+const sseFrame = (message) => `id: ${message.id}\nevent: ${message.event}\ndata: ${JSON.stringify(message)}\n\n`;
+
+const bearerToken = (header = "") => {
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// Sends the events a reconnecting client missed, or a stream.reset when they
+// can't be told.
+const resume = (send, userId, filter, lastEventId) => {
+  if (!lastEventId) return;
+  const missed = streamService.replay(userId, filter, lastEventId);
+  if (missed) missed.forEach(send);
+  else send(streamService.resetMessage());
+};
+
+class StreamController {
+  // GET /tasks/stream as Server-Sent Events. EventSource sends Last-Event-ID
+  // by itself when it reconnects; `lastEventId` does the same for the first
+  // connection.
+  async streamTasks(req, res, next) {
+    try {
+      const filter = streamService.parseFilter(req.query);
+
+      res.status(200).set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      const send = (message) => res.write(sseFrame(message));
+      resume(send, req.user._id, filter, req.get("Last-Event-ID") ?? req.query.lastEventId);
+
+      const unsubscribe = streamService.subscribe(req.user._id, filter, send);
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+      res.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // The same events over a WebSocket on GET /tasks/stream. The filter and
+  // resume point come from the query string, and a subscribe message changes
+  // them later on.
+  attach(server) {
+    const sockets = new WebSocketServer({ noServer: true });
+
+    server.on("upgrade", async (req, socket, head) => {
+      const url = new URL(req.url, "http://localhost");
+      if (url.pathname !== STREAM_PATH) return socket.destroy();
+
+      let user = null;
+      const token = bearerToken(req.headers.authorization);
+      if (token) {
+        user = await authService.getUserByToken(token).catch(() => null);
+        if (!user) {
+          socket.end("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+          return;
+        }
+      }
+
+      sockets.handleUpgrade(req, socket, head, (ws) => this.handleSocket(ws, user, Object.fromEntries(url.searchParams)));
+    });
+
+    return sockets;
+  }
+
+  handleSocket(ws, user, query) {
+    const send = (message) => ws.send(JSON.stringify(message));
+    let unsubscribe = () => {};
+    let alive = true;
+
+    const subscribe = ({ category, priority, lastEventId }) => {
+      let filter;
+      try {
+        filter = streamService.parseFilter({ category, priority });
+      } catch (err) {
+        if (!(err instanceof StreamFilterError)) throw err;
+        send({ event: "error", data: { message: err.message } });
+        return;
+      }
+
+      unsubscribe();
+      send({ event: "stream.subscribed", data: { category: filter.categories, priority: filter.priorities } });
+      resume(send, user._id, filter, lastEventId);
+      unsubscribe = streamService.subscribe(user._id, filter, send);
+    };
+
+    // Browsers can't set headers on a WebSocket, so they authenticate with
+    // { "type": "auth", "token": "..." } as their first message instead.
+    const authTimeout = user ? null : setTimeout(() => ws.close(CLOSE_UNAUTHORIZED, "Authentication timed out"), AUTH_TIMEOUT_MS);
+    if (user) subscribe(query);
+
+    ws.on("message", async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (err) {
+        return ws.close(CLOSE_BAD_MESSAGE, "Messages must be JSON");
+      }
+
+      if (!user) {
+        if (message?.type !== "auth") return ws.close(CLOSE_UNAUTHORIZED, "Authenticate first");
+        user = await authService.getUserByToken(String(message.token)).catch(() => null);
+        if (!user) return ws.close(CLOSE_UNAUTHORIZED, "Invalid or expired token");
+        clearTimeout(authTimeout);
+        return subscribe(query);
+      }
+
+      if (message?.type === "subscribe") return subscribe(message);
+      send({ event: "error", data: { message: `Unknown message type ${JSON.stringify(message?.type)}` } });
+    });
+
+    ws.on("pong", () => {
+      alive = true;
+    });
+    const heartbeat = setInterval(() => {
+      if (!alive) return ws.terminate();
+      alive = false;
+      ws.ping();
+    }, HEARTBEAT_MS);
+
+    ws.on("close", () => {
+      clearTimeout(authTimeout);
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+}
+
+export default new StreamController();
@@ -1,10 +1,258 @@
 import taskService from "../services/task.service.js";
+import recurrenceService from "../services/recurrence.service.js";
+import formatService from "../services/format.service.js";
+import filterService from "../services/filter.service.js";
+import patchService, { PatchError } from "../services/patch.service.js";
+import projectService from "../services/project.service.js";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+  fieldErrors,
+  toProblem
+} from "../errors/app.error.js";
+import {
+  createTaskSchema,
+  updateTaskSchema,
+  replaceTaskSchema,
+  importTaskSchema,
+  BULK_LIMIT,
+  IMPORT_LIMIT
+} from "../validators/task.validator.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const EXPORT_FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", extension: "csv", render: (tasks) => formatService.toCsv(tasks) },
+  json: { type: "application/json; charset=utf-8", extension: "json", render: (tasks) => formatService.toJson(tasks) },
+  ics: { type: "text/calendar; charset=utf-8", extension: "ics", render: (tasks) => formatService.toIcs(tasks) },
+};
+const IMPORT_PARSERS = {
+  csv: (body) => formatService.parseCsv(body),
+  json: (body) => formatService.parseJson(body),
+  ics: (body) => formatService.parseIcs(body),
+};
+const PATCH_FORMATS = {
+  "application/merge-patch+json": (document, patch) => patchService.mergePatch(document, patch),
+  "application/json-patch+json": (document, patch) => patchService.jsonPatch(document, patch),
+};
+const STATS_INTERVAL_DAYS = { day: 1, week: 7, month: 28 };
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_BUCKETS = 1000;
+
+// RFC 5988 Link header for the list endpoints, keeping the caller's filters
+// as they were sent and swapping only the pagination parameters.
+const buildLinkHeader = (req, { page, limit, total, nextCursor }) => {
+  const [path, search = ""] = req.originalUrl.split("?");
+  const base = `${req.protocol}://${req.get("host")}${path}`;
+  const link = (params, rel) => {
+    const query = new URLSearchParams(search);
+    query.delete("page");
+    query.delete("after");
+    Object.entries(params).forEach(([key, value]) => query.set(key, value));
+    return `<${base}?${query}>; rel="${rel}"`;
+  };
+
+  const links = [];
+  if (nextCursor) links.push(link({ after: nextCursor, limit }, "next"));
+  if (page) {
+    const lastPage = Math.max(Math.ceil(total / limit), 1);
+    links.push(link({ page: 1, limit }, "first"));
+    if (page > 1) links.push(link({ page: Math.min(page - 1, lastPage), limit }, "prev"));
+    links.push(link({ page: lastPage, limit }, "last"));
+  }
+  return links.join(", ");
+};
+
+// Turns the list filters shared by GET /tasks and the bulk endpoint into a
+// Mongo filter. Values may arrive validated from the query string or as
+// parsed JSON.
+// `filter` is an expression in the filter language (see filter.service.js),
+// ANDed with the simple filters.
+const buildTaskFilter = ({ category, tags, tagMatch, priority, completed, blocked, deadlineFrom, deadlineTo, q, filter: expression }) => {
+  const filter = {};
+
+  if (category) filter.category = category;
+  if (tags) {
+    const list = (Array.isArray(tags) ? tags : String(tags).split(","))
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean);
+    if (list.length) filter.tags = tagMatch === "all" ? { $all: list } : { $in: list };
+  }
+  if (priority) filter.priority = priority;
+  if (completed !== undefined) filter.completed = String(completed) === 'true';
+  // Tasks stored before dependencies existed have no `blocked` at all.
+  if (blocked !== undefined) filter.blocked = String(blocked) === 'true' ? true : { $ne: true };
+
+  if (deadlineFrom || deadlineTo) {
+    filter.deadline = {};
+    if (deadlineFrom) filter.deadline.$gte = new Date(deadlineFrom);
+    if (deadlineTo) filter.deadline.$lte = new Date(deadlineTo);
+  }
+  if (q) filter.$text = { $search: q };
+  if (expression) filter.$and = [filterService.build(expression)];
+
+  return filter;
+};
+
+// A task's ETag is its version, which every change to it bumps.
+const taskEtag = (task) => `"${task.__v}"`;
+
+// For GETs, Express compares the ETag with If-None-Match and turns a match
+// into a 304 on its own. A completed task that's still blocked, which
+// BLOCKED_COMPLETION=warn allows, comes with a Warning.
+const sendTask = (res, task, status = 200) => {
+  if (task.completed && task.blocked) res.set("Warning", '299 - "Some of the tasks blocking this one are still open"');
+  res.status(status).set("ETag", taskEtag(task)).json(task);
+};
+
+// The versions an If-Match header allows: null when there's no header or it's
+// "*", otherwise those of its strong ETags. Weak ones never match, since
+// If-Match uses strong comparison.
+const ifMatchVersions = (req) => {
+  const header = req.get("If-Match");
+  if (!header || header.trim() === "*") return null;
+  return header.split(",")
+    .map((tag) => tag.trim().match(/^"(\d+)"$/))
+    .filter(Boolean)
+    .map(([, version]) => Number(version));
+};
+
+// REQUIRE_IF_MATCH=true turns unconditional task writes away with a 428.
+const ifMatchRequired = (req) => process.env.REQUIRE_IF_MATCH === "true" && !req.get("If-Match");
+
+const preconditionRequired = () => new AppError(
+  428,
+  "precondition_required",
+  "Precondition required",
+  "Send the task's ETag in an If-Match header"
+);
+
+// Looks task `id` up, trashed or not, for checking the caller's access to it.
+// Returns null when they have none, which gets the same 404 as a missing
+// task, and throws a ForbiddenError when their role in the task's project is
+// below `minimum`. The task service then works on it as its owner's task,
+// with the caller as the actor.
+const taskAccess = async (req, id, minimum) => {
+  const task = await taskService.findTask(id);
+  const role = task && await projectService.roleForTask(req.user._id, task);
+  if (!role) return null;
+  if (!projectService.allows(role, minimum)) {
+    throw new ForbiddenError(`This takes the ${minimum} role in the task's project`);
+  }
+  return task;
+};
+
+// An atomic batch that wasn't applied, whether an item failed validation
+// before the batch ran or failed while it ran and rolled it back. `report`
+// is the usual bulk report, with the failed items among its results.
+const batchNotApplied = (report) => new ConflictError(
+  "batch_not_applied",
+  "Batch not applied",
+  "An item of the atomic batch failed, so none of it was applied",
+  report
+);
+
+// Checks a PUT body or patched task against replaceTaskSchema. `current` is
+// the task as it is, whose deadline passes even once it's over.
+const validateReplacement = (task, current) => replaceTaskSchema.validate(task, {
+  abortEarly: false,
+  context: { deadline: current.deadline && new Date(current.deadline) }
+});
+
+// Creating a task in a project, or moving one into it, takes an editor role
+// there. Taking a task out of its project, to another one or to none, is up
+// to the task's `owner` or an owner of the project, not to every editor.
+const checkProjectMove = async (req, owner, from, to) => {
+  if (String(to ?? "") === String(from ?? "")) return;
+  if (from && !req.user._id.equals(owner)
+    && !projectService.allows(await projectService.getRole(from, req.user._id), "owner")) {
+    throw new ForbiddenError("Only the task's owner or an owner of its project can move it out of the project");
+  }
+  if (to) await projectService.authorize(to, req.user._id, "editor");
+};
+
+// Shared by GET /tasks, POST /tasks/search, GET /views/:id/tasks and
+// GET /projects/:id/tasks; `params` are the list parameters from the query
+// string, the JSON body or the view, and `scope` the tasks they apply to (see
+// taskService.getTasks()). The Link header is only set for GETs, where the
+// page position lives in the URL.
+export const listTasks = async (req, res, params, { withLinks = false, scope = { owner: req.user._id } } = {}) => {
+  const { 
+    sortBy, 
+    sortOrder = 'desc',
+    after,
+    q,
+    fields
+  } = params;
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = after ? null : Math.max(parseInt(params.page, 10) || 1, 1);
+
+  const filter = buildTaskFilter(params);
+  const sort = {};
+
+  if (sortBy === 'relevance') {
+    if (!q) {
+      throw new BadRequestError("invalid_sort", "Invalid sort", "sortBy=relevance requires a search query in 'q'");
+    }
+    sort.score = -1;
+  } else if (sortBy) {
+    const order = sortOrder === 'asc' ? 1 : -1;
+    sort[sortBy] = order;
+  } else {
+    sort.createdAt = -1; 
+  }
+
+  const [sortField] = Object.keys(sort);
+  const cursor = after ? taskService.decodeCursor(after, sortField) : null;
+  if (after && !cursor) {
+    throw new BadRequestError("invalid_cursor", "Invalid cursor", "The 'after' cursor is malformed or was issued for a different sort");
+  }
+
+  const result = await taskService.getTasks(scope, filter, sort, {
+    limit,
+    skip: page ? (page - 1) * limit : 0,
+    after: cursor,
+    fields: fields ? filterService.projection(fields) : null
+  });
+
+  if (withLinks) {
+    const linkHeader = buildLinkHeader(req, { page, limit, ...result });
+    if (linkHeader) res.set("Link", linkHeader);
+  }
+
+  res.json({ ...result, page, limit });
+};
+
+// Shared by GET /tasks/stats and GET /projects/:id/stats, with `scope` as in
+// listTasks().
+export const sendTaskStats = async (req, res, scope) => {
+  const { interval, to = new Date() } = req.query;
+  const from = req.query.from ?? new Date(to.getTime() - DEFAULT_STATS_DAYS * 24 * 60 * 60 * 1000);
+
+  if (from > to) {
+    throw new BadRequestError("invalid_stats_range", "Invalid stats range", "from must be before to");
+  }
+
+  const buckets = (to - from) / (STATS_INTERVAL_DAYS[interval] * 24 * 60 * 60 * 1000);
+  if (buckets > MAX_STATS_BUCKETS) {
+    throw new BadRequestError("invalid_stats_range", "Invalid stats range", `The range spans more than ${MAX_STATS_BUCKETS} ${interval}s; use a shorter range or a longer interval`);
+  }
+
+  const stats = await taskService.getTaskStats(scope, buildTaskFilter(req.query), { from, to, interval });
+  res.json(stats);
+};
 
 class TaskController {
   async createTask(req, res, next) {
     try {
-      const task = await taskService.createTask(req.body);
-      res.status(201).json(task);
+      await checkProjectMove(req, req.user._id, null, req.body.project);
+      const task = await taskService.createTask(req.user._id, req.body);
+      sendTask(res, task, 201);
     } catch (err) {
       next(err);
     }
@@ -12,64 +260,193 @@ class TaskController {
 
   async getTasks(req, res, next) {
     try {
-      const { 
-        category, 
-        priority, 
-        completed, 
-        sortBy, 
-        sortOrder = 'desc',
-        deadlineFrom, 
-        deadlineTo 
-      } = req.query;
-
-      const filter = {};
-      const sort = {};
-
-      if (category) filter.category = category;
-      if (priority) filter.priority = priority;
-      if (completed !== undefined) filter.completed = completed === 'true';
-      
-      if (deadlineFrom || deadlineTo) {
-        filter.deadline = {};
-        if (deadlineFrom) filter.deadline.$gte = new Date(deadlineFrom);
-        if (deadlineTo) filter.deadline.$lte = new Date(deadlineTo);
+      await listTasks(req, res, req.query, { withLinks: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // POST /tasks/search: the same as GET /tasks with the parameters in a JSON
+  // body, where `filter` may be a filter tree instead of a string.
+  async searchTasks(req, res, next) {
+    try {
+      await listTasks(req, res, req.body);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+
+  async bulkTasks(req, res, next) {
+    try {
+      const { filter, patch, atomic = false } = req.body;
+      let { operations } = req.body;
+
+      if (filter) {
+        const ids = await taskService.getTaskIds(req.user._id, buildTaskFilter(filter), BULK_LIMIT + 1);
+        if (ids.length > BULK_LIMIT) {
+          throw new BadRequestError("too_many_matches", "Too many matching tasks", `The filter matches more than ${BULK_LIMIT} tasks; narrow it down`);
+        }
+        operations = ids.map((id) => ({ op: "update", id, data: patch }));
       }
-      if (sortBy) {
-        const order = sortOrder === 'asc' ? 1 : -1;
-        sort[sortBy] = order;
-      } else {
-        sort.createdAt = -1; 
+
+      const rejected = [];
+      const accepted = [];
+      operations.forEach((operation, index) => {
+        const schema = operation.op === "create" ? createTaskSchema : updateTaskSchema;
+        const { error, value } = operation.op === "delete"
+          ? {}
+          : schema.validate(operation.data, { abortEarly: false });
+
+        if (error) {
+          rejected.push({
+            index,
+            op: operation.op,
+            id: operation.id ?? null,
+            ...toProblem(new ValidationError(fieldErrors(error)))
+          });
+        } else {
+          accepted.push({ index, operation: value ? { ...operation, data: value } : operation });
+        }
+      });
+
+      // Creating a task in a project takes an editor role there, checked once
+      // per project.
+      const canCreateIn = new Map();
+      for (const item of [...accepted]) {
+        const project = item.operation.op === "create" && item.operation.data.project;
+        if (!project) continue;
+        if (!canCreateIn.has(project)) {
+          canCreateIn.set(project, projectService.allows(await projectService.getRole(project, req.user._id), "editor"));
+        }
+        if (!canCreateIn.get(project)) {
+          accepted.splice(accepted.indexOf(item), 1);
+          rejected.push({
+            index: item.index,
+            op: "create",
+            id: null,
+            ...toProblem(new ForbiddenError("This takes the editor role in the project"))
+          });
+        }
       }
 
-      const tasks = await taskService.getTasks(filter, sort);
-      res.json(tasks);
+      if (atomic && rejected.length > 0) {
+        throw batchNotApplied({
+          atomic,
+          committed: false,
+          summary: { total: operations.length, succeeded: 0, failed: rejected.length },
+          results: rejected
+        });
+      }
+
+      const outcome = await taskService.runBulk(
+        req.user._id,
+        accepted.map(({ operation }) => operation),
+        { atomic }
+      );
+
+      const results = [
+        ...rejected,
+        ...outcome.results.map((result) => ({ ...result, index: accepted[result.index].index }))
+      ].sort((a, b) => a.index - b.index);
+      const failed = results.filter((result) => result.status >= 400).length;
+
+      const report = {
+        atomic,
+        committed: outcome.committed,
+        summary: {
+          total: operations.length,
+          succeeded: outcome.committed ? operations.length - failed : 0,
+          failed
+        },
+        results
+      };
+      if (!outcome.committed) throw batchNotApplied(report);
+
+      res.json(report);
     } catch (err) {
       next(err);
     }
   }
 
-  async getTaskById(req, res, next) {
+  async exportTasks(req, res, next) {
     try {
-      const { id } = req.params;
-      
-      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-        return res.status(400).json({ 
-          error: "Invalid ID format",
-          message: "Task ID must be a valid MongoDB ObjectId",
-          status: 400
-        });
+      const format = EXPORT_FORMATS[req.query.format];
+      const tasks = await taskService.exportTasks(req.user._id, buildTaskFilter(req.query));
+
+      res.set("Content-Type", format.type);
+      res.set("Content-Disposition", `attachment; filename="tasks.${format.extension}"`);
+      res.send(format.render(tasks));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async importTasks(req, res, next) {
+    try {
+      const format = req.query.format
+        || (req.is("text/csv") && "csv")
+        || (req.is("text/calendar") && "ics")
+        || "json";
+      const parse = IMPORT_PARSERS[format];
+
+      let records;
+      try {
+        records = parse(req.body ?? "");
+      } catch (err) {
+        throw new BadRequestError("unreadable_import", "Unreadable import", `Could not parse the body as ${format}: ${err.message}`);
       }
 
-      const task = await taskService.getTaskById(id);
-      if (!task) {
-        return res.status(404).json({ 
-          error: "Task not found",
-          message: "No task found with the provided ID",
-          status: 404
-        });
+      if (records.length > IMPORT_LIMIT) {
+        throw new BadRequestError("too_many_records", "Too many records", `An import may contain at most ${IMPORT_LIMIT} tasks`);
       }
+
+      const errors = [];
+      const accepted = [];
+      records.forEach((record, index) => {
+        const { error, value } = importTaskSchema.validate(record, { abortEarly: false });
+        if (error) {
+          errors.push({ row: index + 1, reasons: error.details.map((d) => d.message) });
+        } else {
+          accepted.push({ row: index + 1, data: value });
+        }
+      });
+
+      const { results } = await taskService.runBulk(
+        req.user._id,
+        accepted.map(({ data }) => ({ op: "create", data }))
+      );
+
+      const imported = [];
+      results.forEach((result) => {
+        const { row } = accepted[result.index];
+        if (result.status < 400) imported.push(result.task._id);
+        else errors.push({ row, reasons: result.errors?.map((error) => error.message) ?? [result.detail] });
+      });
+      errors.sort((a, b) => a.row - b.row);
+
+      res.json({
+        format,
+        total: records.length,
+        imported: imported.length,
+        failed: errors.length,
+        taskIds: imported,
+        errors
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getTaskById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "viewer");
+      const task = access && await taskService.getTaskById(access.owner, id);
+      if (!task) throw new NotFoundError("Task");
       
-      res.json(task);
+      sendTask(res, task);
     } catch (err) {
       next(err);
     }
@@ -78,25 +455,61 @@ class TaskController {
   async updateTask(req, res, next) {
     try {
       const { id } = req.params;
+
+      if (ifMatchRequired(req)) throw preconditionRequired();
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.rewriteTask(access.owner, id, async (current) => {
+        // Leaving `project` out keeps the task where it is; only an explicit
+        // value moves it, so an editor can't take it out of the project by
+        // omission.
+        const body = req.body ?? {};
+        const replacement = "project" in body ? body : { ...body, project: current.project };
+        const { error, value } = validateReplacement(replacement, current);
+        if (error) throw new ValidationError(fieldErrors(error), "The request has invalid fields");
+        await checkProjectMove(req, access.owner, current.project, value.project);
+        return value;
+      }, { versions: ifMatchVersions(req), actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task");
       
-      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-        return res.status(400).json({ 
-          error: "Invalid ID format",
-          message: "Task ID must be a valid MongoDB ObjectId",
-          status: 400
-        });
-      }
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
 
-      const task = await taskService.updateTask(id, req.body);
-      if (!task) {
-        return res.status(404).json({ 
-          error: "Task not found",
-          message: "No task found with the provided ID",
-          status: 404
-        });
+  // PATCH /tasks/:id: applies a merge patch or JSON Patch to the task's
+  // editable fields and checks the result as a whole before saving it.
+  async patchTask(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const format = Object.keys(PATCH_FORMATS).find((type) => req.is(type));
+      if (!format) {
+        res.set("Accept-Patch", Object.keys(PATCH_FORMATS).join(", "));
+        throw new AppError(
+          415,
+          "unsupported_patch_format",
+          "Unsupported patch format",
+          `Send the patch as ${Object.keys(PATCH_FORMATS).join(" or ")}`
+        );
       }
-      
-      res.json(task);
+      if (req.body === undefined) throw new PatchError("The request has no patch in its body");
+      if (ifMatchRequired(req)) throw preconditionRequired();
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.rewriteTask(access.owner, id, async (current) => {
+        const patched = PATCH_FORMATS[format](current, req.body);
+        const { error, value } = validateReplacement(patched, current);
+        // A patch that applied but left the task invalid fails like a
+        // validate(), with a 422.
+        if (error) throw new ValidationError(fieldErrors(error), "The patched task is invalid", 422);
+        await checkProjectMove(req, access.owner, current.project, value.project);
+        return value;
+      }, { versions: ifMatchVersions(req), actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task");
+
+      sendTask(res, task);
     } catch (err) {
       next(err);
     }
@@ -105,26 +518,78 @@ class TaskController {
   async deleteTask(req, res, next) {
     try {
       const { id } = req.params;
+
+      if (ifMatchRequired(req)) throw preconditionRequired();
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.deleteTask(access.owner, id, {
+        versions: ifMatchVersions(req),
+        actorId: req.user._id
+      });
+      if (!task) throw new NotFoundError("Task");
       
-      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-        return res.status(400).json({ 
-          error: "Invalid ID format",
-          message: "Task ID must be a valid MongoDB ObjectId",
-          status: 400
-        });
-      }
+      res.json({ 
+        message: "Task moved to trash",
+        deletedTask: {
+          _id: task._id,
+          title: task.title,
+          category: task.category,
+          priority: task.priority,
+          completed: task.completed,
+          deletedAt: task.deletedAt
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
 
-      const task = await taskService.deleteTask(id);
-      if (!task) {
-        return res.status(404).json({ 
-          error: "Task not found",
-          message: "No task found with the provided ID",
-          status: 404
-        });
-      }
+  async getTrash(req, res, next) {
+    try {
+      const tasks = await taskService.getTrash(req.user._id);
+      res.json(tasks);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async emptyTrash(req, res, next) {
+    try {
+      const { olderThanDays } = req.query;
+      const purged = await taskService.purgeTrash({ ownerId: req.user._id, olderThanDays });
+      res.json({ 
+        message: "Trash emptied",
+        purged
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async restoreTask(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.restoreTask(access.owner, id, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task", "No trashed task found with the provided ID");
+      
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async destroyTask(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "owner");
+      const task = access && await taskService.destroyTask(access.owner, id, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task");
       
       res.json({ 
-        message: "Task deleted successfully",
+        message: "Task permanently deleted",
         deletedTask: {
           _id: task._id,
           title: task.title,
@@ -138,10 +603,231 @@ class TaskController {
     }
   }
 
+  async getTaskHistory(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "viewer");
+      const history = access && await taskService.getTaskHistory(access.owner, id);
+      if (!history) throw new NotFoundError("Task");
+
+      res.json(history);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async revertTask(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.revertTask(access.owner, id, req.body.revision, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Revision", "No task or revision found with the provided ID and revision number");
+
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getOccurrences(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "viewer");
+      const task = access && await taskService.getTaskById(access.owner, id);
+      if (!task) throw new NotFoundError("Task");
+
+      if (!task.recurrence) {
+        throw new BadRequestError("task_not_recurring", "Task does not recur", "This task has no recurrence rule");
+      }
+
+      const occurrences = recurrenceService
+        .upcoming(task.recurrence, task.recurrence.occurrence, req.query.count)
+        .map(({ occurrence, date }) => ({ occurrence, deadline: date }));
+
+      res.json({
+        taskId: task._id,
+        recurrence: task.recurrence,
+        occurrences
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async addChecklistItem(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.addChecklistItem(access.owner, id, req.body, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task");
+
+      sendTask(res, task, 201);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async updateChecklistItem(req, res, next) {
+    try {
+      const { id, itemId } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.updateChecklistItem(access.owner, id, itemId, req.body, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Checklist item", "No task or checklist item found with the provided IDs");
+
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async reorderChecklist(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.reorderChecklist(access.owner, id, req.body.itemIds, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task");
+
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async removeChecklistItem(req, res, next) {
+    try {
+      const { id, itemId } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.removeChecklistItem(access.owner, id, itemId, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Checklist item", "No task or checklist item found with the provided IDs");
+
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async startTimer(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.startTimer(access.owner, id, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task");
+
+      sendTask(res, task, 201);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async stopTimer(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.stopTimer(access.owner, id, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task");
+
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async addTimeEntry(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.addTimeEntry(access.owner, id, req.body, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task");
+
+      sendTask(res, task, 201);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async updateTimeEntry(req, res, next) {
+    try {
+      const { id, entryId } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.updateTimeEntry(access.owner, id, entryId, req.body, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Time entry", "No task or time entry found with the provided IDs");
+
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async removeTimeEntry(req, res, next) {
+    try {
+      const { id, entryId } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.removeTimeEntry(access.owner, id, entryId, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Time entry", "No task or time entry found with the provided IDs");
+
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async addBlocker(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.addBlocker(access.owner, id, req.body.taskId, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Task");
+
+      sendTask(res, task, 201);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async removeBlocker(req, res, next) {
+    try {
+      const { id, blockerId } = req.params;
+
+      const access = await taskAccess(req, id, "editor");
+      const task = access && await taskService.removeBlocker(access.owner, id, blockerId, { actorId: req.user._id });
+      if (!task) throw new NotFoundError("Dependency", "No task found with the provided ID, or it isn't blocked by the given task");
+
+      sendTask(res, task);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getTaskGraph(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const access = await taskAccess(req, id, "viewer");
+      const graph = access && await taskService.getDependencyGraph(access.owner, id);
+      if (!graph) throw new NotFoundError("Task");
+
+      res.json(graph);
+    } catch (err) {
+      next(err);
+    }
+  }
+
   async getTaskStats(req, res, next) {
     try {
-      const stats = await taskService.getTaskStats();
-      res.json(stats);
+      await sendTaskStats(req, res, { owner: req.user._id });
     } catch (err) {
       next(err);
     }
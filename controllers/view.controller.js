@@ -0,0 +1,103 @@
+import viewService from "../services/view.service.js";
+import filterService from "../services/filter.service.js";
+import { ForbiddenError, NotFoundError } from "../errors/app.error.js";
+import { listTasks } from "./task.controller.js";
+
+// A saved filter that doesn't compile would only fail once the view is run,
+// so it's checked when the view is saved.
+const checkQuery = (query = {}) => {
+  if (query.filter) filterService.build(query.filter);
+  if (query.fields) filterService.projection(query.fields);
+};
+
+const builtInView = () => new ForbiddenError("Smart lists can't be changed or deleted", "built_in_view");
+
+class ViewController {
+  async createView(req, res, next) {
+    try {
+      checkQuery(req.body.query);
+      const view = await viewService.createView(req.user._id, req.body);
+      res.status(201).json(view);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getViews(req, res, next) {
+    try {
+      const views = await viewService.getViews(req.user._id);
+      res.json(views);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getViewById(req, res, next) {
+    try {
+      const { id } = req.params;
+      if (viewService.isSmartList(id)) return res.json(viewService.getSmartList(id));
+
+      const view = await viewService.getViewById(req.user._id, id);
+      if (!view) throw new NotFoundError("View");
+
+      res.json(view);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async updateView(req, res, next) {
+    try {
+      const { id } = req.params;
+      if (viewService.isSmartList(id)) throw builtInView();
+
+      checkQuery(req.body.query);
+      const view = await viewService.updateView(req.user._id, id, req.body);
+      if (!view) throw new NotFoundError("View");
+
+      res.json(view);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async deleteView(req, res, next) {
+    try {
+      const { id } = req.params;
+      if (viewService.isSmartList(id)) throw builtInView();
+
+      const view = await viewService.deleteView(req.user._id, id);
+      if (!view) throw new NotFoundError("View");
+
+      res.json({
+        message: "View deleted successfully",
+        deletedView: {
+          id: view._id,
+          name: view.name
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // Runs a view: the same response as GET /tasks, paged with `page` or
+  // `after` and, to override the view's page size, `limit`.
+  async getViewTasks(req, res, next) {
+    try {
+      const { id } = req.params;
+      let view = viewService.getSmartList(id);
+
+      if (!view) {
+        view = await viewService.getViewById(req.user._id, id);
+        if (!view) throw new NotFoundError("View");
+      }
+
+      await listTasks(req, res, viewService.toListParams(view, req.query), { withLinks: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+export default new ViewController();
@@ -0,0 +1,91 @@
+import webhookService from "../services/webhook.service.js";
+import { NotFoundError } from "../errors/app.error.js";
+
+class WebhookController {
+  async createWebhook(req, res, next) {
+    try {
+      const webhook = await webhookService.createWebhook(req.user._id, req.body);
+      res.status(201).json(webhook);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getWebhooks(req, res, next) {
+    try {
+      const webhooks = await webhookService.getWebhooks(req.user._id);
+      res.json(webhooks);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getWebhookById(req, res, next) {
+    try {
+      const { id } = req.params;
+      const webhook = await webhookService.getWebhookById(req.user._id, id);
+      if (!webhook) throw new NotFoundError("Webhook");
+
+      res.json(webhook);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async updateWebhook(req, res, next) {
+    try {
+      const { id } = req.params;
+      const webhook = await webhookService.updateWebhook(req.user._id, id, req.body);
+      if (!webhook) throw new NotFoundError("Webhook");
+
+      res.json(webhook);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async deleteWebhook(req, res, next) {
+    try {
+      const { id } = req.params;
+      const webhook = await webhookService.deleteWebhook(req.user._id, id);
+      if (!webhook) throw new NotFoundError("Webhook");
+
+      res.json({
+        message: "Webhook deleted successfully",
+        deletedWebhook: {
+          id: webhook._id,
+          url: webhook.url
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getDeliveries(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status, limit } = req.query;
+      const deliveries = await webhookService.getDeliveries(req.user._id, id, { status, limit });
+      if (!deliveries) throw new NotFoundError("Webhook");
+
+      res.json(deliveries);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async pingWebhook(req, res, next) {
+    try {
+      const { id } = req.params;
+      const delivery = await webhookService.ping(req.user._id, id);
+      if (!delivery) throw new NotFoundError("Webhook");
+
+      res.json(delivery);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+export default new WebhookController();
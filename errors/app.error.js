@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+
+// Errors the API reports to clients, rendered by errorHandler() as RFC 7807
+// problem details. `code` is stable and the one to branch on; every error
+// with the same code has the same `title`, while the message, sent as
+// `detail`, explains this occurrence. `extensions` become extra members of
+// the problem, like the `errors` of a validation failure.
+export class AppError extends Error {
+  constructor(status, code, title, detail, extensions = {}) {
+    super(detail);
+    this.status = status;
+    this.code = code;
+    this.title = title;
+    this.extensions = extensions;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(code, title, detail, extensions) {
+    super(400, code, title, detail, extensions);
+  }
+}
+
+// `errors` are the offending route params, when validate() found them.
+export class InvalidIdError extends BadRequestError {
+  constructor(detail, errors) {
+    super("invalid_id", "Invalid ID format", detail, errors && { errors });
+  }
+}
+
+// `errors` are the offending fields, as fieldErrors() returns them.
+export class ValidationError extends AppError {
+  constructor(errors, detail = "The request has invalid fields", status = 400) {
+    super(status, "validation_failed", "Validation error", detail, { errors });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(code, detail) {
+    super(401, code, "Unauthorized", detail);
+  }
+}
+
+// Thrown when the caller's role doesn't allow what they asked for.
+export class ForbiddenError extends AppError {
+  constructor(detail, code = "forbidden") {
+    super(403, code, "Forbidden", detail);
+  }
+}
+
+// `resource` names what wasn't found, e.g. "Checklist item", which gives the
+// code "checklist_item_not_found".
+export class NotFoundError extends AppError {
+  constructor(resource, detail = `No ${resource.toLowerCase()} found with the provided ID`) {
+    super(404, `${resource.toLowerCase().replace(/ /g, "_")}_not_found`, `${resource} not found`, detail);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(code, title, detail, extensions) {
+    super(409, code, title, detail, extensions);
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(detail) {
+    super(429, "rate_limited", "Too many requests", detail);
+  }
+}
+
+// Joi's validation details as `{ field, message, code }`, with `field` the
+// dotted path of the value (null for the value as a whole) and `code` Joi's
+// error type, e.g. "any.required".
+export const fieldErrors = (joiError) => joiError.details.map((d) => ({
+  field: d.path.length ? d.path.join(".") : null,
+  message: d.message,
+  code: d.type,
+}));
+
+// Mongoose's own messages name its internals ("Path `title` is required."),
+// so its validation errors are reworded. Messages from the schemas' custom
+// validators are ours and kept.
+const mongooseFieldError = (err) => {
+  const field = err.path;
+  const messages = {
+    required: () => `"${field}" is required`,
+    enum: () => `"${field}" must be one of [${err.properties.enumValues.join(", ")}]`,
+    maxlength: () => `"${field}" must be at most ${err.properties.maxlength} characters long`,
+    minlength: () => `"${field}" must be at least ${err.properties.minlength} characters long`,
+    max: () => `"${field}" must be less than or equal to ${err.properties.max}`,
+    min: () => `"${field}" must be greater than or equal to ${err.properties.min}`,
+    "user defined": () => err.message,
+  };
+  if (err instanceof mongoose.Error.CastError) {
+    return { field, message: `"${field}" must be a valid ${err.kind}`, code: `cast.${err.kind}` };
+  }
+  const message = messages[err.kind]?.() ?? `"${field}" is invalid`;
+  return { field, message, code: `mongoose.${err.kind}` };
+};
+
+// MongoDB's duplicate key error, raised by unique indexes.
+export const DUPLICATE_KEY = 11000;
+
+// Turns anything thrown while handling a request into an AppError. Errors the
+// API doesn't know become a 500 marked `internal`, whose message is kept from
+// clients in production.
+export const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  // A save lost a race with another write to the same document.
+  if (err instanceof mongoose.Error.VersionError) {
+    return new ConflictError(
+      "version_conflict",
+      "Conflict",
+      "The document was changed by another request; fetch it again and retry"
+    );
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(Object.values(err.errors).map(mongooseFieldError));
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    const error = mongooseFieldError(err);
+    return new BadRequestError("invalid_value", "Invalid value", error.message, { errors: [error] });
+  }
+  if (err.code === DUPLICATE_KEY) {
+    const fields = Object.keys(err.keyValue ?? {}).filter((field) => field !== "owner");
+    const detail = fields.length
+      ? `Something with the same ${fields.join(" and ")} already exists`
+      : "Something with the same unique fields already exists";
+    return new ConflictError("duplicate", "Already exists", detail, {
+      errors: fields.map((field) => ({ field, message: `"${field}" is already taken`, code: "duplicate" })),
+    });
+  }
+
+  // express.json() and the other body parsers fail with http-errors whose
+  // messages are fit for clients.
+  if (err.type === "entity.parse.failed") {
+    return new BadRequestError("invalid_json", "Invalid JSON", "The request body isn't valid JSON");
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.status, (err.type ?? "bad_request").replace(/\W/g, "_"), "Bad request", err.message);
+  }
+
+  const error = new AppError(500, "internal_error", "Internal Server Error", err.message || "Internal Server Error");
+  error.internal = true;
+  error.cause = err;
+  return error;
+};
+
+const PROBLEM_TYPE = "urn:task-api:problem:";
+
+// The problem details for `err`, without the members tied to a request
+// (`instance`, `requestId`), so they can also describe failed items of a
+// bulk request. In production, an internal error says nothing about its
+// cause; elsewhere it comes with its stack.
+export const toProblem = (err) => {
+  const error = toAppError(err);
+  const production = process.env.NODE_ENV === "production";
+  const problem = {
+    type: `${PROBLEM_TYPE}${error.code}`,
+    title: error.title,
+    status: error.status,
+    detail: error.internal && production
+      ? "Something went wrong on our side; quote the request ID if you report it"
+      : error.message,
+    code: error.code,
+    ...error.extensions,
+  };
+  if (error.internal && !production) problem.stack = error.cause.stack?.split("\n");
+  return problem;
+};
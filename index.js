@@ -1,15 +1,41 @@
 import mongoose from "mongoose";
 import app from "./app.js";
+import taskService from "./services/task.service.js";
+import webhookService from "./services/webhook.service.js";
+import reminderService from "./services/reminder.service.js";
+import streamController from "./controllers/stream.controller.js";
 import dotenv from "dotenv";
 dotenv.config();
 
+if (!process.env.JWT_SECRET) {
+  console.error("JWT_SECRET is not set; refusing to start without a secret to sign tokens with");
+  process.exit(1);
+}
+
 console.log("MONGO_URI:", process.env.MONGO_URI); 
 mongoose.connect(process.env.MONGO_URI)
   .then(() => {
     console.log("Connected to MongoDB");
-    app.listen(process.env.PORT, () => {
+    const server = app.listen(process.env.PORT, () => {
       console.log("Server running on port", process.env.PORT);
     });
+    streamController.attach(server);
+
+    const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+    const purgeTrash = () => taskService.purgeTrash({ olderThanDays: retentionDays })
+      .then(count => {
+        if (count) console.log(`Purged ${count} trashed task(s)`);
+      })
+      .catch(err => console.error("Trash purge failed:", err.message));
+    purgeTrash();
+    setInterval(purgeTrash, 24 * 60 * 60 * 1000).unref();
+
+    const retryWebhooks = () => webhookService.retryDue()
+      .catch(err => console.error("Webhook retries failed:", err.message));
+    setInterval(retryWebhooks, 30 * 1000).unref();
+
+    const reminderIntervalSeconds = parseInt(process.env.REMINDER_INTERVAL_SECONDS, 10) || 60;
+    reminderService.start(reminderIntervalSeconds * 1000);
   })
   .catch(err => {
     console.error("MongoDB connection error:", err.message);
@@ -0,0 +1,56 @@
+import authService from "../services/auth.service.js";
+import apiKeyService from "../services/apiKey.service.js";
+import { perMinute } from "../services/rateLimit.service.js";
+import { rateLimit } from "./rateLimit.middleware.js";
+import { UnauthorizedError } from "../errors/app.error.js";
+
+// Requests made with an API key also count against the key's own limit: its
+// `rateLimit`, or RATE_LIMIT_PER_KEY requests per minute.
+const limitByKey = rateLimit({
+  name: "key",
+  key: (req) => req.apiKey.id,
+  limit: (req) => perMinute(req.apiKey.rateLimit ?? (parseInt(process.env.RATE_LIMIT_PER_KEY, 10) || 300)),
+});
+
+// Service clients send an X-API-Key header instead of a bearer token.
+const authenticateKey = async (req, res, next, key) => {
+  try {
+    const result = await apiKeyService.authenticate(key);
+    if (!result) return next(new UnauthorizedError("invalid_api_key", "Invalid or revoked API key"));
+
+    req.user = result.user;
+    req.apiKey = result.apiKey;
+    await limitByKey(req, res, next);
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const authenticate = async (req, res, next) => {
+  const key = req.headers["x-api-key"];
+  if (key) return authenticateKey(req, res, next, key);
+
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return next(new UnauthorizedError("missing_credentials", "Missing or malformed Authorization header"));
+  }
+
+  let payload;
+  try {
+    payload = authService.verifyToken(token);
+  } catch (err) {
+    return next(new UnauthorizedError("invalid_token", "Invalid or expired token"));
+  }
+
+  try {
+    const user = await authService.getUserById(payload.sub);
+    if (!user) return next(new UnauthorizedError("invalid_token", "User no longer exists"));
+
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,19 +1,45 @@
-export const validate = (schema) => (req, res, next) => {
-  const { error } = schema.validate(req.body, { abortEarly: false });
+import { InvalidIdError, NotFoundError, ValidationError, fieldErrors, toAppError, toProblem } from "../errors/app.error.js";
+
+const INVALID_DETAILS = {
+  body: "The request has invalid fields",
+  query: "The query string has invalid parameters",
+};
+
+// Checks req[property] ("body", "query" or "params") against a Joi schema.
+// The query string and route params are replaced with the validated values,
+// so controllers get numbers, booleans, dates and defaults instead of raw
+// strings; the body is passed on as sent. Route params are all IDs, so a bad
+// one is an invalid ID.
+export const validate = (schema, property = "body") => (req, res, next) => {
+  const { error, value } = schema.validate(req[property], { abortEarly: false });
   if (error) {
-    return res.status(400).json({
-      error: "Validation error",
-      details: error.details.map((d) => d.message),
-    });
+    return next(property === "params"
+      ? new InvalidIdError(error.message, fieldErrors(error))
+      : new ValidationError(fieldErrors(error), INVALID_DETAILS[property]));
+  }
+
+  // Express 5 only has a getter for req.query, so it's redefined instead.
+  if (property !== "body") {
+    Object.defineProperty(req, property, { value, writable: true, configurable: true, enumerable: true });
   }
   next();
 };
 
-export const notFound = (req, res) => {
-  res.status(404).json({ error: "Not Found" });
+export const notFound = (req, res, next) => {
+  next(new NotFoundError("Route", `No route matches ${req.method} ${req.path}`));
 };
 
+// Every error response is an application/problem+json body (RFC 7807), with
+// the request's ID to match it with the server's logs. Only internal errors
+// are logged; the rest are the client's to fix.
 export const errorHandler = (err, req, res, next) => {
-  console.error(err.stack);
-  res.status(err.status || 500).json({ error: err.message || "Internal Server Error" });
+  const error = toAppError(err);
+  if (error.internal) console.error(`[${req.id}] ${err.stack}`);
+  if (res.headersSent) return next(err);
+
+  res.status(error.status).type("application/problem+json").json({
+    ...toProblem(error),
+    instance: req.originalUrl,
+    requestId: req.id,
+  });
 };
@@ -0,0 +1,36 @@
+import rateLimitService from "../services/rateLimit.service.js";
+import { TooManyRequestsError } from "../errors/app.error.js";
+
+// Limits requests per `key(req)`, with `limit` as `{ capacity,
+// refillPerSecond }` or a function of the request returning one. Requests
+// without a key aren't limited here. Responses carry the RateLimit-* headers
+// of draft-ietf-httpapi-ratelimit-headers, and a refused request gets a 429
+// with Retry-After. When the store fails, requests are let through rather
+// than turned away.
+export const rateLimit = ({ name, key, limit }) => async (req, res, next) => {
+  const id = key(req);
+  if (!id) return next();
+
+  const { capacity, refillPerSecond } = typeof limit === "function" ? limit(req) : limit;
+  let result;
+  try {
+    result = await rateLimitService.consume(name, id, { capacity, refillPerSecond });
+  } catch (err) {
+    console.error(`Rate limit store failed, letting the request through: ${err.message}`);
+    return next();
+  }
+
+  res.set({
+    "RateLimit-Policy": `${capacity};w=${Math.round(capacity / refillPerSecond)}`,
+    "RateLimit-Limit": String(capacity),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+  });
+
+  if (!result.allowed) {
+    const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return next(new TooManyRequestsError(`Rate limit exceeded; try again in ${retryAfter} second(s)`));
+  }
+  next();
+};
@@ -0,0 +1,14 @@
+import crypto from "node:crypto";
+
+// A request ID the client (or a proxy in front of the app) sends is kept when
+// it looks like one; anything else gets a fresh UUID.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Gives every request an ID, as `req.id` and the X-Request-Id response
+// header, which the access log and error responses carry too.
+export const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: 100,
+  },
+  // The start of the key, to tell keys apart without storing them.
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of the key. The key itself is only returned when it's issued.
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // Requests per minute for this key, overriding RATE_LIMIT_PER_KEY.
+  rateLimit: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  // Updated at most once a minute.
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+}, { timestamps: true });
+
+ApiKeySchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+ApiKeySchema.set("toObject", { virtuals: true });
+ApiKeySchema.set("toJSON", { virtuals: true });
+
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+export default ApiKey;
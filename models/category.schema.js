@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Names compare case-insensitively, so "work" finds the "Work" category.
+export const NAME_COLLATION = { locale: "en", strength: 2 };
+
+// Every user starts with the categories that used to be built in.
+export const DEFAULT_CATEGORIES = [
+  { name: "Work", color: "#1E88E5", icon: "briefcase" },
+  { name: "Personal", color: "#8E24AA", icon: "user" },
+  { name: "Shopping", color: "#F4511E", icon: "shopping-cart" },
+  { name: "Health", color: "#43A047", icon: "heart" },
+  { name: "Education", color: "#FDD835", icon: "book" },
+  { name: "Other", color: "#757575", icon: "tag" },
+];
+
+const CategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: 50,
+  },
+  color: {
+    type: String,
+    match: /^#[0-9a-fA-F]{6}$/,
+    default: "#757575",
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: null,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+}, { timestamps: true });
+
+CategorySchema.index({ owner: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+CategorySchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+CategorySchema.set("toObject", { virtuals: true });
+CategorySchema.set("toJSON", { virtuals: true });
+
+const Category = mongoose.model("Category", CategorySchema);
+export default Category;
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+export const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+const AttemptSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true,
+  },
+  at: {
+    type: Date,
+    required: true,
+  },
+  statusCode: {
+    type: Number,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  durationMs: {
+    type: Number,
+    required: true,
+  },
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true,
+    index: true,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: "pending",
+  },
+  attempts: {
+    type: [AttemptSchema],
+    default: [],
+  },
+  // When the next retry is due; null once the delivery has finished or while
+  // an attempt is in flight.
+  nextAttemptAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+WebhookDeliverySchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+WebhookDeliverySchema.set("toObject", { virtuals: true });
+WebhookDeliverySchema.set("toJSON", { virtuals: true });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
+export default WebhookDelivery;
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const ChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+const TaskHistorySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+    required: true,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ["create", "update", "delete", "restore", "revert"],
+    required: true,
+  },
+  changes: {
+    type: [ChangeSchema],
+    default: [],
+  },
+  revertedTo: {
+    type: Number,
+    default: null,
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+TaskHistorySchema.index({ task: 1, revision: 1 }, { unique: true });
+
+TaskHistorySchema.set("toObject", { virtuals: true });
+TaskHistorySchema.set("toJSON", { virtuals: true });
+
+const TaskHistory = mongoose.model("TaskHistory", TaskHistorySchema);
+export default TaskHistory;
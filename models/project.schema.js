@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// From least to most access: viewers read the project's tasks, editors also
+// change them, and owners also manage the project and its members.
+export const PROJECT_ROLES = ["viewer", "editor", "owner"];
+
+const MemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    required: true,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const ProjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: "",
+  },
+  // Always has at least one owner; the project service refuses changes that
+  // would leave it without one.
+  members: {
+    type: [MemberSchema],
+    default: [],
+  },
+}, { timestamps: true });
+
+ProjectSchema.index({ "members.user": 1 });
+
+ProjectSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+ProjectSchema.set("toObject", { virtuals: true });
+ProjectSchema.set("toJSON", { virtuals: true });
+
+const Project = mongoose.model("Project", ProjectSchema);
+export default Project;
@@ -1,5 +1,117 @@
 import mongoose from "mongoose";
 
+const REMINDER_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+export const REMINDER_CHANNELS = ["log", "email", "webhook"];
+export const REMINDER_OFFSET_PATTERN = /^[1-9]\d*[mhdw]$/;
+export const MAX_REMINDER_OFFSET_MS = 4 * REMINDER_UNITS.w;
+
+// How long before the deadline a reminder offset such as "30m", "2h", "1d"
+// or "1w" fires, in milliseconds.
+export const reminderOffsetMs = (offset) => Number(offset.slice(0, -1)) * REMINDER_UNITS[offset.slice(-1)];
+
+const ChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Time spent on a task by `user`, in whole minutes. A running timer is an
+// entry without an `endedAt`, which gets its minutes when it's stopped.
+const TimeEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+  },
+  endedAt: {
+    type: Date,
+    default: null,
+  },
+  minutes: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+});
+
+const RecurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ["daily", "weekly", "monthly", "yearly"],
+    required: true,
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1,
+  },
+  start: {
+    type: Date,
+    required: true,
+  },
+  until: {
+    type: Date,
+    default: null,
+  },
+  count: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  occurrence: {
+    type: Number,
+    min: 1,
+    default: 1,
+  },
+  nextTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+    default: null,
+  },
+}, { _id: false });
+
+const ReminderSchema = new mongoose.Schema({
+  offset: {
+    type: String,
+    required: true,
+    match: REMINDER_OFFSET_PATTERN,
+  },
+  // Overrides the REMINDER_CHANNELS default for this reminder.
+  channels: {
+    type: [{ type: String, enum: REMINDER_CHANNELS }],
+    default: undefined,
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+});
+
 const TaskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -9,11 +121,15 @@ const TaskSchema = new mongoose.Schema({
     type: String,
     default: "",
   },
+  // Name of one of the owner's categories; checked by the task service.
   category: {
     type: String,
-    enum: ["Work", "Personal", "Shopping", "Health", "Education", "Other"],
     required: true,
   },
+  tags: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: [],
+  },
   priority: {
     type: String,
     enum: ["Low", "Medium", "High"],
@@ -27,12 +143,144 @@ const TaskSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-}, { timestamps: true });
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  checklist: {
+    type: [ChecklistItemSchema],
+    default: [],
+  },
+  autoComplete: {
+    type: Boolean,
+    default: false,
+  },
+  // How long the task should take, in minutes.
+  estimate: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  timeEntries: {
+    type: [TimeEntrySchema],
+    default: [],
+  },
+  recurrence: {
+    type: RecurrenceSchema,
+    default: null,
+  },
+  // Tasks that have to be completed before this one. Only changed through
+  // the task service, which keeps the graph free of cycles.
+  blockedBy: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
+    default: [],
+  },
+  // Whether any task in blockedBy is still open (not completed and not in
+  // the trash). Kept up to date by the task service as blockers change.
+  blocked: {
+    type: Boolean,
+    default: false,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // The project the task is shared in, whose members get access to it by
+  // their role. The owner keeps full access either way.
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    default: null,
+    index: true,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true,
+  },
+  reminders: {
+    type: [ReminderSchema],
+    default: [],
+  },
+  // Set once task.overdue has been announced; cleared by the hook below.
+  overdueNotifiedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  // Every save bumps __v and fails with a VersionError if the task changed
+  // since it was loaded. Updates that go through queries $inc __v themselves,
+  // bookkeeping ones (overdueNotifiedAt, reminders.sentAt, recurrence.nextTask)
+  // included: __v is what the task's ETag is built from, so anything that
+  // changes the task's JSON has to bump it.
+  optimisticConcurrency: true,
+});
+
+TaskSchema.index({ owner: 1, tags: 1 });
+TaskSchema.index({ blockedBy: 1 });
+
+TaskSchema.index(
+  { title: "text", description: "text" },
+  { name: "TaskTextIndex", weights: { title: 10, description: 3 } }
+);
+
+// An auto-completing task is completed exactly when every item of its
+// changed checklist is done. Also called by the task service before a save,
+// to see whether the save is going to complete the task.
+TaskSchema.methods.followChecklist = function () {
+  if (this.isModified("checklist") && this.autoComplete && this.checklist.length > 0) {
+    this.completed = this.checklist.every((item) => item.done);
+  }
+};
+
+// Keep checklist items stored in display order with contiguous `order`
+// values, and let an auto-completing task follow its checklist.
+TaskSchema.pre("save", function () {
+  if (!this.isModified("checklist")) return;
+
+  this.checklist.sort((a, b) => a.order - b.order);
+  this.checklist.forEach((item, index) => {
+    item.order = index;
+  });
+  this.followChecklist();
+});
+
+// Runs after the checklist hook so auto-completion is timestamped too.
+TaskSchema.pre("save", function () {
+  if (this.isModified("completed")) {
+    this.completedAt = this.completed ? this.completedAt || new Date() : null;
+  }
+});
+
+// A new deadline re-arms the reminders and the overdue notification.
+TaskSchema.pre("save", function () {
+  if (this.isNew || !this.isModified("deadline")) return;
+
+  this.overdueNotifiedAt = null;
+  this.reminders.forEach((reminder) => {
+    reminder.sentAt = null;
+  });
+});
 
 TaskSchema.virtual("id").get(function () {
   return this._id.toHexString();
 });
 
+TaskSchema.virtual("progress").get(function () {
+  if (!this.checklist || this.checklist.length === 0) return null;
+  const done = this.checklist.filter((item) => item.done).length;
+  return Math.round((done / this.checklist.length) * 100);
+});
+
+// Running timers count once they're stopped.
+TaskSchema.virtual("trackedMinutes").get(function () {
+  if (!this.timeEntries) return null;
+  return this.timeEntries.reduce((total, entry) => total + entry.minutes, 0);
+});
+
 TaskSchema.set("toObject", { virtuals: true });
 TaskSchema.set("toJSON", { virtuals: true });
 
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  password: {
+    type: String,
+    required: true,
+    select: false,
+  },
+}, { timestamps: true });
+
+UserSchema.pre("save", async function () {
+  if (!this.isModified("password")) return;
+  this.password = await bcrypt.hash(this.password, 10);
+});
+
+UserSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+UserSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+const hidePassword = (doc, ret) => {
+  delete ret.password;
+  return ret;
+};
+
+UserSchema.set("toObject", { virtuals: true, transform: hidePassword });
+UserSchema.set("toJSON", { virtuals: true, transform: hidePassword });
+
+const User = mongoose.model("User", UserSchema);
+export default User;
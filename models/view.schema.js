@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import { NAME_COLLATION } from "./category.schema.js";
+
+// The list parameters a view runs with; the same ones GET /tasks and
+// POST /tasks/search take, minus the page position.
+const ViewQuerySchema = new mongoose.Schema({
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+  },
+  q: String,
+  category: String,
+  tags: {
+    type: [String],
+    default: undefined,
+  },
+  tagMatch: {
+    type: String,
+    enum: ["any", "all"],
+  },
+  priority: String,
+  completed: Boolean,
+  blocked: Boolean,
+  deadlineFrom: Date,
+  deadlineTo: Date,
+  sortBy: String,
+  sortOrder: {
+    type: String,
+    enum: ["asc", "desc"],
+  },
+  limit: Number,
+  fields: {
+    type: [String],
+    default: undefined,
+  },
+}, { _id: false });
+
+const ViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: "",
+  },
+  query: {
+    type: ViewQuerySchema,
+    default: () => ({}),
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+}, { timestamps: true });
+
+ViewSchema.index({ owner: 1, name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+ViewSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Saved views sit next to the built-in smart lists in GET /views.
+ViewSchema.virtual("builtIn").get(function () {
+  return false;
+});
+
+ViewSchema.set("toObject", { virtuals: true });
+ViewSchema.set("toJSON", { virtuals: true });
+
+const View = mongoose.model("View", ViewSchema);
+export default View;
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+export const WEBHOOK_EVENTS = [
+  "task.created",
+  "task.updated",
+  "task.completed",
+  "task.deleted",
+  "task.overdue",
+  "task.reminder",
+];
+
+const WebhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, "URL is required"],
+    trim: true,
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    required: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  // Signing key for the X-Webhook-Signature header. Only returned when the
+  // subscription is created or the secret is rotated.
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+}, { timestamps: true });
+
+WebhookSchema.index({ owner: 1, events: 1, active: 1 });
+
+WebhookSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+WebhookSchema.set("toObject", { virtuals: true });
+WebhookSchema.set("toJSON", { virtuals: true });
+
+const Webhook = mongoose.model("Webhook", WebhookSchema);
+export default Webhook;
@@ -0,0 +1,187 @@
+import express from "express";
+import apiKeyController from "../controllers/apiKey.controller.js";
+import { validate } from "../middleware/error.middleware.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import { createApiKeySchema, apiKeyParamsSchema } from "../validators/apiKey.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique identifier for the API key
+ *           example: "60d0fe4f5311236168a10b01"
+ *         name:
+ *           type: string
+ *           example: "Nightly CRM sync"
+ *         prefix:
+ *           type: string
+ *           description: The first characters of the key, to tell keys apart
+ *           example: "tk_Qm9vb2"
+ *         key:
+ *           type: string
+ *           description: The key to send in X-API-Key. Only returned when the key is issued.
+ *           example: "tk_Qm9vb2FnZW50LWtleS1leGFtcGxlLXh5"
+ *         rateLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Requests per minute for this key; null for the server's RATE_LIMIT_PER_KEY
+ *           example: 120
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the key was last used, to the minute
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         owner:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109aa"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     summary: Issue an API key
+ *     description: |
+ *       Issues a key for a service client, which sends it in the X-API-Key header instead of a
+ *       bearer token and acts as you. The key is only shown in this response; store it then.
+ *       Keys can only be managed with a login token.
+ *     tags: [API Keys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Nightly CRM sync"
+ *               rateLimit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10000
+ *                 nullable: true
+ *                 description: Requests per minute, instead of the server default
+ *                 example: 120
+ *     responses:
+ *       201:
+ *         description: Key issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The request was made with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   get:
+ *     summary: List your API keys
+ *     description: Newest first, revoked ones included. The keys themselves aren't returned.
+ *     tags: [API Keys]
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The request was made with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post("/", validate(createApiKeySchema), apiKeyController.createKey);
+router.get("/", apiKeyController.getKeys);
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Requests with the key are refused from now on. The key stays listed as revoked.
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "API key revoked"
+ *               revokedKey:
+ *                 id: "60d0fe4f5311236168a10b01"
+ *                 name: "Nightly CRM sync"
+ *                 prefix: "tk_Qm9vb2"
+ *                 revokedAt: "2025-03-01T09:00:00.000Z"
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The request was made with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.delete("/:id", validate(apiKeyParamsSchema, "params"), apiKeyController.revokeKey);
+
+export default router;
@@ -0,0 +1,188 @@
+import express from "express";
+import authController from "../controllers/auth.controller.js";
+import { validate } from "../middleware/error.middleware.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import { registerSchema, loginSchema } from "../validators/auth.validator.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique identifier for the user
+ *           example: "60d0fe4f5311236168a109aa"
+ *         name:
+ *           type: string
+ *           description: Display name
+ *           example: "Jane Doe"
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Login email, stored lowercase
+ *           example: "jane@example.com"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-01-15T10:30:00.000Z"
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-01-15T10:30:00.000Z"
+ *
+ *     AuthResponse:
+ *       type: object
+ *       properties:
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ *         token:
+ *           type: string
+ *           description: "JWT to send as `Authorization: Bearer <token>`"
+ *           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *
+ *     RegisterRequest:
+ *       type: object
+ *       required:
+ *         - name
+ *         - email
+ *         - password
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Jane Doe"
+ *           maxLength: 100
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: "jane@example.com"
+ *         password:
+ *           type: string
+ *           format: password
+ *           minLength: 8
+ *           example: "correct-horse-battery"
+ *
+ *     LoginRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *         - password
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: "jane@example.com"
+ *         password:
+ *           type: string
+ *           format: password
+ *           example: "correct-horse-battery"
+ */
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     description: Creates a user account and returns a JWT for it
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterRequest'
+ *     responses:
+ *       201:
+ *         description: User registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: Email already registered
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               type: "urn:task-api:problem:email_taken"
+ *               title: "Email already registered"
+ *               status: 409
+ *               detail: "An account with this email already exists"
+ *               code: "email_taken"
+ */
+router.post("/register", validate(registerSchema), authController.register);
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in
+ *     description: Exchanges email and password for a JWT
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginRequest'
+ *     responses:
+ *       200:
+ *         description: Logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Invalid credentials
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               type: "urn:task-api:problem:invalid_credentials"
+ *               title: "Unauthorized"
+ *               status: 401
+ *               detail: "Email or password is incorrect"
+ *               code: "invalid_credentials"
+ */
+router.post("/login", validate(loginSchema), authController.login);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get the current user
+ *     description: Returns the user the bearer token belongs to
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get("/me", authenticate, authController.me);
+
+export default router;
@@ -0,0 +1,261 @@
+import express from "express";
+import categoryController from "../controllers/category.controller.js";
+import { validate } from "../middleware/error.middleware.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import {
+  createCategorySchema,
+  updateCategorySchema,
+  categoryParamsSchema,
+  deleteCategoryQuerySchema
+} from "../validators/category.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique identifier for the category
+ *           example: "60d0fe4f5311236168a109b1"
+ *         name:
+ *           type: string
+ *           description: Unique per user, ignoring case. Tasks refer to their category by this name.
+ *           example: "Work"
+ *         color:
+ *           type: string
+ *           description: Hex color
+ *           example: "#1E88E5"
+ *         icon:
+ *           type: string
+ *           nullable: true
+ *           description: Icon name or emoji for clients to show
+ *           example: "briefcase"
+ *         taskCount:
+ *           type: number
+ *           description: Tasks outside the trash in this category (list only)
+ *           example: 12
+ *         owner:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109aa"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     CategoryRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 50
+ *           example: "Side projects"
+ *         color:
+ *           type: string
+ *           pattern: '^#[0-9a-fA-F]{6}$'
+ *           example: "#00897B"
+ *         icon:
+ *           type: string
+ *           maxLength: 50
+ *           nullable: true
+ *           example: "rocket"
+ */
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     summary: Create a category
+ *     tags: [Categories]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CategoryRequest'
+ *               - required: [name]
+ *     responses:
+ *       201:
+ *         description: Category created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: A category with this name already exists
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List categories
+ *     description: Your categories sorted by name, each with its task count. New accounts start with Work, Personal, Shopping, Health, Education and Other.
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Your categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Category'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post("/", validate(createCategorySchema), categoryController.createCategory);
+router.get("/", categoryController.getCategories);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     summary: Get a category
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update a category
+ *     description: Renaming a category also renames it on every task that uses it.
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryRequest'
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A category with the new name already exists
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a category
+ *     description: Fails with 409 while tasks (including trashed ones) use the category, unless `reassignTo` names a category to move them to.
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: Name of the category that takes over this category's tasks
+ *         example: "Other"
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Category deleted successfully"
+ *               deletedCategory:
+ *                 id: "60d0fe4f5311236168a109b1"
+ *                 name: "Shopping"
+ *               reassigned: 4
+ *       400:
+ *         description: Invalid ID format or reassignTo
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Tasks still use this category
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               type: "urn:task-api:problem:category_in_use"
+ *               title: "Category in use"
+ *               status: 409
+ *               detail: "4 task(s) use this category. Pass ?reassignTo=<category> to move them first."
+ *               code: "category_in_use"
+ */
+router.get("/:id", validate(categoryParamsSchema, "params"), categoryController.getCategoryById);
+router.put("/:id", validate(categoryParamsSchema, "params"), validate(updateCategorySchema), categoryController.updateCategory);
+router.delete("/:id", validate(categoryParamsSchema, "params"), validate(deleteCategoryQuerySchema, "query"), categoryController.deleteCategory);
+
+export default router;
@@ -0,0 +1,503 @@
+import express from "express";
+import projectController from "../controllers/project.controller.js";
+import { validate } from "../middleware/error.middleware.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import {
+  createProjectSchema,
+  updateProjectSchema,
+  addMemberSchema,
+  updateMemberSchema,
+  projectParamsSchema,
+  memberParamsSchema
+} from "../validators/project.validator.js";
+import { listTasksQuerySchema, statsQuerySchema } from "../validators/task.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectMember:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: "60d0fe4f5311236168a109aa"
+ *             name:
+ *               type: string
+ *               example: "Ada Lovelace"
+ *             email:
+ *               type: string
+ *               example: "ada@example.com"
+ *         role:
+ *           type: string
+ *           enum: [viewer, editor, owner]
+ *           description: |
+ *             Viewers read the project's tasks, editors also change them, and owners also
+ *             manage the project and its members and can delete its tasks permanently
+ *           example: "editor"
+ *         addedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     Project:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique identifier for the project
+ *           example: "60d0fe4f5311236168a10a01"
+ *         name:
+ *           type: string
+ *           example: "Website relaunch"
+ *         description:
+ *           type: string
+ *           example: "Everything for the new site going live in March"
+ *         members:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProjectMember'
+ *         role:
+ *           type: string
+ *           enum: [viewer, editor, owner]
+ *           description: Your own role in the project
+ *           example: "owner"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     ProjectRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Website relaunch"
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *           example: "Everything for the new site going live in March"
+ */
+
+/**
+ * @swagger
+ * /projects:
+ *   post:
+ *     summary: Create a project
+ *     description: You become the project's first owner.
+ *     tags: [Projects]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ProjectRequest'
+ *               - required: [name]
+ *     responses:
+ *       201:
+ *         description: Project created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   get:
+ *     summary: List your projects
+ *     description: The projects you are a member of, by name, each with your role in it.
+ *     tags: [Projects]
+ *     responses:
+ *       200:
+ *         description: Projects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Project'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post("/", validate(createProjectSchema), projectController.createProject);
+router.get("/", projectController.getProjects);
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   get:
+ *     summary: Get a project
+ *     description: Projects are only visible to their members.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Project found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Project not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update a project
+ *     description: Takes the owner role.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectRequest'
+ *     responses:
+ *       200:
+ *         description: Project updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Project not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a project
+ *     description: |
+ *       Takes the owner role. The project's tasks are kept by their owners and taken out of the
+ *       project, which isn't recorded in their history.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Project deleted
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Project deleted successfully"
+ *               deletedProject:
+ *                 id: "60d0fe4f5311236168a10a01"
+ *                 name: "Website relaunch"
+ *               detachedTasks: 12
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Project not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id", validate(projectParamsSchema, "params"), projectController.getProjectById);
+router.put("/:id", validate(projectParamsSchema, "params"), validate(updateProjectSchema), projectController.updateProject);
+router.delete("/:id", validate(projectParamsSchema, "params"), projectController.deleteProject);
+
+/**
+ * @swagger
+ * /projects/{id}/members:
+ *   post:
+ *     summary: Add a member
+ *     description: Adds a registered user by their email. Takes the owner role.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "grace@example.com"
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, owner]
+ *                 example: "editor"
+ *     responses:
+ *       201:
+ *         description: Member added; the updated project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Project not found, or no user is registered with the email
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The user is already a member
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/members", validate(projectParamsSchema, "params"), validate(addMemberSchema), projectController.addMember);
+
+/**
+ * @swagger
+ * /projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role
+ *     description: Takes the owner role. The project's last owner can't be demoted.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, owner]
+ *                 example: "viewer"
+ *     responses:
+ *       200:
+ *         description: Role changed; the updated project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Project not found, or the user isn't a member
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The member is the project's last owner
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Remove a member
+ *     description: |
+ *       Owners remove any member; anyone can remove themselves to leave the project. The
+ *       project's last owner can't leave. Tasks the member owns stay in the project.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed; the updated project, or a message when you left
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Project not found, or the user isn't a member
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The member is the project's last owner
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id/members/:userId", validate(memberParamsSchema, "params"), validate(updateMemberSchema), projectController.updateMember);
+router.delete("/:id/members/:userId", validate(memberParamsSchema, "params"), projectController.removeMember);
+
+/**
+ * @swagger
+ * /projects/{id}/tasks:
+ *   get:
+ *     summary: List a project's tasks
+ *     description: |
+ *       The tasks in the project, whoever owns them, with the same filters, sorting, paging and
+ *       response as GET /tasks. Open to every member.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Matching tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskPage'
+ *       400:
+ *         description: Invalid ID format, filter or cursor
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Project not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/tasks", validate(projectParamsSchema, "params"), validate(listTasksQuerySchema, "query"), projectController.getProjectTasks);
+
+/**
+ * @swagger
+ * /projects/{id}/stats:
+ *   get:
+ *     summary: Get a project's task statistics
+ *     description: GET /tasks/stats over the project's tasks, with the same parameters. Open to every member.
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskStats'
+ *       400:
+ *         description: Invalid ID format, filter or stats range
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Project not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/stats", validate(projectParamsSchema, "params"), validate(statsQuerySchema, "query"), projectController.getProjectStats);
+
+export default router;
@@ -1,10 +1,36 @@
 import express from "express";
 import taskController from "../controllers/task.controller.js";
+import streamController from "../controllers/stream.controller.js";
 import { validate } from "../middleware/error.middleware.js";
-import { createTaskSchema, updateTaskSchema } from "../validators/task.validator.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import {
+  createTaskSchema,
+  checklistItemSchema,
+  updateChecklistItemSchema,
+  reorderChecklistSchema,
+  revertTaskSchema,
+  blockerSchema,
+  timeEntrySchema,
+  updateTimeEntrySchema,
+  bulkTaskSchema,
+  searchTaskSchema,
+  taskParamsSchema,
+  checklistItemParamsSchema,
+  blockerParamsSchema,
+  timeEntryParamsSchema,
+  listTasksQuerySchema,
+  statsQuerySchema,
+  exportQuerySchema,
+  importQuerySchema,
+  emptyTrashQuerySchema,
+  occurrencesQuerySchema,
+  streamQuerySchema
+} from "../validators/task.validator.js";
 
 const router = express.Router();
 
+router.use(authenticate);
+
 /**
  * @swagger
  * components:
@@ -33,9 +59,14 @@ const router = express.Router();
  *           maxLength: 1000
  *         category:
  *           type: string
- *           enum: [Work, Personal, Shopping, Health, Education, Other]
- *           description: Task category
+ *           description: Name of one of your categories (see /categories)
  *           example: "Work"
+ *         tags:
+ *           type: array
+ *           description: Free-form labels, stored lowercase
+ *           items:
+ *             type: string
+ *           example: ["client-a", "q4"]
  *         priority:
  *           type: string
  *           enum: [Low, Medium, High]
@@ -51,6 +82,82 @@ const router = express.Router();
  *           description: Task completion status
  *           example: false
  *           default: false
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the task was last marked completed
+ *           example: null
+ *         overdueNotifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the overdue notice was sent; cleared when the deadline changes
+ *           example: null
+ *         checklist:
+ *           type: array
+ *           description: Checklist items in display order
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistItem'
+ *         autoComplete:
+ *           type: boolean
+ *           description: Mark the task completed automatically once every checklist item is done
+ *           example: false
+ *           default: false
+ *         progress:
+ *           type: number
+ *           nullable: true
+ *           description: Percentage of checklist items done, or null when the checklist is empty
+ *           example: 50
+ *         estimate:
+ *           type: integer
+ *           nullable: true
+ *           description: How long the task should take, in minutes
+ *           example: 120
+ *         timeEntries:
+ *           type: array
+ *           description: Time tracked on the task, with timers and by hand
+ *           items:
+ *             $ref: '#/components/schemas/TimeEntry'
+ *         trackedMinutes:
+ *           type: integer
+ *           description: Minutes in all time entries; running timers count once stopped
+ *           example: 95
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         reminders:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Reminder'
+ *         blockedBy:
+ *           type: array
+ *           description: IDs of the tasks that have to be completed before this one
+ *           items:
+ *             type: string
+ *           example: ["60d0fe4f5311236168a109cb"]
+ *         blocked:
+ *           type: boolean
+ *           description: True while any task in `blockedBy` is neither completed nor in the trash
+ *           example: true
+ *         owner:
+ *           type: string
+ *           description: ID of the user who owns the task
+ *           example: "60d0fe4f5311236168a109aa"
+ *         project:
+ *           type: string
+ *           nullable: true
+ *           description: ID of the project the task is shared in, null for a private task
+ *           example: "60d0fe4f5311236168a10a01"
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the task was moved to the trash, null for live tasks
+ *           example: null
+ *         score:
+ *           type: number
+ *           description: Text search relevance, only present when searching with `q`
+ *           example: 10.75
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -61,6 +168,10 @@ const router = express.Router();
  *           format: date-time
  *           description: Task last update timestamp
  *           example: "2024-01-15T10:30:00.000Z"
+ *         __v:
+ *           type: integer
+ *           description: Version, bumped by every change. The task's ETag is this number in quotes.
+ *           example: 3
  *     
  *     CreateTaskRequest:
  *       type: object
@@ -82,9 +193,14 @@ const router = express.Router();
  *           maxLength: 1000
  *         category:
  *           type: string
- *           enum: [Work, Personal, Shopping, Health, Education, Other]
- *           description: Task category
+ *           description: Name of one of your categories (see /categories)
  *           example: "Work"
+ *         tags:
+ *           type: array
+ *           description: Free-form labels, stored lowercase
+ *           items:
+ *             type: string
+ *           example: ["client-a", "q4"]
  *         priority:
  *           type: string
  *           enum: [Low, Medium, High]
@@ -95,6 +211,34 @@ const router = express.Router();
  *           format: date-time
  *           description: Task deadline
  *           example: "2025-12-31T23:59:59.000Z"
+ *         checklist:
+ *           type: array
+ *           description: Initial checklist items
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistItemRequest'
+ *         autoComplete:
+ *           type: boolean
+ *           description: Mark the task completed automatically once every checklist item is done
+ *           example: true
+ *         estimate:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: How long the task should take, in minutes
+ *           example: 120
+ *         recurrence:
+ *           $ref: '#/components/schemas/RecurrenceRequest'
+ *         reminders:
+ *           type: array
+ *           maxItems: 10
+ *           description: Notifications to send before the deadline. Changing the deadline re-arms them.
+ *           items:
+ *             $ref: '#/components/schemas/ReminderRequest'
+ *         project:
+ *           type: string
+ *           nullable: true
+ *           description: ID of a project to share the task in, where you need the editor or owner role
+ *           example: "60d0fe4f5311236168a10a01"
  *
  *     UpdateTaskRequest:
  *       type: object
@@ -112,9 +256,14 @@ const router = express.Router();
  *           maxLength: 1000
  *         category:
  *           type: string
- *           enum: [Work, Personal, Shopping, Health, Education, Other]
- *           description: Task category
+ *           description: Name of one of your categories (see /categories)
  *           example: "Work"
+ *         tags:
+ *           type: array
+ *           description: Free-form labels, stored lowercase
+ *           items:
+ *             type: string
+ *           example: ["client-a", "q4"]
  *         priority:
  *           type: string
  *           enum: [Low, Medium, High]
@@ -129,6 +278,248 @@ const router = express.Router();
  *           type: boolean
  *           description: Task completion status
  *           example: true
+ *         autoComplete:
+ *           type: boolean
+ *           description: Mark the task completed automatically once every checklist item is done
+ *           example: true
+ *         estimate:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: How long the task should take, in minutes
+ *           example: 120
+ *         recurrence:
+ *           $ref: '#/components/schemas/RecurrenceRequest'
+ *         reminders:
+ *           type: array
+ *           maxItems: 10
+ *           description: Notifications to send before the deadline. Changing the deadline re-arms them.
+ *           items:
+ *             $ref: '#/components/schemas/ReminderRequest'
+ *
+ *     RecurrenceRequest:
+ *       type: object
+ *       nullable: true
+ *       description: Repeat rule. Set to null to stop the task recurring. `until` and `count` can't be combined.
+ *       required:
+ *         - frequency
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly, yearly]
+ *           example: "weekly"
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 1
+ *           description: Repeat every N days/weeks/months/years
+ *           example: 2
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Last date an occurrence may be due
+ *           example: "2026-12-31T23:59:59.000Z"
+ *         count:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: Total number of occurrences in the series
+ *           example: 10
+ *
+ *     Recurrence:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly, yearly]
+ *           example: "weekly"
+ *         interval:
+ *           type: integer
+ *           example: 2
+ *         start:
+ *           type: string
+ *           format: date-time
+ *           description: Due date of the first occurrence; later ones are counted from here
+ *           example: "2025-01-06T09:00:00.000Z"
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         count:
+ *           type: integer
+ *           nullable: true
+ *           example: 10
+ *         occurrence:
+ *           type: integer
+ *           description: Position of this task in the series, starting at 1
+ *           example: 3
+ *         nextTask:
+ *           type: string
+ *           nullable: true
+ *           description: ID of the next occurrence, set once this one has been completed
+ *           example: null
+ *
+ *     ChecklistItem:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique identifier for the checklist item
+ *           example: "60d0fe4f5311236168a109d1"
+ *         text:
+ *           type: string
+ *           example: "Draft the budget section"
+ *         done:
+ *           type: boolean
+ *           example: false
+ *         order:
+ *           type: number
+ *           description: Zero-based position in the checklist
+ *           example: 0
+ *
+ *     ChecklistItemRequest:
+ *       type: object
+ *       required:
+ *         - text
+ *       properties:
+ *         text:
+ *           type: string
+ *           minLength: 1
+ *           example: "Draft the budget section"
+ *         done:
+ *           type: boolean
+ *           example: false
+ *
+ *     TimeEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109e1"
+ *         user:
+ *           type: string
+ *           description: ID of the user who tracked the time
+ *           example: "60d0fe4f5311236168a109aa"
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-03-03T09:00:00.000Z"
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Null while the entry's timer is running
+ *           example: "2025-03-03T10:35:00.000Z"
+ *         minutes:
+ *           type: integer
+ *           description: Whole minutes tracked; 0 while the timer is running
+ *           example: 95
+ *         note:
+ *           type: string
+ *           example: "Client call"
+ *
+ *     TimeEntryRequest:
+ *       type: object
+ *       properties:
+ *         minutes:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1440
+ *           example: 45
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the work started, not in the future. Defaults to `minutes` ago.
+ *           example: "2025-03-03T14:00:00.000Z"
+ *         note:
+ *           type: string
+ *           maxLength: 500
+ *           example: "Reviewed the draft"
+ *
+ *     ReminderRequest:
+ *       type: object
+ *       required:
+ *         - offset
+ *       properties:
+ *         offset:
+ *           type: string
+ *           pattern: '^[1-9][0-9]*[mhdw]$'
+ *           description: How long before the deadline to remind, in minutes (m), hours (h), days (d) or weeks (w), at most 4 weeks
+ *           example: "1d"
+ *         channels:
+ *           type: array
+ *           description: Where to send it. Defaults to the server's REMINDER_CHANNELS.
+ *           items:
+ *             type: string
+ *             enum: [log, email, webhook]
+ *           example: ["email"]
+ *
+ *     Reminder:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ReminderRequest'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: "60d0fe4f5311236168a109e1"
+ *             sentAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: When the reminder went out, null until then
+ *               example: null
+ *
+ *     HistoryEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109f0"
+ *         task:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109ca"
+ *         revision:
+ *           type: integer
+ *           description: Per-task revision number, starting at 1
+ *           example: 3
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, revert]
+ *           example: "update"
+ *         actor:
+ *           type: object
+ *           description: User who made the change
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "priority"
+ *               oldValue:
+ *                 example: "Low"
+ *               newValue:
+ *                 example: "High"
+ *         revertedTo:
+ *           type: integer
+ *           nullable: true
+ *           description: Revision restored by a revert
+ *           example: null
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-01-16T15:45:00.000Z"
  *
  *     TaskStats:
  *       type: object
@@ -165,40 +556,171 @@ const router = express.Router();
  *             High: 5
  *             Medium: 12
  *             Low: 8
+ *         completionRate:
+ *           type: number
+ *           description: Percentage of tasks completed
+ *           example: 40
+ *         averageCompletionHours:
+ *           type: number
+ *           nullable: true
+ *           description: Average hours from creation to completion, null when nothing is completed
+ *           example: 52.75
+ *         byTag:
+ *           type: object
+ *           description: Task count by tag, most used first
+ *           example:
+ *             client-a: 7
+ *             q4: 3
+ *         crossTab:
+ *           type: object
+ *           description: Task count by category, then by priority
+ *           example:
+ *             Work:
+ *               High: 4
+ *               Medium: 5
+ *               Low: 1
+ *             Personal:
+ *               Medium: 8
+ *         time:
+ *           type: object
+ *           description: Minutes tracked and estimated, in total and by category
+ *           properties:
+ *             trackedMinutes:
+ *               type: integer
+ *               example: 1830
+ *             estimateMinutes:
+ *               type: integer
+ *               description: Sum of the estimates of the tasks that have one
+ *               example: 2100
+ *             byCategory:
+ *               type: object
+ *               example:
+ *                 Work:
+ *                   trackedMinutes: 1500
+ *                   estimateMinutes: 1680
+ *                 Personal:
+ *                   trackedMinutes: 330
+ *                   estimateMinutes: 420
+ *         timeSeries:
+ *           type: object
+ *           properties:
+ *             interval:
+ *               type: string
+ *               enum: [day, week, month]
+ *               example: "week"
+ *             from:
+ *               type: string
+ *               format: date-time
+ *             to:
+ *               type: string
+ *               format: date-time
+ *             buckets:
+ *               type: array
+ *               description: One entry per period in the range, including empty ones
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   period:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Start of the period (UTC; weeks start on Monday)
+ *                     example: "2024-01-15T00:00:00.000Z"
+ *                   created:
+ *                     type: number
+ *                     example: 3
+ *                   completed:
+ *                     type: number
+ *                     example: 2
+ *                   trackedMinutes:
+ *                     type: number
+ *                     description: Minutes in time entries started in the period
+ *                     example: 240
+ *
+ *     TaskPage:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Task'
+ *         total:
+ *           type: number
+ *           description: Number of tasks matching the filters, across all pages
+ *           example: 57
+ *         hasMore:
+ *           type: boolean
+ *           description: Whether another page follows this one
+ *           example: true
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Opaque cursor to pass as `after` for the next page
+ *           example: "eyJmIjoiY3JlYXRlZEF0IiwidiI6IjIwMjQtMDEtMTVUMTA6MzA6MDAuMDAwWiJ9"
+ *         page:
+ *           type: number
+ *           nullable: true
+ *           description: Current page number, or null when paging by cursor
+ *           example: 1
+ *         limit:
+ *           type: number
+ *           description: Page size used for this response
+ *           example: 20
  *
  *     Error:
  *       type: object
+ *       description: An RFC 7807 problem, sent as application/problem+json
  *       properties:
- *         error:
+ *         type:
  *           type: string
- *           description: Error message
- *           example: "Task not found"
- *         message:
+ *           description: URI identifying the kind of problem
+ *           example: "urn:task-api:problem:task_not_found"
+ *         title:
  *           type: string
- *           description: Detailed error message
- *           example: "The requested task with ID 60d0fe4f5311236168a109ca was not found"
+ *           description: Short summary, the same for every problem of this type
+ *           example: "Task not found"
  *         status:
- *           type: number
+ *           type: integer
  *           description: HTTP status code
  *           example: 404
+ *         detail:
+ *           type: string
+ *           description: What went wrong this time
+ *           example: "No task found with the provided ID"
+ *         code:
+ *           type: string
+ *           description: Stable error code to branch on
+ *           example: "task_not_found"
+ *         instance:
+ *           type: string
+ *           description: The path the request was made to
+ *           example: "/tasks/60d0fe4f5311236168a109ca"
+ *         requestId:
+ *           type: string
+ *           description: The request's ID, also sent in X-Request-Id
+ *           example: "7d3f6a0e-2c1b-4f5e-9a8d-1b2c3d4e5f60"
  *
  *     ValidationError:
- *       type: object
- *       properties:
- *         error:
- *           type: string
- *           example: "Validation failed"
- *         details:
- *           type: array
- *           items:
- *             type: object
- *             properties:
- *               field:
- *                 type: string
- *                 example: "title"
- *               message:
- *                 type: string
- *                 example: "Title is required"
+ *       allOf:
+ *         - $ref: '#/components/schemas/Error'
+ *         - type: object
+ *           properties:
+ *             errors:
+ *               type: array
+ *               description: The invalid fields
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   field:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Dotted path of the field; null when the body as a whole is invalid
+ *                     example: "title"
+ *                   message:
+ *                     type: string
+ *                     example: '"title" is required'
+ *                   code:
+ *                     type: string
+ *                     example: "any.required"
  */
 
 /**
@@ -248,43 +770,201 @@ const router = express.Router();
  *               createdAt: "2024-01-15T10:30:00.000Z"
  *               updatedAt: "2024-01-15T10:30:00.000Z"
  *       400:
- *         description: Validation error
+ *         description: Validation error or unknown category
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/ValidationError'
  *             example:
- *               error: "Validation failed"
- *               details:
+ *               type: "urn:task-api:problem:validation_failed"
+ *               title: "Validation error"
+ *               status: 400
+ *               detail: "The request has invalid fields"
+ *               code: "validation_failed"
+ *               errors:
  *                 - field: "title"
- *                   message: "Title is required"
+ *                   message: '"title" is required'
+ *                   code: "any.required"
  *                 - field: "category"
- *                   message: "Category must be one of: Work, Personal, Shopping, Health, Education, Other"
+ *                   message: '"category" is required'
+ *                   code: "any.required"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Internal server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
 router.post("/", validate(createTaskSchema), taskController.createTask);
 
+/**
+ * @swagger
+ * /tasks/bulk:
+ *   post:
+ *     summary: Create, update or delete many tasks at once
+ *     description: |
+ *       Send either a list of `operations`, or a `filter` plus a `patch` to apply to every task the filter matches (up to 500).
+ *       Each item is validated like the single-task endpoints and gets its own result, so one bad item doesn't stop the others.
+ *       With `atomic: true` the batch runs in a MongoDB transaction: if any item fails, nothing is applied and the response is 409.
+ *       Atomic batches need MongoDB running as a replica set and return 501 otherwise. Deletes move tasks to the trash.
+ *     tags: [Tasks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - op
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [create, update, delete]
+ *                     id:
+ *                       type: string
+ *                       description: Required for update and delete
+ *                     data:
+ *                       type: object
+ *                       description: CreateTaskRequest for create, UpdateTaskRequest for update
+ *               filter:
+ *                 type: object
+ *                 description: Same filters as GET /tasks
+ *                 properties:
+ *                   category:
+ *                     type: string
+ *                   priority:
+ *                     type: string
+ *                   completed:
+ *                     type: boolean
+ *                   deadlineFrom:
+ *                     type: string
+ *                     format: date
+ *                   deadlineTo:
+ *                     type: string
+ *                     format: date
+ *                   q:
+ *                     type: string
+ *               patch:
+ *                 $ref: '#/components/schemas/UpdateTaskRequest'
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *           examples:
+ *             operations:
+ *               summary: Mixed operations
+ *               value:
+ *                 operations:
+ *                   - op: "create"
+ *                     data:
+ *                       title: "Book flights"
+ *                       category: "Personal"
+ *                       priority: "Medium"
+ *                   - op: "update"
+ *                     id: "60d0fe4f5311236168a109ca"
+ *                     data:
+ *                       completed: true
+ *                   - op: "delete"
+ *                     id: "60d0fe4f5311236168a109cb"
+ *             filterAndPatch:
+ *               summary: Complete every pending Shopping task
+ *               value:
+ *                 filter:
+ *                   category: "Shopping"
+ *                   completed: false
+ *                 patch:
+ *                   completed: true
+ *     responses:
+ *       200:
+ *         description: Batch processed; check each result's status
+ *         content:
+ *           application/json:
+ *             example:
+ *               atomic: false
+ *               committed: true
+ *               summary:
+ *                 total: 3
+ *                 succeeded: 2
+ *                 failed: 1
+ *               results:
+ *                 - index: 0
+ *                   op: "create"
+ *                   id: "60d0fe4f5311236168a109cc"
+ *                   status: 201
+ *                   task:
+ *                     _id: "60d0fe4f5311236168a109cc"
+ *                     title: "Book flights"
+ *                 - index: 1
+ *                   op: "update"
+ *                   id: "60d0fe4f5311236168a109ca"
+ *                   type: "urn:task-api:problem:validation_failed"
+ *                   title: "Validation error"
+ *                   status: 400
+ *                   detail: "The request has invalid fields"
+ *                   code: "validation_failed"
+ *                   errors:
+ *                     - field: "priority"
+ *                       message: '"priority" must be one of [Low, Medium, High]'
+ *                       code: "any.only"
+ *                 - index: 2
+ *                   op: "delete"
+ *                   id: "60d0fe4f5311236168a109cb"
+ *                   status: 200
+ *       400:
+ *         description: Malformed request or filter matches too many tasks
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: >
+ *           An item in an atomic batch failed validation or failed while running, so
+ *           none of the batch was applied. The problem (code `batch_not_applied`)
+ *           carries the usual `atomic`, `committed`, `summary` and `results`, with
+ *           each failed item's own problem among the results.
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       501:
+ *         description: Atomic batch requested but MongoDB does not support transactions
+ */
+router.post("/bulk", validate(bulkTaskSchema), taskController.bulkTasks);
+
 /**
  * @swagger
  * /tasks:
  *   get:
- *     summary: Get all tasks with optional filtering and sorting
- *     description: Retrieve all tasks with optional filtering by category, priority, completion status, and deadline range. Results can be sorted by various fields.
+ *     summary: Get tasks with optional filtering, sorting and pagination
+ *     description: Retrieve tasks with optional filtering by category, priority, completion status, and deadline range. Results can be sorted by various fields and are paginated either by page number or by an opaque cursor. A `Link` header carries the next/first/prev/last URLs.
  *     tags: [Tasks]
  *     parameters:
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *           enum: [Work, Personal, Shopping, Health, Education, Other]
  *         description: Filter tasks by category
  *         example: "Work"
  *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags; matches tasks with any of them, or all of them with tagMatch=all
+ *         example: "client-a,q4"
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *       - in: query
  *         name: priority
  *         schema:
  *           type: string
@@ -298,6 +978,12 @@ router.post("/", validate(createTaskSchema), taskController.createTask);
  *         description: Filter tasks by completion status
  *         example: false
  *       - in: query
+ *         name: blocked
+ *         schema:
+ *           type: boolean
+ *         description: Only tasks that are (or aren't) waiting on open blockers
+ *         example: false
+ *       - in: query
  *         name: deadlineFrom
  *         schema:
  *           type: string
@@ -312,11 +998,17 @@ router.post("/", validate(createTaskSchema), taskController.createTask);
  *         description: Filter tasks with deadline until this date (inclusive)
  *         example: "2024-12-31"
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over title and description. Title matches rank higher. Combines with the other filters.
+ *         example: "project proposal"
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [createdAt, updatedAt, deadline, priority, title]
- *         description: Field to sort by
+ *           enum: [createdAt, updatedAt, deadline, priority, title, relevance]
+ *         description: Field to sort by. `relevance` requires `q` and always sorts best match first.
  *         example: "deadline"
  *       - in: query
  *         name: sortOrder
@@ -326,16 +1018,68 @@ router.post("/", validate(createTaskSchema), taskController.createTask);
  *         description: Sort order (ascending or descending)
  *         example: "asc"
  *         default: "desc"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Page size
+ *         example: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for offset pagination. Ignored when `after` is given.
+ *         example: 2
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor from a previous response's `nextCursor`. Must be used with the same `sortBy`.
+ *       - in: query
+ *         name: filter
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Filter expression, ANDed with the other filters. Terms are `field:op:value`
+ *           (or `field:null` / `field:notnull`); `!` negates a term, `|` joins terms with OR
+ *           and `;` joins groups with AND. List operators (`in`, `nin`, `all`) take
+ *           comma-separated values. See POST /tasks/search for fields and operators.
+ *         example: "priority:in:High,Medium;deadline:lt:2026-12-01;title:contains:report"
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated fields to return. `_id`, `id` and the sort field are always included.
+ *         example: "title,deadline,priority"
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Tasks retrieved successfully
+ *         headers:
+ *           Link:
+ *             description: RFC 5988 links to the next, first, prev and last pages
+ *             schema:
+ *               type: string
+ *           ETag:
+ *             description: Weak ETag of the page, for If-None-Match
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Task'
+ *               $ref: '#/components/schemas/TaskPage'
  *             example:
+ *               total: 2
+ *               hasMore: false
+ *               nextCursor: null
+ *               page: 1
+ *               limit: 20
+ *               data:
  *               - _id: "60d0fe4f5311236168a109ca"
  *                 title: "Complete project proposal"
  *                 description: "Write a comprehensive project proposal for the new client"
@@ -354,32 +1098,231 @@ router.post("/", validate(createTaskSchema), taskController.createTask);
  *                 completed: true
  *                 createdAt: "2024-01-14T09:15:00.000Z"
  *                 updatedAt: "2024-01-16T14:20:00.000Z"
+ *       400:
+ *         description: Invalid query parameters, pagination cursor, sort, filter or fields
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             examples:
+ *               invalidQuery:
+ *                 summary: Query parameters that don't pass validation
+ *                 value:
+ *                   type: "urn:task-api:problem:validation_failed"
+ *                   title: "Validation error"
+ *                   status: 400
+ *                   detail: "The query string has invalid parameters"
+ *                   code: "validation_failed"
+ *                   errors:
+ *                     - field: "deadlineFrom"
+ *                       message: '"deadlineFrom" must be in ISO 8601 date format'
+ *                       code: "date.format"
+ *                     - field: "sortBy"
+ *                       message: '"sortBy" must be one of [createdAt, updatedAt, deadline, priority, title, relevance]'
+ *                       code: "any.only"
+ *               invalidFilter:
+ *                 summary: Filter on a field that isn't allowed
+ *                 value:
+ *                   type: "urn:task-api:problem:invalid_filter"
+ *                   title: "Invalid filter"
+ *                   status: 400
+ *                   detail: "Can't filter on \"owner\""
+ *                   code: "invalid_filter"
+ *               invalidCursor:
+ *                 summary: Invalid cursor
+ *                 value:
+ *                   type: "urn:task-api:problem:invalid_cursor"
+ *                   title: "Invalid cursor"
+ *                   status: 400
+ *                   detail: "The 'after' cursor is malformed or was issued for a different sort"
+ *                   code: "invalid_cursor"
+ *               relevanceWithoutQuery:
+ *                 summary: Relevance sort without a search query
+ *                 value:
+ *                   type: "urn:task-api:problem:invalid_sort"
+ *                   title: "Invalid sort"
+ *                   status: 400
+ *                   detail: "sortBy=relevance requires a search query in 'q'"
+ *                   code: "invalid_sort"
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         description: Internal server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/", taskController.getTasks);
+router.get("/", validate(listTasksQuerySchema, "query"), taskController.getTasks);
 
 /**
  * @swagger
- * /tasks/stats:
- *   get:
- *     summary: Get task statistics
- *     description: Retrieve statistical information about tasks including total count, completion status, and distribution by category and priority
+ * /tasks/search:
+ *   post:
+ *     summary: Search tasks with a filter tree
+ *     description: |
+ *       Takes the GET /tasks parameters as a JSON body. `filter` may be the string
+ *       form or a tree of `{ "and": [...] }`, `{ "or": [...] }`, `{ "not": {...} }` and
+ *       `{ "field", "op", "value" }` nodes, nested up to 5 levels with at most 50 conditions.
+ *
+ *       | Fields | Operators |
+ *       |--------|-----------|
+ *       | title, description, category, priority, recurrence.frequency | eq, ne, in, nin, contains, startsWith, endsWith, null, notnull |
+ *       | tags | eq, ne, in, nin, all, null, notnull |
+ *       | deadline, completedAt, createdAt, updatedAt | eq, ne, lt, lte, gt, gte, null, notnull |
+ *       | completed, autoComplete, blocked | eq, ne |
+ *
+ *       `contains`, `startsWith` and `endsWith` ignore case. `null` and `notnull` take no value;
+ *       on tags they mean "no tags" and "some tags".
  *     tags: [Tasks]
- *     responses:
- *       200:
- *         description: Task statistics retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/TaskStats'
- *             example:
- *               total: 25
- *               completed: 10
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filter:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: object
+ *               fields:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *               q:
+ *                 type: string
+ *               sortBy:
+ *                 type: string
+ *               sortOrder:
+ *                 type: string
+ *                 enum: [asc, desc]
+ *               limit:
+ *                 type: integer
+ *               page:
+ *                 type: integer
+ *               after:
+ *                 type: string
+ *           example:
+ *             filter:
+ *               and:
+ *                 - field: "priority"
+ *                   op: "in"
+ *                   value: ["High", "Medium"]
+ *                 - or:
+ *                     - field: "deadline"
+ *                       op: "lt"
+ *                       value: "2026-12-01"
+ *                     - field: "deadline"
+ *                       op: "null"
+ *                 - not:
+ *                     field: "title"
+ *                     op: "contains"
+ *                     value: "draft"
+ *             fields: ["title", "priority", "deadline"]
+ *             sortBy: "deadline"
+ *             sortOrder: "asc"
+ *     responses:
+ *       200:
+ *         description: Matching tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskPage'
+ *       400:
+ *         description: Malformed body, invalid filter or fields, or invalid cursor or sort
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post("/search", validate(searchTaskSchema), taskController.searchTasks);
+
+/**
+ * @swagger
+ * /tasks/stats:
+ *   get:
+ *     summary: Get task statistics
+ *     description: Retrieve statistical information about tasks including total count, completion status and rate, average time to complete, distribution by category and priority, and created/completed counts over time. Takes the same filters as GET /tasks.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the time series range. Defaults to 30 days before `to`.
+ *         example: "2024-01-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the time series range. Defaults to now.
+ *         example: "2024-03-31"
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *         description: Size of each time series bucket
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [Low, Medium, High]
+ *       - in: query
+ *         name: completed
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: blocked
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: deadlineFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: deadlineTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskStats'
+ *             example:
+ *               total: 25
+ *               completed: 10
  *               pending: 15
  *               overdue: 3
  *               byCategory:
@@ -392,14 +1335,321 @@ router.get("/", taskController.getTasks);
  *                 High: 5
  *                 Medium: 12
  *                 Low: 8
+ *               completionRate: 40
+ *               averageCompletionHours: 52.75
+ *               crossTab:
+ *                 Work:
+ *                   High: 4
+ *                   Medium: 5
+ *                   Low: 1
+ *               time:
+ *                 trackedMinutes: 1830
+ *                 estimateMinutes: 2100
+ *                 byCategory:
+ *                   Work:
+ *                     trackedMinutes: 1500
+ *                     estimateMinutes: 1680
+ *                   Personal:
+ *                     trackedMinutes: 330
+ *                     estimateMinutes: 420
+ *               timeSeries:
+ *                 interval: "week"
+ *                 from: "2024-01-01T00:00:00.000Z"
+ *                 to: "2024-01-21T00:00:00.000Z"
+ *                 buckets:
+ *                   - period: "2024-01-01T00:00:00.000Z"
+ *                     created: 4
+ *                     completed: 1
+ *                     trackedMinutes: 600
+ *                   - period: "2024-01-08T00:00:00.000Z"
+ *                     created: 2
+ *                     completed: 3
+ *                     trackedMinutes: 750
+ *                   - period: "2024-01-15T00:00:00.000Z"
+ *                     created: 0
+ *                     completed: 2
+ *                     trackedMinutes: 480
+ *       400:
+ *         description: Invalid query parameters, or from after to
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         description: Internal server error
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/stats", validate(statsQuerySchema, "query"), taskController.getTaskStats);
+
+/**
+ * @swagger
+ * /tasks/trash:
+ *   get:
+ *     summary: List trashed tasks
+ *     description: Tasks that were deleted but can still be restored, most recently deleted first
+ *     tags: [Trash]
+ *     responses:
+ *       200:
+ *         description: Trashed tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Task'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Empty the trash
+ *     description: Permanently deletes trashed tasks. Trashed tasks are also purged automatically after TRASH_RETENTION_DAYS (30 by default).
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: query
+ *         name: olderThanDays
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Only purge tasks trashed at least this many days ago
+ *         example: 7
+ *     responses:
+ *       200:
+ *         description: Trash emptied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Trash emptied"
+ *                 purged:
+ *                   type: number
+ *                   example: 4
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get("/trash", taskController.getTrash);
+router.delete("/trash", validate(emptyTrashQuerySchema, "query"), taskController.emptyTrash);
+
+/**
+ * @swagger
+ * /tasks/export:
+ *   get:
+ *     summary: Export tasks
+ *     description: Downloads every task matching the filters as CSV, JSON or iCalendar. The iCalendar export has one VTODO per task, with DUE taken from the deadline.
+ *     tags: [Import/Export]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ics]
+ *           default: json
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [Low, Medium, High]
+ *       - in: query
+ *         name: completed
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: blocked
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: deadlineFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: deadlineTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export file, sent as an attachment
+ *         content:
+ *           text/csv:
+ *             example: |
+ *               id,title,description,category,priority,deadline,completed,createdAt,updatedAt
+ *               60d0fe4f5311236168a109ca,Complete project proposal,,Work,High,2025-12-31T23:59:59.000Z,false,2024-01-15T10:30:00.000Z,2024-01-15T10:30:00.000Z
  *           application/json:
  *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Task'
+ *           text/calendar:
+ *             example: |
+ *               BEGIN:VCALENDAR
+ *               VERSION:2.0
+ *               PRODID:-//tg-crescentrating//Task Management API//EN
+ *               BEGIN:VTODO
+ *               UID:60d0fe4f5311236168a109ca@tg-crescentrating
+ *               SUMMARY:Complete project proposal
+ *               DUE:20251231T235959Z
+ *               STATUS:NEEDS-ACTION
+ *               END:VTODO
+ *               END:VCALENDAR
+ *       400:
+ *         description: Invalid query parameters, like an unsupported format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get("/export", validate(exportQuerySchema, "query"), taskController.exportTasks);
+
+/**
+ * @swagger
+ * /tasks/stream:
+ *   get:
+ *     summary: Stream task changes
+ *     description: |
+ *       Server-Sent Events for every `task.created`, `task.updated`, `task.completed` and
+ *       `task.deleted` on your tasks, optionally only those in the given categories or
+ *       priorities. Each event's `data` is JSON like a webhook payload:
+ *       `{ id, event, createdAt, data: { task } }`.
+ *
+ *       Reconnect with the last event ID in `Last-Event-ID` (EventSource does this by itself)
+ *       to get the events you missed. When they're no longer available, for instance after a
+ *       server restart, a `stream.reset` event tells you to reload your tasks instead.
+ *
+ *       The same URL takes a WebSocket upgrade, with the same query parameters. Without an
+ *       Authorization header, send `{ "type": "auth", "token": "..." }` first. Send
+ *       `{ "type": "subscribe", "category": "...", "priority": "...", "lastEventId": "..." }`
+ *       to change the filter.
+ *     tags: [Real-time]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         description: Comma-separated category names
+ *         schema:
+ *           type: string
+ *           example: "Work,Personal"
+ *       - in: query
+ *         name: priority
+ *         description: Comma-separated priorities
+ *         schema:
+ *           type: string
+ *           example: "High,Medium"
+ *       - in: header
+ *         name: Last-Event-ID
+ *         description: ID of the last event received, to resume after it
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lastEventId
+ *         description: The same as Last-Event-ID, for clients that can't set headers
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: An endless event stream
+ *         content:
+ *           text/event-stream:
+ *             example: |
+ *               retry: 3000
+ *
+ *               id: mgx4k2a1-42
+ *               event: task.updated
+ *               data: {"id":"mgx4k2a1-42","event":"task.updated","createdAt":"2025-10-19T09:30:00.000Z","data":{"task":{"id":"60d0fe4f5311236168a109ca","title":"Complete project proposal","priority":"High"}}}
+ *       400:
+ *         description: Unknown priority
+ *         content:
+ *           application/problem+json:
+ *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get("/stream", validate(streamQuerySchema, "query"), streamController.streamTasks);
+
+/**
+ * @swagger
+ * /tasks/import:
+ *   post:
+ *     summary: Import tasks
+ *     description: |
+ *       Creates tasks from a CSV, JSON or iCalendar body. The format comes from `?format=` or the Content-Type.
+ *       Every record is validated like POST /tasks (plus an optional `completed` flag). Valid records are created,
+ *       and invalid ones are listed in `errors` with their row number and reasons. At most 1000 records per import.
+ *     tags: [Import/Export]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ics]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             title,category,priority,deadline
+ *             Buy groceries,Shopping,Low,2025-12-20
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/CreateTaskRequest'
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             example:
+ *               format: "csv"
+ *               total: 3
+ *               imported: 2
+ *               failed: 1
+ *               taskIds: ["60d0fe4f5311236168a109cc", "60d0fe4f5311236168a109cd"]
+ *               errors:
+ *                 - row: 2
+ *                   reasons: ['"priority" must be one of [Low, Medium, High]']
+ *       400:
+ *         description: Unsupported format, unreadable body, or too many records
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  */
-router.get("/stats", taskController.getTaskStats);
+router.post(
+  "/import",
+  validate(importQuerySchema, "query"),
+  express.text({ type: ["text/csv", "text/calendar", "text/plain"], limit: "5mb" }),
+  taskController.importTasks
+);
 
 /**
  * @swagger
@@ -417,9 +1667,13 @@ router.get("/stats", taskController.getTaskStats);
  *           pattern: '^[0-9a-fA-F]{24}$'
  *         description: MongoDB ObjectId of the task
  *         example: "60d0fe4f5311236168a109ca"
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Task retrieved successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -437,38 +1691,54 @@ router.get("/stats", taskController.getTaskStats);
  *       400:
  *         description: Invalid task ID format
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
- *               error: "Invalid ID format"
- *               message: "Task ID must be a valid MongoDB ObjectId"
+ *               type: "urn:task-api:problem:invalid_id"
+ *               title: "Invalid ID format"
  *               status: 400
+ *               detail: "Task ID must be a valid MongoDB ObjectId"
+ *               code: "invalid_id"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Task not found
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
- *               error: "Task not found"
- *               message: "No task found with the provided ID"
+ *               type: "urn:task-api:problem:task_not_found"
+ *               title: "Task not found"
  *               status: 404
+ *               detail: "No task found with the provided ID"
+ *               code: "task_not_found"
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         description: Internal server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/:id", taskController.getTaskById);
+router.get("/:id", validate(taskParamsSchema, "params"), taskController.getTaskById);
 
 /**
  * @swagger
  * /tasks/{id}:
  *   put:
- *     summary: Update a task
- *     description: Update an existing task with new information. All fields are optional.
+ *     summary: Replace a task
+ *     description: |
+ *       Replaces the task's editable fields with the ones sent, validated like a new task, except
+ *       that the task's current deadline is accepted even once it has passed.
+ *       Fields left out go back to their defaults (no description, tags, deadline, checklist,
+ *       recurrence or reminders, not completed), so send the whole task; to change only some
+ *       fields use PATCH. A missing `project` keeps the task in its project; send `null` to take it out. Completing a recurring task creates its next occurrence with the
+ *       deadline rolled forward.
  *     tags: [Tasks]
  *     parameters:
  *       - in: path
@@ -479,31 +1749,32 @@ router.get("/:id", taskController.getTaskById);
  *           pattern: '^[0-9a-fA-F]{24}$'
  *         description: MongoDB ObjectId of the task to update
  *         example: "60d0fe4f5311236168a109ca"
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/UpdateTaskRequest'
- *           examples:
- *             updateTitle:
- *               summary: Update only title
- *               value:
- *                 title: "Updated project proposal"
- *             markCompleted:
- *               summary: Mark task as completed
- *               value:
- *                 completed: true
- *             fullUpdate:
- *               summary: Update multiple fields
- *               value:
- *                 title: "Updated project proposal"
- *                 description: "Updated description with new requirements"
- *                 priority: "Medium"
- *                 completed: true
+ *             allOf:
+ *               - $ref: '#/components/schemas/CreateTaskRequest'
+ *               - type: object
+ *                 properties:
+ *                   completed:
+ *                     type: boolean
+ *                     example: true
+ *           example:
+ *             title: "Updated project proposal"
+ *             description: "Updated description with new requirements"
+ *             category: "Work"
+ *             priority: "Medium"
+ *             deadline: "2025-12-31T23:59:59.000Z"
+ *             completed: true
  *     responses:
  *       200:
  *         description: Task updated successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -519,9 +1790,9 @@ router.get("/:id", taskController.getTaskById);
  *               createdAt: "2024-01-15T10:30:00.000Z"
  *               updatedAt: "2024-01-16T15:45:00.000Z"
  *       400:
- *         description: Validation error or invalid ID format
+ *         description: Validation error, unknown category or invalid ID format
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               oneOf:
  *                 - $ref: '#/components/schemas/ValidationError'
@@ -530,41 +1801,68 @@ router.get("/:id", taskController.getTaskById);
  *               validationError:
  *                 summary: Validation error
  *                 value:
- *                   error: "Validation failed"
- *                   details:
+ *                   type: "urn:task-api:problem:validation_failed"
+ *                   title: "Validation error"
+ *                   status: 400
+ *                   detail: "The request has invalid fields"
+ *                   code: "validation_failed"
+ *                   errors:
  *                     - field: "priority"
- *                       message: "Priority must be one of: Low, Medium, High"
+ *                       message: '"priority" must be one of [Low, Medium, High]'
+ *                       code: "any.only"
  *               invalidId:
  *                 summary: Invalid ID format
  *                 value:
- *                   error: "Invalid ID format"
- *                   message: "Task ID must be a valid MongoDB ObjectId"
+ *                   type: "urn:task-api:problem:invalid_id"
+ *                   title: "Invalid ID format"
  *                   status: 400
+ *                   detail: "Task ID must be a valid MongoDB ObjectId"
+ *                   code: "invalid_id"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Task not found
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
- *               error: "Task not found"
- *               message: "No task found with the provided ID"
+ *               type: "urn:task-api:problem:task_not_found"
+ *               title: "Task not found"
  *               status: 404
+ *               detail: "No task found with the provided ID"
+ *               code: "task_not_found"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         $ref: '#/components/responses/Blocked'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
  *       500:
  *         description: Internal server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put("/:id", validate(updateTaskSchema), taskController.updateTask);
+router.put("/:id", validate(taskParamsSchema, "params"), taskController.updateTask);
 
 /**
  * @swagger
  * /tasks/{id}:
- *   delete:
- *     summary: Delete a task
- *     description: Permanently delete a task by its ID
+ *   patch:
+ *     summary: Change part of a task
+ *     description: |
+ *       Applies a patch to the task's editable fields (the ones PUT takes, with checklist items as
+ *       `{ text, done }`), then validates the result like a PUT, except that a deadline the patch
+ *       leaves alone may be in the past. Two formats are accepted, picked by Content-Type:
+ *
+ *       - `application/merge-patch+json` (RFC 7386): an object with the fields to change; `null` clears a field
+ *       - `application/json-patch+json` (RFC 6902): a list of `add`, `remove`, `replace`, `move`, `copy` and `test` operations
+ *
+ *       Checklist items keep their IDs unless the patch changes the checklist.
  *     tags: [Tasks]
  *     parameters:
  *       - in: path
@@ -573,56 +1871,1001 @@ router.put("/:id", validate(updateTaskSchema), taskController.updateTask);
  *         schema:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: MongoDB ObjectId of the task to delete
+ *         description: MongoDB ObjectId of the task to change
  *         example: "60d0fe4f5311236168a109ca"
- *     responses:
- *       200:
- *         description: Task deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Task deleted successfully"
- *                 deletedTask:
- *                   $ref: '#/components/schemas/Task'
- *             example:
- *               message: "Task deleted successfully"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *           examples:
+ *             clearDeadline:
+ *               summary: Clear the deadline
+ *               value:
+ *                 deadline: null
+ *             complete:
+ *               summary: Only mark it completed
+ *               value:
+ *                 completed: true
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required: [op, path]
+ *               properties:
+ *                 op:
+ *                   type: string
+ *                   enum: [add, remove, replace, move, copy, test]
+ *                 path:
+ *                   type: string
+ *                   description: JSON pointer
+ *                 from:
+ *                   type: string
+ *                   description: JSON pointer, for move and copy
+ *                 value: {}
+ *           example:
+ *             - op: "test"
+ *               path: "/completed"
+ *               value: false
+ *             - op: "replace"
+ *               path: "/checklist/0/done"
+ *               value: true
+ *             - op: "add"
+ *               path: "/tags/-"
+ *               value: "urgent"
+ *     responses:
+ *       200:
+ *         description: Task changed
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Malformed patch, unknown category or invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               type: "urn:task-api:problem:invalid_patch"
+ *               title: "Invalid patch"
+ *               status: 400
+ *               detail: "Operation 0 has unknown op \"frob\""
+ *               code: "invalid_patch"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A path in the patch doesn't exist, a `test` operation failed, or the patch would complete a blocked task
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               type: "urn:task-api:problem:patch_conflict"
+ *               title: "Patch conflict"
+ *               status: 409
+ *               detail: "Test failed: \"/completed\" is not false"
+ *               code: "patch_conflict"
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       415:
+ *         description: The body isn't one of the two patch formats; `Accept-Patch` lists them
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The patch applied, but the resulting task is invalid
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *             example:
+ *               type: "urn:task-api:problem:validation_failed"
+ *               title: "Validation error"
+ *               status: 422
+ *               detail: "The patched task is invalid"
+ *               code: "validation_failed"
+ *               errors:
+ *                 - field: "priority"
+ *                   message: '"priority" must be one of [Low, Medium, High]'
+ *                   code: "any.only"
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
+ */
+router.patch("/:id", validate(taskParamsSchema, "params"), taskController.patchTask);
+
+/**
+ * @swagger
+ * /tasks/{id}:
+ *   delete:
+ *     summary: Move a task to the trash
+ *     description: Soft-deletes a task. It disappears from lists and stats but can be restored from the trash.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task to delete
+ *         example: "60d0fe4f5311236168a109ca"
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Task deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Task moved to trash"
+ *                 deletedTask:
+ *                   $ref: '#/components/schemas/Task'
+ *             example:
+ *               message: "Task moved to trash"
  *               deletedTask:
  *                 _id: "60d0fe4f5311236168a109ca"
  *                 title: "Complete project proposal"
  *                 category: "Work"
  *                 priority: "High"
  *                 completed: false
+ *                 deletedAt: "2024-01-20T08:00:00.000Z"
  *       400:
  *         description: Invalid task ID format
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
- *               error: "Invalid ID format"
- *               message: "Task ID must be a valid MongoDB ObjectId"
+ *               type: "urn:task-api:problem:invalid_id"
+ *               title: "Invalid ID format"
  *               status: 400
+ *               detail: "Task ID must be a valid MongoDB ObjectId"
+ *               code: "invalid_id"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Task not found
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *             example:
- *               error: "Task not found"
- *               message: "No task found with the provided ID"
+ *               type: "urn:task-api:problem:task_not_found"
+ *               title: "Task not found"
  *               status: 404
+ *               detail: "No task found with the provided ID"
+ *               code: "task_not_found"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       428:
+ *         $ref: '#/components/responses/PreconditionRequired'
  *       500:
  *         description: Internal server error
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", validate(taskParamsSchema, "params"), taskController.deleteTask);
+
+/**
+ * @swagger
+ * /tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a task from the trash
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the trashed task
+ *     responses:
+ *       200:
+ *         description: Task restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid task ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: No trashed task with this ID
+ */
+router.post("/:id/restore", validate(taskParamsSchema, "params"), taskController.restoreTask);
+
+/**
+ * @swagger
+ * /tasks/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a task
+ *     description: Removes a task for good, whether it is in the trash or not. This cannot be undone.
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *     responses:
+ *       200:
+ *         description: Task permanently deleted
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Task permanently deleted"
+ *               deletedTask:
+ *                 _id: "60d0fe4f5311236168a109ca"
+ *                 title: "Complete project proposal"
+ *                 category: "Work"
+ *                 priority: "High"
+ *                 completed: false
+ *       400:
+ *         description: Invalid task ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ */
+router.delete("/:id/permanent", validate(taskParamsSchema, "params"), taskController.destroyTask);
+
+/**
+ * @swagger
+ * /tasks/{id}/history:
+ *   get:
+ *     summary: Get a task's change history
+ *     description: Every create, update, delete, restore and revert of the task, newest first. Still available while the task is in the trash.
+ *     tags: [History]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *     responses:
+ *       200:
+ *         description: History entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/HistoryEntry'
+ *       400:
+ *         description: Invalid task ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ */
+router.get("/:id/history", validate(taskParamsSchema, "params"), taskController.getTaskHistory);
+
+/**
+ * @swagger
+ * /tasks/{id}/revert:
+ *   post:
+ *     summary: Revert a task to an earlier revision
+ *     description: Restores the task's fields to how they were right after the given revision. The revert itself is recorded as a new revision.
+ *     tags: [History]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Task reverted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task or revision not found
+ */
+router.post("/:id/revert", validate(taskParamsSchema, "params"), validate(revertTaskSchema), taskController.revertTask);
+
+/**
+ * @swagger
+ * /tasks/{id}/occurrences:
+ *   get:
+ *     summary: Preview upcoming occurrences of a recurring task
+ *     description: Lists the deadlines the next occurrences of this task will get, stopping where the series ends
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
+ *         description: How many occurrences to list
+ *     responses:
+ *       200:
+ *         description: Upcoming occurrences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 taskId:
+ *                   type: string
+ *                 recurrence:
+ *                   $ref: '#/components/schemas/Recurrence'
+ *                 occurrences:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       occurrence:
+ *                         type: integer
+ *                       deadline:
+ *                         type: string
+ *                         format: date-time
+ *             example:
+ *               taskId: "60d0fe4f5311236168a109ca"
+ *               recurrence:
+ *                 frequency: "weekly"
+ *                 interval: 1
+ *                 start: "2025-01-06T09:00:00.000Z"
+ *                 until: null
+ *                 count: 4
+ *                 occurrence: 2
+ *                 nextTask: null
+ *               occurrences:
+ *                 - occurrence: 3
+ *                   deadline: "2025-01-20T09:00:00.000Z"
+ *                 - occurrence: 4
+ *                   deadline: "2025-01-27T09:00:00.000Z"
+ *       400:
+ *         description: Invalid ID format or the task does not recur
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               type: "urn:task-api:problem:task_not_recurring"
+ *               title: "Task does not recur"
+ *               status: 400
+ *               detail: "This task has no recurrence rule"
+ *               code: "task_not_recurring"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ */
+router.get("/:id/occurrences", validate(taskParamsSchema, "params"), validate(occurrencesQuerySchema, "query"), taskController.getOccurrences);
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist:
+ *   post:
+ *     summary: Add a checklist item
+ *     description: Appends an item to the end of the task's checklist
+ *     tags: [Checklist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChecklistItemRequest'
+ *     responses:
+ *       201:
+ *         description: Item added; returns the updated task
+ *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ */
+router.post("/:id/checklist", validate(taskParamsSchema, "params"), validate(checklistItemSchema), taskController.addChecklistItem);
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/reorder:
+ *   put:
+ *     summary: Reorder the checklist
+ *     description: Puts the listed items first, in the given order. Items not listed keep their relative order after them.
+ *     tags: [Checklist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemIds
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["60d0fe4f5311236168a109d2", "60d0fe4f5311236168a109d1"]
+ *     responses:
+ *       200:
+ *         description: Checklist reordered; returns the updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ */
+router.put("/:id/checklist/reorder", validate(taskParamsSchema, "params"), validate(reorderChecklistSchema), taskController.reorderChecklist);
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/{itemId}:
+ *   put:
+ *     summary: Update or toggle a checklist item
+ *     description: Changes an item's text and/or done flag. If the task has autoComplete on, its completed flag follows the checklist.
+ *     tags: [Checklist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the checklist item
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               done:
+ *                 type: boolean
+ *           example:
+ *             done: true
+ *     responses:
+ *       200:
+ *         description: Item updated; returns the updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task or checklist item not found
+ *       409:
+ *         $ref: '#/components/responses/Blocked'
+ *   delete:
+ *     summary: Remove a checklist item
+ *     tags: [Checklist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the checklist item
+ *     responses:
+ *       200:
+ *         description: Item removed; returns the updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task or checklist item not found
+ *       409:
+ *         $ref: '#/components/responses/Blocked'
+ */
+router.put("/:id/checklist/:itemId", validate(checklistItemParamsSchema, "params"), validate(updateChecklistItemSchema), taskController.updateChecklistItem);
+router.delete("/:id/checklist/:itemId", validate(checklistItemParamsSchema, "params"), taskController.removeChecklistItem);
+
+/**
+ * @swagger
+ * /tasks/{id}/timer/start:
+ *   post:
+ *     summary: Start a timer
+ *     description: |
+ *       Starts tracking your time on the task, as a time entry without an `endedAt`. You can
+ *       have one timer running per task; other members of the task's project have their own.
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *     responses:
+ *       201:
+ *         description: Timer started; returns the updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: You already have a timer running on this task
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/timer/start", validate(taskParamsSchema, "params"), taskController.startTimer);
+
+/**
+ * @swagger
+ * /tasks/{id}/timer/stop:
+ *   post:
+ *     summary: Stop your timer
+ *     description: Ends your running timer on the task and books the whole minutes it ran.
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *     responses:
+ *       200:
+ *         description: Timer stopped; returns the updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ *       409:
+ *         description: You have no timer running on this task
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/timer/stop", validate(taskParamsSchema, "params"), taskController.stopTimer);
+
+/**
+ * @swagger
+ * /tasks/{id}/time-entries:
+ *   post:
+ *     summary: Add a time entry
+ *     description: Records time spent on the task by hand, up to a day per entry.
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/TimeEntryRequest'
+ *               - required: [minutes]
+ *     responses:
+ *       201:
+ *         description: Entry added; returns the updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ */
+router.post("/:id/time-entries", validate(taskParamsSchema, "params"), validate(timeEntrySchema), taskController.addTimeEntry);
+
+/**
+ * @swagger
+ * /tasks/{id}/time-entries/{entryId}:
+ *   put:
+ *     summary: Change a time entry
+ *     description: Changes an entry's minutes, start or note. A running timer's entry only takes a new note.
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the time entry
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TimeEntryRequest'
+ *           example:
+ *             minutes: 60
+ *     responses:
+ *       200:
+ *         description: Entry updated; returns the updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task or time entry not found
+ *       409:
+ *         description: The entry's timer is still running
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Remove a time entry
+ *     description: Removing a running timer's entry cancels the timer.
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the task
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: MongoDB ObjectId of the time entry
+ *     responses:
+ *       200:
+ *         description: Entry removed; returns the updated task
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task or time entry not found
+ */
+router.put("/:id/time-entries/:entryId", validate(timeEntryParamsSchema, "params"), validate(updateTimeEntrySchema), taskController.updateTimeEntry);
+router.delete("/:id/time-entries/:entryId", validate(timeEntryParamsSchema, "params"), taskController.removeTimeEntry);
+
+/**
+ * @swagger
+ * /tasks/{id}/blockers:
+ *   post:
+ *     summary: Add a blocker
+ *     description: |
+ *       Makes another of your tasks one that has to be completed before this one. Links that
+ *       would make tasks block each other, directly or through others, are refused. While any
+ *       blocker is open the task is `blocked`, and completing it is refused with a 409, unless
+ *       the server runs with BLOCKED_COMPLETION=warn, in which case it goes through with a
+ *       `Warning` header.
+ *     tags: [Dependencies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [taskId]
+ *             properties:
+ *               taskId:
+ *                 type: string
+ *                 description: ID of the blocking task
+ *                 example: "60d0fe4f5311236168a109cb"
+ *     responses:
+ *       201:
+ *         description: Blocker added; the updated task
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid ID format, a task blocking itself, an unknown blocker or more than 50 blockers
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The link would create a cycle
+ *         content:
+ *           application/problem+json:
+ *             example:
+ *               type: "urn:task-api:problem:dependency_cycle"
+ *               title: "Dependency cycle"
+ *               status: 409
+ *               detail: "The tasks would end up blocking each other"
+ *               code: "dependency_cycle"
+ *               cycle: ["60d0fe4f5311236168a109ca", "60d0fe4f5311236168a109cb", "60d0fe4f5311236168a109ca"]
+ */
+router.post("/:id/blockers", validate(taskParamsSchema, "params"), validate(blockerSchema), taskController.addBlocker);
+
+/**
+ * @swagger
+ * /tasks/{id}/blockers/{blockerId}:
+ *   delete:
+ *     summary: Remove a blocker
+ *     tags: [Dependencies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: blockerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blocker removed; the updated task
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found, or not blocked by that task
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id/blockers/:blockerId", validate(blockerParamsSchema, "params"), taskController.removeBlocker);
+
+/**
+ * @swagger
+ * /tasks/{id}/graph:
+ *   get:
+ *     summary: Get a task's dependency tree
+ *     description: |
+ *       The task with the tree of tasks blocking it (`blockedBy`) and the tree of tasks it
+ *       blocks (`blocks`), up to 20 levels each way. Trashed tasks are left out. A task
+ *       reached along several branches appears in each of them.
+ *     tags: [Dependencies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dependency tree
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: "60d0fe4f5311236168a109ca"
+ *               title: "Launch the website"
+ *               priority: "High"
+ *               deadline: "2025-12-31T23:59:59.000Z"
+ *               completed: false
+ *               blocked: true
+ *               blockedBy:
+ *                 - id: "60d0fe4f5311236168a109cb"
+ *                   title: "Write the copy"
+ *                   priority: "Medium"
+ *                   deadline: null
+ *                   completed: false
+ *                   blocked: false
+ *                   blockedBy: []
+ *               blocks:
+ *                 - id: "60d0fe4f5311236168a109cc"
+ *                   title: "Announce the launch"
+ *                   priority: "Low"
+ *                   deadline: null
+ *                   completed: false
+ *                   blocked: true
+ *                   blocks: []
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete("/:id", taskController.deleteTask);
+router.get("/:id/graph", validate(taskParamsSchema, "params"), taskController.getTaskGraph);
 
 export default router;
\ No newline at end of file
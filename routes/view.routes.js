@@ -0,0 +1,367 @@
+import express from "express";
+import viewController from "../controllers/view.controller.js";
+import { validate } from "../middleware/error.middleware.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import {
+  createViewSchema,
+  updateViewSchema,
+  viewParamsSchema,
+  viewTasksQuerySchema
+} from "../validators/view.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ViewQuery:
+ *       type: object
+ *       description: The parameters the view runs GET /tasks with (see POST /tasks/search)
+ *       properties:
+ *         filter:
+ *           oneOf:
+ *             - type: string
+ *             - type: object
+ *           description: Filter language expression or tree
+ *         q:
+ *           type: string
+ *         category:
+ *           type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         tagMatch:
+ *           type: string
+ *           enum: [any, all]
+ *         priority:
+ *           type: string
+ *         completed:
+ *           type: boolean
+ *         blocked:
+ *           type: boolean
+ *         deadlineFrom:
+ *           type: string
+ *           format: date-time
+ *         deadlineTo:
+ *           type: string
+ *           format: date-time
+ *         sortBy:
+ *           type: string
+ *         sortOrder:
+ *           type: string
+ *           enum: [asc, desc]
+ *         limit:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           description: Page size
+ *         fields:
+ *           type: array
+ *           items:
+ *             type: string
+ *
+ *     View:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique identifier for a saved view; smart lists have only an `id`
+ *           example: "60d0fe4f5311236168a109ee"
+ *         id:
+ *           type: string
+ *           description: The view's ID, or the smart list's name such as `today`
+ *           example: "60d0fe4f5311236168a109ee"
+ *         name:
+ *           type: string
+ *           example: "Client A this quarter"
+ *         description:
+ *           type: string
+ *           example: "Open client-a work due before the end of the quarter"
+ *         builtIn:
+ *           type: boolean
+ *           description: True for the smart lists, which can't be changed or deleted
+ *           example: false
+ *         query:
+ *           $ref: '#/components/schemas/ViewQuery'
+ *         owner:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109aa"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     ViewRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Client A this quarter"
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *           example: "Open client-a work due before the end of the quarter"
+ *         query:
+ *           $ref: '#/components/schemas/ViewQuery'
+ */
+
+/**
+ * @swagger
+ * /views:
+ *   post:
+ *     summary: Save a view
+ *     description: Stores a named set of list parameters to run later with GET /views/{id}/tasks
+ *     tags: [Views]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ViewRequest'
+ *               - required: [name]
+ *           example:
+ *             name: "Client A this quarter"
+ *             query:
+ *               filter: "deadline:lt:2026-01-01"
+ *               tags: ["client-a"]
+ *               completed: false
+ *               sortBy: "deadline"
+ *               sortOrder: "asc"
+ *               limit: 50
+ *     responses:
+ *       201:
+ *         description: View saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/View'
+ *       400:
+ *         description: Validation error or invalid filter or fields
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: A view with this name already exists
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List views
+ *     description: |
+ *       The built-in smart lists (`today`, `overdue`, `this-week` and `high-priority-pending`)
+ *       with their queries as of now, followed by your saved views by name.
+ *     tags: [Views]
+ *     responses:
+ *       200:
+ *         description: Smart lists and saved views
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/View'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post("/", validate(createViewSchema), viewController.createView);
+router.get("/", viewController.getViews);
+
+/**
+ * @swagger
+ * /views/{id}:
+ *   get:
+ *     summary: Get a view
+ *     tags: [Views]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: View ID or smart list name
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: View found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/View'
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: View not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update a view
+ *     description: A `query` given here replaces the stored one as a whole.
+ *     tags: [Views]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ViewRequest'
+ *     responses:
+ *       200:
+ *         description: View updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/View'
+ *       400:
+ *         description: Validation error, invalid filter or invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Smart lists can't be changed
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: View not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A view with this name already exists
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a view
+ *     tags: [Views]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: View deleted
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "View deleted successfully"
+ *               deletedView:
+ *                 id: "60d0fe4f5311236168a109ee"
+ *                 name: "Client A this quarter"
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Smart lists can't be deleted
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: View not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id", validate(viewParamsSchema, "params"), viewController.getViewById);
+router.put("/:id", validate(viewParamsSchema, "params"), validate(updateViewSchema), viewController.updateView);
+router.delete("/:id", validate(viewParamsSchema, "params"), viewController.deleteView);
+
+/**
+ * @swagger
+ * /views/{id}/tasks:
+ *   get:
+ *     summary: Run a view
+ *     description: |
+ *       Lists the tasks matching a saved view or smart list, in the same shape as GET /tasks.
+ *       Smart lists are worked out from the current time, with days and weeks (Monday to
+ *       Sunday) in UTC.
+ *     tags: [Views]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: View ID or smart list name
+ *         schema:
+ *           type: string
+ *           example: "today"
+ *       - in: query
+ *         name: limit
+ *         description: Page size, overriding the view's own
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: after
+ *         description: Cursor from a previous `nextCursor`
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Matching tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaskPage'
+ *       400:
+ *         description: Invalid ID format, invalid cursor, or a view whose filter no longer compiles
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: View not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/tasks", validate(viewParamsSchema, "params"), validate(viewTasksQuerySchema, "query"), viewController.getViewTasks);
+
+export default router;
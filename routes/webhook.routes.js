@@ -0,0 +1,398 @@
+import express from "express";
+import webhookController from "../controllers/webhook.controller.js";
+import { validate } from "../middleware/error.middleware.js";
+import { authenticate } from "../middleware/auth.middleware.js";
+import {
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookParamsSchema,
+  deliveriesQuerySchema
+} from "../validators/webhook.validator.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Unique identifier for the webhook
+ *           example: "60d0fe4f5311236168a109cc"
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: Endpoint that receives the POSTed events
+ *           example: "https://example.com/hooks/tasks"
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [task.created, task.updated, task.completed, task.deleted, task.overdue, task.reminder]
+ *           example: ["task.created", "task.completed"]
+ *         description:
+ *           type: string
+ *           example: "Sync completed tasks to the CRM"
+ *         secret:
+ *           type: string
+ *           description: HMAC signing key. Only returned when the webhook is created or the secret is changed.
+ *           example: "3f1c9a0e7b2d4c6e8a1b3d5f7092c4e6a8b0d2f4163859a7c9e1b3d5f7a9c0e2"
+ *         active:
+ *           type: boolean
+ *           description: Inactive webhooks receive no events and their pending retries are dropped
+ *           example: true
+ *         owner:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109aa"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     WebhookRequest:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: http or https URL
+ *           example: "https://example.com/hooks/tasks"
+ *         events:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: string
+ *             enum: [task.created, task.updated, task.completed, task.deleted, task.overdue, task.reminder]
+ *           example: ["task.created", "task.completed"]
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         secret:
+ *           type: string
+ *           minLength: 16
+ *           description: Signing key to use. A random one is generated on create when omitted.
+ *         active:
+ *           type: boolean
+ *
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Delivery ID, also sent as X-Webhook-Id
+ *           example: "60d0fe4f5311236168a109dd"
+ *         webhook:
+ *           type: string
+ *           example: "60d0fe4f5311236168a109cc"
+ *         event:
+ *           type: string
+ *           example: "task.completed"
+ *         payload:
+ *           type: object
+ *           description: The exact JSON body that was POSTed
+ *           example:
+ *             id: "60d0fe4f5311236168a109dd"
+ *             event: "task.completed"
+ *             createdAt: "2024-01-15T10:30:00.000Z"
+ *             data:
+ *               task:
+ *                 _id: "60d0fe4f5311236168a109ca"
+ *                 title: "Complete project documentation"
+ *                 completed: true
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *           example: "pending"
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: number
+ *                 example: 1
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: number
+ *                 nullable: true
+ *                 description: HTTP status returned by the receiver, null if it couldn't be reached
+ *                 example: 503
+ *               error:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "Receiver responded with 503"
+ *               durationMs:
+ *                 type: number
+ *                 example: 184
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the next retry is due
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Subscribe a URL to task events
+ *     description: |
+ *       Each event is POSTed as JSON to the URL, signed with the webhook secret.
+ *       The `X-Webhook-Signature` header is `sha256=` followed by the hex HMAC-SHA256
+ *       of `<X-Webhook-Timestamp>.<raw body>`. Failed deliveries (no 2xx response)
+ *       are retried with exponential backoff.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WebhookRequest'
+ *               - required: [url, events]
+ *     responses:
+ *       201:
+ *         description: Webhook created; the response includes its secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   get:
+ *     summary: List webhooks
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Your webhooks, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post("/", validate(createWebhookSchema), webhookController.createWebhook);
+router.get("/", webhookController.getWebhooks);
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update a webhook
+ *     description: Change the URL, events, secret or active flag. Setting a new secret returns it once.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookRequest'
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Validation error or invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Removes the subscription together with its delivery log
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Webhook deleted successfully"
+ *               deletedWebhook:
+ *                 id: "60d0fe4f5311236168a109cc"
+ *                 url: "https://example.com/hooks/tasks"
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id", validate(webhookParamsSchema, "params"), webhookController.getWebhookById);
+router.put("/:id", validate(webhookParamsSchema, "params"), validate(updateWebhookSchema), webhookController.updateWebhook);
+router.delete("/:id", validate(webhookParamsSchema, "params"), webhookController.deleteWebhook);
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log
+ *     description: Recent deliveries to this webhook, newest first, with every attempt made
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Delivery log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid ID format or status
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/deliveries", validate(webhookParamsSchema, "params"), validate(deliveriesQuerySchema, "query"), webhookController.getDeliveries);
+
+/**
+ * @swagger
+ * /webhooks/{id}/ping:
+ *   post:
+ *     summary: Send a test ping
+ *     description: POSTs a signed `ping` event to the webhook once, without retries, and returns the logged delivery. Works for inactive webhooks too.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ping sent; check `status` and `attempts` for the outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/ping", validate(webhookParamsSchema, "params"), webhookController.pingWebhook);
+
+export default router;
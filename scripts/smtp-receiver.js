@@ -0,0 +1,70 @@
+// Minimal stand-in for an SMTP server, for trying email reminders locally.
+//
+//   node scripts/smtp-receiver.js
+//
+// Accepts every message without authentication and prints it. Matches the
+// default SMTP_HOST=localhost / SMTP_PORT=2525 (SMTP_RECEIVER_PORT to change).
+import net from "node:net";
+
+const port = parseInt(process.env.SMTP_RECEIVER_PORT, 10) || 2525;
+
+net.createServer((socket) => {
+  let buffer = "";
+  let inData = false;
+  let message = [];
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply("220 localhost SMTP stand-in ready");
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let newline;
+    while ((newline = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+
+      if (inData) {
+        if (line === ".") {
+          inData = false;
+          console.log(`${new Date().toISOString()} mail from ${envelope.from} to ${envelope.to.join(", ")}`);
+          console.log(message.join("\n"));
+          console.log("-".repeat(60));
+          message = [];
+          envelope = { from: null, to: [] };
+          reply("250 OK: queued");
+        } else {
+          message.push(line.startsWith("..") ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === "EHLO" || command === "HELO") {
+        reply("250 localhost");
+      } else if (command === "MAIL") {
+        envelope.from = line.slice(line.indexOf(":") + 1).trim();
+        reply("250 OK");
+      } else if (command === "RCPT") {
+        envelope.to.push(line.slice(line.indexOf(":") + 1).trim());
+        reply("250 OK");
+      } else if (command === "DATA") {
+        inData = true;
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (command === "RSET") {
+        envelope = { from: null, to: [] };
+        reply("250 OK");
+      } else if (command === "NOOP") {
+        reply("250 OK");
+      } else if (command === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else {
+        reply("502 Command not implemented");
+      }
+    }
+  });
+  socket.on("error", () => {});
+}).listen(port, () => {
+  console.log("SMTP receiver listening on port", port);
+});
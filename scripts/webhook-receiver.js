@@ -0,0 +1,45 @@
+// Minimal stand-in for a webhook consumer, for trying webhooks locally.
+//
+//   WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js
+//
+// Logs every delivery and checks its signature when WEBHOOK_SECRET is set.
+// RECEIVER_FAIL_FIRST=n answers the first n requests with 503 to exercise
+// retries. Point a webhook at http://localhost:4000/ (RECEIVER_PORT to change).
+import http from "node:http";
+import crypto from "node:crypto";
+
+const port = parseInt(process.env.RECEIVER_PORT, 10) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.RECEIVER_FAIL_FIRST, 10) || 0;
+
+const verify = (req, body) => {
+  const timestamp = req.headers["x-webhook-timestamp"];
+  const signature = req.headers["x-webhook-signature"] || "";
+  const expected = `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const event = req.headers["x-webhook-event"];
+    const signed = secret ? (verify(req, body) ? "valid signature" : "INVALID signature") : "signature not checked";
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`${new Date().toISOString()} ${event} -> 503 (simulated failure, ${signed})`);
+      res.writeHead(503).end();
+      return;
+    }
+
+    const status = signed === "INVALID signature" ? 401 : 200;
+    console.log(`${new Date().toISOString()} ${event} -> ${status} (${signed})`);
+    console.log(body);
+    res.writeHead(status).end();
+  });
+}).listen(port, () => {
+  console.log("Webhook receiver listening on port", port);
+});
@@ -0,0 +1,57 @@
+import crypto from "node:crypto";
+import ApiKey from "../models/apiKey.schema.js";
+import User from "../models/user.schema.js";
+
+// Keys are "tk_" followed by 32 random characters; the first 10 characters
+// are kept as the key's prefix.
+const KEY_PREFIX = "tk_";
+const PREFIX_LENGTH = 10;
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+// Keys are random enough that a plain SHA-256 is as good as a password hash
+// for them, and fast enough to check on every request.
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+class ApiKeyService {
+  generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  }
+
+  // Returns the stored key and, this once only, the key itself.
+  async createKey(ownerId, data) {
+    const key = this.generateKey();
+    const apiKey = await ApiKey.create({ ...data, prefix: key.slice(0, PREFIX_LENGTH), hash: hashKey(key), owner: ownerId });
+    return { apiKey, key };
+  }
+
+  async getKeys(ownerId) {
+    return await ApiKey.find({ owner: ownerId }).sort({ createdAt: -1 });
+  }
+
+  // Revoked keys stay listed, with their revokedAt. Revoking a key twice
+  // changes nothing.
+  async revokeKey(ownerId, id) {
+    const apiKey = await ApiKey.findOne({ _id: id, owner: ownerId });
+    if (!apiKey || apiKey.revokedAt) return apiKey;
+
+    apiKey.revokedAt = new Date();
+    return await apiKey.save();
+  }
+
+  // The key and its owner for a request made with `key`, or null when the
+  // key is unknown or revoked or its owner no longer exists.
+  async authenticate(key) {
+    const apiKey = await ApiKey.findOne({ hash: hashKey(key), revokedAt: null });
+    const user = apiKey && await User.findById(apiKey.owner);
+    if (!user) return null;
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_PRECISION_MS) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } });
+      apiKey.lastUsedAt = now;
+    }
+    return { apiKey, user };
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,53 @@
+import jwt from "jsonwebtoken";
+import User from "../models/user.schema.js";
+
+class AuthService {
+  signToken(user) {
+    return jwt.sign(
+      { sub: user._id.toString(), email: user.email },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || "1d" }
+    );
+  }
+
+  verifyToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  }
+
+  async register({ name, email, password }) {
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) return null;
+
+    // Signed before saving, so a failure to sign doesn't leave an account
+    // behind that the client was never given a token for.
+    const user = new User({ name, email, password });
+    const token = this.signToken(user);
+    await user.save();
+    return { user, token };
+  }
+
+  async login({ email, password }) {
+    const user = await User.findOne({ email: email.toLowerCase() }).select("+password");
+    if (!user || !(await user.comparePassword(password))) return null;
+
+    return { user, token: this.signToken(user) };
+  }
+
+  async getUserById(id) {
+    return await User.findById(id);
+  }
+
+  // The user a bearer token was issued to, or null when the token is invalid
+  // or expired or the user no longer exists.
+  async getUserByToken(token) {
+    let payload;
+    try {
+      payload = this.verifyToken(token);
+    } catch (err) {
+      return null;
+    }
+    return await this.getUserById(payload.sub);
+  }
+}
+
+export default new AuthService();
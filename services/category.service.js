@@ -0,0 +1,86 @@
+import Category, { DEFAULT_CATEGORIES, NAME_COLLATION } from "../models/category.schema.js";
+import Task from "../models/task.schema.js";
+import { DUPLICATE_KEY } from "../errors/app.error.js";
+
+class CategoryService {
+  // Seeds the default categories the first time a user needs any.
+  async ensureDefaults(ownerId) {
+    if (await Category.exists({ owner: ownerId })) return;
+
+    try {
+      await Category.insertMany(
+        DEFAULT_CATEGORIES.map((category) => ({ ...category, owner: ownerId })),
+        { ordered: false }
+      );
+    } catch (err) {
+      // Another request seeded them at the same time.
+      if (err.code !== DUPLICATE_KEY) throw err;
+    }
+  }
+
+  // Each category comes with the number of tasks (outside the trash) using it.
+  async getCategories(ownerId) {
+    await this.ensureDefaults(ownerId);
+
+    const [categories, counts] = await Promise.all([
+      Category.find({ owner: ownerId }).collation(NAME_COLLATION).sort({ name: 1 }),
+      Task.aggregate([
+        { $match: { owner: ownerId, deletedAt: null } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const taskCount = new Map(counts.map(({ _id, count }) => [_id, count]));
+    return categories.map((category) => ({ ...category.toJSON(), taskCount: taskCount.get(category.name) || 0 }));
+  }
+
+  async getCategoryById(ownerId, id) {
+    return await Category.findOne({ _id: id, owner: ownerId });
+  }
+
+  async findByName(ownerId, name) {
+    await this.ensureDefaults(ownerId);
+    return await Category.findOne({ owner: ownerId, name }).collation(NAME_COLLATION);
+  }
+
+  async createCategory(ownerId, data) {
+    await this.ensureDefaults(ownerId);
+    return await Category.create({ ...data, owner: ownerId });
+  }
+
+  // Renaming a category renames it on every task that uses it, trashed ones
+  // included. These renames aren't recorded in the tasks' history.
+  async updateCategory(ownerId, id, data) {
+    const category = await Category.findOne({ _id: id, owner: ownerId });
+    if (!category) return null;
+
+    const oldName = category.name;
+    category.set(data);
+    await category.save();
+
+    if (category.name !== oldName) {
+      await Task.updateMany({ owner: ownerId, category: oldName }, { $set: { category: category.name }, $inc: { __v: 1 } });
+    }
+    return category;
+  }
+
+  // Tasks still using the category block the delete unless `reassignTo`
+  // names a category to move them to. Returns null when there's no such
+  // category, `{ category, inUse }` when blocked and `{ category, reassigned }`
+  // once deleted.
+  async deleteCategory(ownerId, id, reassignTo = null) {
+    const category = await Category.findOne({ _id: id, owner: ownerId });
+    if (!category) return null;
+
+    const inUse = await Task.countDocuments({ owner: ownerId, category: category.name });
+    if (inUse && !reassignTo) return { category, inUse };
+
+    if (inUse) {
+      await Task.updateMany({ owner: ownerId, category: category.name }, { $set: { category: reassignTo }, $inc: { __v: 1 } });
+    }
+    await category.deleteOne();
+    return { category, reassigned: inUse };
+  }
+}
+
+export default new CategoryService();
@@ -0,0 +1,47 @@
+import nodemailer from "nodemailer";
+
+let transport = null;
+
+// Created on first use so SMTP_* settings from .env are already loaded.
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT, 10) || 2525,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transport;
+};
+
+const compose = ({ kind, task, reminder }) => {
+  const due = task.deadline.toUTCString();
+  if (kind === "overdue") {
+    return {
+      subject: `Overdue: ${task.title}`,
+      text: `Your ${task.priority.toLowerCase()} priority task "${task.title}" was due ${due} and isn't completed yet.`,
+    };
+  }
+  return {
+    subject: `Reminder: ${task.title} is due soon`,
+    text: `This is your ${reminder.offset} reminder: "${task.title}" is due ${due}.`,
+  };
+};
+
+// Emails the task owner through the SMTP server in SMTP_HOST/SMTP_PORT.
+export default {
+  name: "email",
+
+  async send(notification) {
+    if (!notification.user?.email) throw new Error("Task owner has no email address");
+
+    await getTransport().sendMail({
+      from: process.env.SMTP_FROM || "Task Manager <no-reply@localhost>",
+      to: notification.user.email,
+      ...compose(notification),
+    });
+  },
+};
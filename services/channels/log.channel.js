@@ -0,0 +1,12 @@
+const describe = ({ kind, task, reminder }) => (kind === "overdue"
+  ? `"${task.title}" is overdue (deadline ${task.deadline.toISOString()})`
+  : `"${task.title}" is due ${task.deadline.toISOString()} (${reminder.offset} reminder)`);
+
+// Writes notifications to the server log.
+export default {
+  name: "log",
+
+  async send(notification) {
+    console.log(`[${notification.kind}] ${describe(notification)} for ${notification.user?.email ?? notification.task.owner}`);
+  },
+};
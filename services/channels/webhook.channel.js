@@ -0,0 +1,15 @@
+import webhookService from "../webhook.service.js";
+
+// Sends task.reminder and task.overdue to the webhook subscriptions of
+// everyone who can read the task.
+export default {
+  name: "webhook",
+
+  async send({ kind, task, reminder }) {
+    if (kind === "overdue") {
+      await webhookService.dispatch("task.overdue", task);
+    } else {
+      await webhookService.dispatch("task.reminder", task, { reminder: { offset: reminder.offset } });
+    }
+  },
+};
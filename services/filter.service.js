@@ -0,0 +1,215 @@
+// Compiles the filter language used by GET /tasks?filter= and POST
+// /tasks/search into a MongoDB query. Only whitelisted fields and operators
+// are accepted and every value is coerced to its field's type, so a filter
+// can never smuggle in its own Mongo operators ($where, $expr, ...).
+
+import { BadRequestError } from "../errors/app.error.js";
+
+const FIELD_TYPES = {
+  title: "string",
+  description: "string",
+  category: "string",
+  priority: "string",
+  "recurrence.frequency": "string",
+  tags: "array",
+  deadline: "date",
+  completedAt: "date",
+  createdAt: "date",
+  updatedAt: "date",
+  completed: "boolean",
+  autoComplete: "boolean",
+  blocked: "boolean",
+};
+
+const OPERATORS = {
+  string: ["eq", "ne", "in", "nin", "contains", "startsWith", "endsWith", "null", "notnull"],
+  array: ["eq", "ne", "in", "nin", "all", "null", "notnull"],
+  date: ["eq", "ne", "lt", "lte", "gt", "gte", "null", "notnull"],
+  boolean: ["eq", "ne"],
+};
+
+const LIST_OPERATORS = ["in", "nin", "all"];
+const VALUELESS_OPERATORS = ["null", "notnull"];
+
+// Fields that `fields=` may ask for. `id` and `_id` are always returned.
+const PROJECTABLE_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "tags",
+  "priority",
+  "deadline",
+  "completed",
+  "completedAt",
+  "checklist",
+  "progress",
+  "autoComplete",
+  "estimate",
+  "timeEntries",
+  "trackedMinutes",
+  "recurrence",
+  "reminders",
+  "blockedBy",
+  "blocked",
+  "project",
+  "createdAt",
+  "updatedAt",
+];
+
+// Projectable fields that are computed, and the stored field each needs.
+const COMPUTED_FIELDS = { progress: "checklist", trackedMinutes: "timeEntries" };
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const MAX_LIST_LENGTH = 100;
+
+export class FilterError extends BadRequestError {
+  constructor(message) {
+    super("invalid_filter", "Invalid filter", message);
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const coerce = (type, value, field) => {
+  if (type === "date") {
+    const date = typeof value === "string" || typeof value === "number" ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) throw new FilterError(`"${field}" needs a date, got ${JSON.stringify(value)}`);
+    return date;
+  }
+  if (type === "boolean") {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    throw new FilterError(`"${field}" needs true or false, got ${JSON.stringify(value)}`);
+  }
+  if (typeof value !== "string" && typeof value !== "number") {
+    throw new FilterError(`"${field}" needs a text value, got ${JSON.stringify(value)}`);
+  }
+  // Tags are stored lowercase.
+  return type === "array" ? String(value).toLowerCase() : String(value);
+};
+
+const compileCondition = ({ field, op, value, ...rest }) => {
+  if (Object.keys(rest).length) throw new FilterError(`Unknown filter key "${Object.keys(rest)[0]}"`);
+
+  const type = Object.hasOwn(FIELD_TYPES, field) ? FIELD_TYPES[field] : null;
+  if (!type) throw new FilterError(`Can't filter on "${field}"`);
+  if (!OPERATORS[type].includes(op)) {
+    throw new FilterError(`Operator "${op}" can't be used on "${field}"; use one of ${OPERATORS[type].join(", ")}`);
+  }
+
+  if (VALUELESS_OPERATORS.includes(op)) {
+    if (value !== undefined) throw new FilterError(`Operator "${op}" takes no value`);
+    if (type === "array") return op === "null" ? { [field]: { $size: 0 } } : { [`${field}.0`]: { $exists: true } };
+    return { [field]: op === "null" ? null : { $ne: null } };
+  }
+
+  if (LIST_OPERATORS.includes(op)) {
+    if (!Array.isArray(value) || value.length === 0) throw new FilterError(`Operator "${op}" needs a list of values`);
+    if (value.length > MAX_LIST_LENGTH) throw new FilterError(`Operator "${op}" takes at most ${MAX_LIST_LENGTH} values`);
+    return { [field]: { [`$${op}`]: value.map((item) => coerce(type, item, field)) } };
+  }
+
+  const coerced = coerce(type, value, field);
+  switch (op) {
+    case "eq":
+      return { [field]: coerced };
+    case "contains":
+      return { [field]: { $regex: escapeRegex(coerced), $options: "i" } };
+    case "startsWith":
+      return { [field]: { $regex: `^${escapeRegex(coerced)}`, $options: "i" } };
+    case "endsWith":
+      return { [field]: { $regex: `${escapeRegex(coerced)}$`, $options: "i" } };
+    default:
+      return { [field]: { [`$${op}`]: coerced } };
+  }
+};
+
+class FilterService {
+  // Parses the compact query-string form into a filter tree. Terms are
+  // `field:op:value`, or `field:op` for null/notnull; `!` in front negates a
+  // term, `|` joins terms with OR and `;` joins those groups with AND. List
+  // values are comma-separated. For anything deeper, use the JSON form.
+  //
+  //   priority:in:High,Medium;!title:contains:draft|deadline:null
+  parse(text) {
+    if (typeof text !== "string" || !text.trim()) throw new FilterError("Filter is empty");
+
+    const groups = text.split(";").filter((group) => group.trim()).map((group) => {
+      const terms = group.split("|").map((term) => {
+        let rest = term.trim();
+        const negate = rest.startsWith("!");
+        if (negate) rest = rest.slice(1);
+
+        const [field, op, ...valueParts] = rest.split(":");
+        if (!field || !op) throw new FilterError(`Can't read filter term "${term.trim()}"; expected field:op:value`);
+
+        const value = valueParts.length ? valueParts.join(":") : undefined;
+        const condition = {
+          field,
+          op,
+          value: LIST_OPERATORS.includes(op) && value !== undefined ? value.split(",") : value,
+        };
+        return negate ? { not: condition } : condition;
+      });
+      return terms.length === 1 ? terms[0] : { or: terms };
+    });
+
+    return groups.length === 1 ? groups[0] : { and: groups };
+  }
+
+  // Turns a filter tree into a MongoDB query. Nodes are `{ and: [...] }`,
+  // `{ or: [...] }`, `{ not: node }` or `{ field, op, value }`.
+  compile(node) {
+    let conditions = 0;
+
+    const visit = (current, depth) => {
+      if (depth > MAX_DEPTH) throw new FilterError(`Filters can be nested at most ${MAX_DEPTH} levels deep`);
+      if (!current || typeof current !== "object" || Array.isArray(current)) {
+        throw new FilterError("Each filter node must be an object");
+      }
+
+      const keys = Object.keys(current);
+      if (keys.length === 1 && (keys[0] === "and" || keys[0] === "or")) {
+        const children = current[keys[0]];
+        if (!Array.isArray(children) || children.length === 0) {
+          throw new FilterError(`"${keys[0]}" needs a non-empty list of filters`);
+        }
+        return { [`$${keys[0]}`]: children.map((child) => visit(child, depth + 1)) };
+      }
+      if (keys.length === 1 && keys[0] === "not") {
+        return { $nor: [visit(current.not, depth + 1)] };
+      }
+
+      conditions++;
+      if (conditions > MAX_CONDITIONS) throw new FilterError(`Filters can have at most ${MAX_CONDITIONS} conditions`);
+      return compileCondition(current);
+    };
+
+    return visit(node, 0);
+  }
+
+  // Accepts the string form or an already parsed tree.
+  build(filter) {
+    return this.compile(typeof filter === "string" ? this.parse(filter) : filter);
+  }
+
+  // Turns `fields` ("title,deadline" or a list) into a Mongoose projection.
+  projection(fields) {
+    const names = (Array.isArray(fields) ? fields : String(fields).split(","))
+      .map((name) => String(name).trim())
+      .filter(Boolean);
+    if (names.length === 0) throw new FilterError("fields must name at least one field");
+
+    const projection = {};
+    names.forEach((name) => {
+      if (!PROJECTABLE_FIELDS.includes(name)) {
+        throw new FilterError(`Unknown field "${name}"; choose from ${PROJECTABLE_FIELDS.join(", ")}`);
+      }
+      projection[COMPUTED_FIELDS[name] ?? name] = 1;
+    });
+    return projection;
+  }
+}
+
+export default new FilterService();
@@ -0,0 +1,297 @@
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "category",
+  "priority",
+  "deadline",
+  "completed",
+  "tags",
+  "createdAt",
+  "updatedAt",
+];
+
+// Fields an imported record may set; everything else (ids, owner,
+// timestamps, computed values) is dropped before validation.
+const IMPORT_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "tags",
+  "priority",
+  "deadline",
+  "completed",
+  "checklist",
+  "autoComplete",
+  "estimate",
+  "recurrence",
+  "reminders",
+];
+
+const ICS_PRIORITY = { High: 1, Medium: 5, Low: 9 };
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]])
+);
+
+// ---- CSV (RFC 4180) ----
+
+// Spreadsheets run a cell starting with one of these as a formula, so
+// exported cells that do get a leading ', which imports drop again.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const FORMULA_ESCAPE = /^'(?=[=+\-@\t\r])/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (value instanceof Date) text = value.toISOString();
+  if (Array.isArray(value)) text = value.join(",");
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+// ---- iCalendar (RFC 5545) ----
+
+const icsEscape = (text) => String(text)
+  .replace(/\\/g, "\\\\")
+  .replace(/;/g, "\\;")
+  .replace(/,/g, "\\,")
+  .replace(/\r?\n/g, "\\n");
+
+const icsUnescape = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === "n" || char === "N" ? "\n" : char
+));
+
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Accepts UTC (20251231T235959Z), floating (20251231T235959, read as UTC)
+// and date-only (20251231) values.
+const parseIcsDate = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) return value;
+  const [, year, month, day, hour = "00", minute = "00", second = "00"] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+};
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space.
+const icsFold = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join("\r\n");
+};
+
+const toRrule = ({ frequency, interval, until, count }) => {
+  const parts = [`FREQ=${frequency.toUpperCase()}`];
+  if (interval && interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) parts.push(`UNTIL=${icsDate(until)}`);
+  return parts.join(";");
+};
+
+const fromRrule = (value) => {
+  const rule = Object.fromEntries(value.split(";").map((part) => part.split("=")));
+  const recurrence = { frequency: (rule.FREQ || "").toLowerCase() };
+  if (rule.INTERVAL) recurrence.interval = Number(rule.INTERVAL);
+  if (rule.COUNT) recurrence.count = Number(rule.COUNT);
+  if (rule.UNTIL) recurrence.until = parseIcsDate(rule.UNTIL);
+  return recurrence;
+};
+
+const fromIcsPriority = (value) => {
+  const priority = Number(value);
+  if (!priority) return undefined;
+  if (priority <= 4) return "High";
+  if (priority === 5) return "Medium";
+  return "Low";
+};
+
+class FormatService {
+  toCsv(tasks) {
+    const lines = tasks.map((task) => CSV_COLUMNS.map((column) => csvCell(task.get(column))).join(","));
+    return [CSV_COLUMNS.join(","), ...lines].join("\r\n") + "\r\n";
+  }
+
+  toJson(tasks) {
+    return JSON.stringify(tasks, null, 2);
+  }
+
+  toIcs(tasks) {
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//tg-crescentrating//Task Management API//EN",
+    ];
+
+    tasks.forEach((task) => {
+      lines.push(
+        "BEGIN:VTODO",
+        `UID:${task.id}@tg-crescentrating`,
+        `DTSTAMP:${icsDate(task.updatedAt)}`,
+        `CREATED:${icsDate(task.createdAt)}`,
+        `LAST-MODIFIED:${icsDate(task.updatedAt)}`,
+        `SUMMARY:${icsEscape(task.title)}`
+      );
+      if (task.description) lines.push(`DESCRIPTION:${icsEscape(task.description)}`);
+      lines.push(
+        `CATEGORIES:${[task.category, ...task.tags].map(icsEscape).join(",")}`,
+        `PRIORITY:${ICS_PRIORITY[task.priority]}`
+      );
+      if (task.deadline) lines.push(`DUE:${icsDate(task.deadline)}`);
+      if (task.recurrence) lines.push(`RRULE:${toRrule(task.recurrence)}`);
+      lines.push(
+        `STATUS:${task.completed ? "COMPLETED" : "NEEDS-ACTION"}`,
+        "END:VTODO"
+      );
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(icsFold).join("\r\n") + "\r\n";
+  }
+
+  // The parsers return one plain object per record, limited to IMPORT_FIELDS
+  // and with values still unvalidated. They throw on input that can't be read
+  // as the format at all.
+  parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const columns = header.map((name) => name.trim());
+    return rows.map((row) => {
+      const record = {};
+      columns.forEach((column, index) => {
+        const value = (row[index] ?? "").trim().replace(FORMULA_ESCAPE, "");
+        if (value !== "") record[column] = value;
+      });
+      if (record.tags) record.tags = record.tags.split(",").map((tag) => tag.trim()).filter(Boolean);
+      return pick(record, IMPORT_FIELDS.filter((field) => CSV_COLUMNS.includes(field)));
+    });
+  }
+
+  parseJson(text) {
+    const parsed = typeof text === "string" ? JSON.parse(text) : text;
+    const records = Array.isArray(parsed) ? parsed : parsed?.data;
+    if (!Array.isArray(records)) {
+      throw new Error("Expected a JSON array of tasks or an object with a data array");
+    }
+
+    return records.map((record) => {
+      const task = pick(record ?? {}, IMPORT_FIELDS);
+      if (Array.isArray(task.checklist)) {
+        task.checklist = task.checklist.map((item) => pick(item ?? {}, ["text", "done"]));
+      }
+      if (Array.isArray(task.reminders)) {
+        task.reminders = task.reminders.map((reminder) => pick(reminder ?? {}, ["offset", "channels"]));
+      }
+      if (task.recurrence) {
+        task.recurrence = pick(task.recurrence, ["frequency", "interval", "until", "count"]);
+      }
+      return task;
+    });
+  }
+
+  parseIcs(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    const records = [];
+    let current = null;
+
+    lines.forEach((line) => {
+      if (line === "BEGIN:VTODO") {
+        current = {};
+        return;
+      }
+      if (line === "END:VTODO") {
+        if (current) records.push(current);
+        current = null;
+        return;
+      }
+      if (!current) return;
+
+      const separator = line.indexOf(":");
+      if (separator === -1) return;
+      const name = line.slice(0, separator).split(";")[0].toUpperCase();
+      const value = line.slice(separator + 1);
+
+      switch (name) {
+        case "SUMMARY":
+          current.title = icsUnescape(value);
+          break;
+        case "DESCRIPTION":
+          current.description = icsUnescape(value);
+          break;
+        // The first category is the task's category, the rest are its tags.
+        case "CATEGORIES": {
+          const [category, ...tags] = value.split(/(?<!\\),/).map(icsUnescape);
+          current.category = category;
+          if (tags.length) current.tags = tags;
+          break;
+        }
+        case "PRIORITY":
+          current.priority = fromIcsPriority(value);
+          break;
+        case "DUE":
+          current.deadline = parseIcsDate(value);
+          break;
+        case "STATUS":
+          current.completed = value.toUpperCase() === "COMPLETED";
+          break;
+        case "RRULE":
+          current.recurrence = fromRrule(value);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return records.map((record) => pick(record, IMPORT_FIELDS));
+  }
+}
+
+export default new FormatService();
@@ -0,0 +1,95 @@
+import TaskHistory from "../models/history.schema.js";
+import { DUPLICATE_KEY } from "../errors/app.error.js";
+
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "tags",
+  "priority",
+  "deadline",
+  "completed",
+  "checklist",
+  "autoComplete",
+  "estimate",
+  "timeEntries",
+  "recurrence",
+  "reminders",
+  "blockedBy",
+  "project",
+  "deletedAt",
+];
+
+// How many times record() tries for a free revision number.
+const MAX_REVISION_ATTEMPTS = 5;
+
+const isEmpty = (value) => value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+// Compares values by their JSON form so dates, ObjectIds and embedded
+// documents are equal when they serialise the same way.
+const diff = (before, after) => TRACKED_FIELDS
+  .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map((field) => ({ field, oldValue: before[field], newValue: after[field] }));
+
+class HistoryService {
+  // Reminders are kept as the client set them. When one was sent is
+  // bookkeeping of the reminder job, which isn't a change to the task.
+  snapshot(task) {
+    const doc = task.toObject({ virtuals: false });
+    const snapshot = Object.fromEntries(TRACKED_FIELDS.map((field) => [field, doc[field] ?? null]));
+    snapshot.reminders = (doc.reminders ?? []).map(({ offset, channels }) => (channels ? { offset, channels } : { offset }));
+    return snapshot;
+  }
+
+  // Records `action` on `task` by `actorId`. `before` is the snapshot taken
+  // before the change; it is omitted for creates. Updates that changed
+  // nothing are not recorded.
+  async record(action, task, actorId, before = null, { revertedTo = null } = {}) {
+    const after = this.snapshot(task);
+    const changes = before
+      ? diff(before, after)
+      : TRACKED_FIELDS
+        .filter((field) => !isEmpty(after[field]))
+        .map((field) => ({ field, oldValue: null, newValue: after[field] }));
+
+    if (action === "update" && changes.length === 0) return null;
+
+    // Concurrent changes to a task race for the next revision. The unique
+    // index lets one of them have it, and the others try the one after.
+    for (let attempt = 1; ; attempt++) {
+      const last = await TaskHistory.findOne({ task: task._id }).sort({ revision: -1 }).select("revision");
+      try {
+        return await TaskHistory.create({
+          task: task._id,
+          owner: task.owner,
+          actor: actorId,
+          revision: last ? last.revision + 1 : 1,
+          action,
+          changes,
+          revertedTo,
+          snapshot: after,
+        });
+      } catch (err) {
+        if (err.code !== DUPLICATE_KEY || attempt === MAX_REVISION_ATTEMPTS) throw err;
+      }
+    }
+  }
+
+  // For tasks deleted for good, whose history can't be reached any more.
+  async deleteHistory(taskIds) {
+    await TaskHistory.deleteMany({ task: { $in: taskIds } });
+  }
+
+  async getHistory(ownerId, taskId) {
+    return await TaskHistory.find({ task: taskId, owner: ownerId })
+      .sort({ revision: -1 })
+      .select("-snapshot")
+      .populate("actor", "name email");
+  }
+
+  async getRevision(ownerId, taskId, revision) {
+    return await TaskHistory.findOne({ task: taskId, owner: ownerId, revision });
+  }
+}
+
+export default new HistoryService();
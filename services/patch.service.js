@@ -0,0 +1,153 @@
+// JSON Merge Patch (RFC 7386) and JSON Patch (RFC 6902), applied to plain
+// JSON values. Neither touches its input; both return the patched copy.
+
+import { AppError } from "../errors/app.error.js";
+
+const MAX_OPERATIONS = 100;
+
+export class PatchError extends AppError {
+  // 400 for a malformed patch, 409 for one that doesn't fit the document
+  // (a missing path or a failed test).
+  constructor(message, status = 400) {
+    if (status === 409) super(409, "patch_conflict", "Patch conflict", message);
+    else super(status, "invalid_patch", "Invalid patch", message);
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const checkKey = (key) => {
+  if (key === "__proto__") throw new PatchError('"__proto__" can\'t be patched');
+  return key;
+};
+
+const equal = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => equal(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => Object.hasOwn(b, key) && equal(a[key], b[key]));
+  }
+  return a === b;
+};
+
+// "/checklist/0/done" -> ["checklist", "0", "done"]; "" is the whole document.
+const parsePointer = (pointer) => {
+  if (typeof pointer !== "string" || (pointer !== "" && !pointer.startsWith("/"))) {
+    throw new PatchError(`${JSON.stringify(pointer)} is not a JSON pointer`);
+  }
+  if (pointer === "") return [];
+  return pointer.slice(1).split("/").map((token) => checkKey(token.replace(/~1/g, "/").replace(/~0/g, "~")));
+};
+
+const arrayIndex = (array, token, pointer, { append = false } = {}) => {
+  if (append && token === "-") return array.length;
+  const index = /^(0|[1-9]\d*)$/.test(token) ? Number(token) : NaN;
+  if (!(index < array.length + (append ? 1 : 0))) throw new PatchError(`Nothing at "${pointer}"`, 409);
+  return index;
+};
+
+const child = (container, token, pointer) => {
+  if (Array.isArray(container)) return container[arrayIndex(container, token, pointer)];
+  if (isObject(container) && Object.hasOwn(container, token)) return container[token];
+  throw new PatchError(`Nothing at "${pointer}"`, 409);
+};
+
+const valueAt = (document, tokens, pointer) => tokens.reduce((value, token) => child(value, token, pointer), document);
+
+const parentOf = (document, tokens, pointer) => {
+  const parent = valueAt(document, tokens.slice(0, -1), pointer);
+  if (!Array.isArray(parent) && !isObject(parent)) throw new PatchError(`Nothing at "${pointer}"`, 409);
+  return [parent, tokens[tokens.length - 1]];
+};
+
+// Each of these changes `document` in place and returns the new root.
+const add = (document, tokens, pointer, value) => {
+  if (tokens.length === 0) return value;
+  const [parent, key] = parentOf(document, tokens, pointer);
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, pointer, { append: true }), 0, value);
+  else parent[key] = value;
+  return document;
+};
+
+const remove = (document, tokens, pointer) => {
+  if (tokens.length === 0) throw new PatchError("The whole document can't be removed");
+  const [parent, key] = parentOf(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, pointer), 1);
+  } else {
+    child(parent, key, pointer);
+    delete parent[key];
+  }
+  return document;
+};
+
+const replace = (document, tokens, pointer, value) => {
+  if (tokens.length === 0) return value;
+  const [parent, key] = parentOf(document, tokens, pointer);
+  if (Array.isArray(parent)) parent[arrayIndex(parent, key, pointer)] = value;
+  else {
+    child(parent, key, pointer);
+    parent[key] = value;
+  }
+  return document;
+};
+
+class PatchService {
+  mergePatch(target, patch) {
+    if (!isObject(patch)) return structuredClone(patch);
+
+    const result = isObject(target) ? structuredClone(target) : {};
+    Object.entries(patch).forEach(([key, value]) => {
+      checkKey(key);
+      if (value === null) delete result[key];
+      else result[key] = this.mergePatch(result[key], value);
+    });
+    return result;
+  }
+
+  // Applies the operations in order; if any of them fails, the whole patch
+  // fails.
+  jsonPatch(document, operations) {
+    if (!Array.isArray(operations)) throw new PatchError("A JSON Patch must be an array of operations");
+    if (operations.length > MAX_OPERATIONS) throw new PatchError(`A JSON Patch can have at most ${MAX_OPERATIONS} operations`);
+
+    return operations.reduce((current, operation, index) => {
+      if (!isObject(operation)) throw new PatchError(`Operation ${index} must be an object`);
+
+      const { op, path, from, value } = operation;
+      const tokens = parsePointer(path);
+      const needsValue = ["add", "replace", "test"].includes(op);
+      if (needsValue && !Object.hasOwn(operation, "value")) throw new PatchError(`Operation ${index} (${op}) needs a value`);
+
+      switch (op) {
+        case "add":
+          return add(current, tokens, path, structuredClone(value));
+        case "remove":
+          return remove(current, tokens, path);
+        case "replace":
+          return replace(current, tokens, path, structuredClone(value));
+        case "move": {
+          const fromTokens = parsePointer(from);
+          if (path.startsWith(`${from}/`)) throw new PatchError(`Operation ${index} moves "${from}" into itself`);
+          const moved = valueAt(current, fromTokens, from);
+          return add(remove(current, fromTokens, from), tokens, path, moved);
+        }
+        case "copy": {
+          const copied = structuredClone(valueAt(current, parsePointer(from), from));
+          return add(current, tokens, path, copied);
+        }
+        case "test":
+          if (!equal(valueAt(current, tokens, path), value)) {
+            throw new PatchError(`Test failed: "${path}" is not ${JSON.stringify(value)}`, 409);
+          }
+          return current;
+        default:
+          throw new PatchError(`Operation ${index} has unknown op ${JSON.stringify(op)}`);
+      }
+    }, structuredClone(document));
+  }
+}
+
+export default new PatchService();
@@ -0,0 +1,141 @@
+import Project, { PROJECT_ROLES } from "../models/project.schema.js";
+import User from "../models/user.schema.js";
+import Task from "../models/task.schema.js";
+import { AppError, ForbiddenError } from "../errors/app.error.js";
+
+const MEMBER_FIELDS = "name email";
+
+// Thrown for a membership change that can't be made: 404 for an email no user
+// is registered with, 409 for someone who is already a member or for leaving
+// the project without an owner.
+export class MembershipError extends AppError {
+  constructor(message, status) {
+    if (status === 404) super(404, "user_not_found", "User not found", message);
+    else super(409, "membership_conflict", "Membership conflict", message);
+  }
+}
+
+// Members' users may or may not be populated.
+const memberId = (member) => String(member.user?._id ?? member.user);
+
+class ProjectService {
+  // Whether `role` may do what takes at least `minimum`.
+  allows(role, minimum) {
+    return Boolean(role) && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minimum);
+  }
+
+  // The user's role in a loaded project, or null if they aren't a member.
+  roleOf(project, userId) {
+    return project.members.find((member) => memberId(member) === String(userId))?.role ?? null;
+  }
+
+  async getRole(projectId, userId) {
+    const project = await Project.findOne({ _id: projectId, "members.user": userId }).select("members");
+    return project ? this.roleOf(project, userId) : null;
+  }
+
+  // What the user may do with `task`: its owner anything, anyone else what
+  // their role in the task's project allows. Null for no access at all.
+  async roleForTask(userId, task) {
+    if (task.owner.equals(userId)) return "owner";
+    return task.project ? await this.getRole(task.project, userId) : null;
+  }
+
+  // The IDs of everyone roleForTask() gives some access to `task`: its owner
+  // and, in a project, every member, since the viewer role can read.
+  async readersOf(task) {
+    const readers = new Set([String(task.owner)]);
+    if (task.project) {
+      const project = await Project.findById(task.project).select("members");
+      project?.members.forEach((member) => readers.add(memberId(member)));
+    }
+    return [...readers];
+  }
+
+  // Throws a ForbiddenError unless the user has at least the `minimum` role
+  // in the project.
+  async authorize(projectId, userId, minimum) {
+    if (!this.allows(await this.getRole(projectId, userId), minimum)) {
+      throw new ForbiddenError(`This takes the ${minimum} role in the project`);
+    }
+  }
+
+  // The project as responses show it: members with their name and email, and
+  // the caller's own role.
+  async present(project, userId) {
+    await project.populate("members.user", MEMBER_FIELDS);
+    return { ...project.toJSON(), role: this.roleOf(project, userId) };
+  }
+
+  // The projects the user is a member of, by name.
+  async getProjects(userId) {
+    const projects = await Project.find({ "members.user": userId })
+      .sort({ name: 1 })
+      .populate("members.user", MEMBER_FIELDS);
+    return projects.map((project) => ({ ...project.toJSON(), role: this.roleOf(project, userId) }));
+  }
+
+  // Projects are only found by their members.
+  async getProjectById(userId, id) {
+    return await Project.findOne({ _id: id, "members.user": userId });
+  }
+
+  // The creator becomes the project's first owner.
+  async createProject(userId, data) {
+    return await Project.create({ ...data, members: [{ user: userId, role: "owner" }] });
+  }
+
+  async updateProject(project, data) {
+    project.set(data);
+    return await project.save();
+  }
+
+  // The project's tasks stay with their owners, outside any project. This
+  // isn't recorded in the tasks' history. Returns the number of tasks moved.
+  async deleteProject(project) {
+    const { modifiedCount } = await Task.updateMany(
+      { project: project._id },
+      { $set: { project: null }, $inc: { __v: 1 } }
+    );
+    await project.deleteOne();
+    return modifiedCount;
+  }
+
+  async addMember(project, { email, role }) {
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) throw new MembershipError(`No user is registered with ${email}`, 404);
+    if (this.roleOf(project, user._id)) throw new MembershipError(`${user.email} is already a member`, 409);
+
+    project.members.push({ user: user._id, role });
+    return await project.save();
+  }
+
+  // Null when the user isn't a member.
+  async updateMember(project, userId, role) {
+    const member = project.members.find((candidate) => memberId(candidate) === String(userId));
+    if (!member) return null;
+    if (role !== "owner") this.checkOwnerLeft(project, member);
+
+    member.role = role;
+    return await project.save();
+  }
+
+  async removeMember(project, userId) {
+    const member = project.members.find((candidate) => memberId(candidate) === String(userId));
+    if (!member) return null;
+    this.checkOwnerLeft(project, member);
+
+    project.members.splice(project.members.indexOf(member), 1);
+    return await project.save();
+  }
+
+  // Refuses to demote or remove `member` if they're the project's last owner.
+  checkOwnerLeft(project, member) {
+    const owners = project.members.filter((candidate) => candidate.role === "owner");
+    if (member.role === "owner" && owners.length === 1) {
+      throw new MembershipError("A project needs at least one owner; make someone else an owner first", 409);
+    }
+  }
+}
+
+export default new ProjectService();
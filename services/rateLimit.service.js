@@ -0,0 +1,76 @@
+// Token buckets: each bucket holds up to `capacity` tokens and regains
+// `refillPerSecond` of them, and every request takes one. A client can burst
+// up to the capacity and then keeps going at the refill rate.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// A limit of `requests` per minute, all of which may come at once.
+export const perMinute = (requests) => ({ capacity: requests, refillPerSecond: requests / 60 });
+
+// Takes a token from `bucket` (`{ tokens, updatedAt }`, or undefined for a
+// full one) at time `now`. Returns the bucket to store and the outcome:
+// whether the request is allowed, the whole tokens left, and how long until
+// the bucket is full again and, when refused, until the next token.
+export const consumeToken = (bucket, { capacity, refillPerSecond }, now) => {
+  const elapsedSeconds = bucket ? Math.max(now - bucket.updatedAt, 0) / 1000 : 0;
+  const tokens = bucket ? Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond) : capacity;
+  const allowed = tokens >= 1;
+  const left = allowed ? tokens - 1 : tokens;
+
+  return {
+    bucket: { tokens: left, updatedAt: now },
+    allowed,
+    remaining: Math.floor(left),
+    resetMs: Math.ceil(((capacity - left) / refillPerSecond) * 1000),
+    retryAfterMs: allowed ? 0 : Math.ceil(((1 - left) / refillPerSecond) * 1000),
+  };
+};
+
+// Keeps the buckets in this process's memory, so each server process limits
+// on its own. Buckets that have filled up again are dropped, as they're the
+// same as no bucket at all.
+//
+// Any store with an async `consume(key, limit, now)` that returns what
+// consumeToken() does, minus the bucket, can replace it. A store shared by
+// several processes has to apply consumeToken() atomically per key; one on
+// Redis would run it as a Lua script, or retry around WATCH/MULTI, and let
+// keys expire after `resetMs`.
+export class MemoryStore {
+  constructor({ sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+    this.buckets = new Map();
+    setInterval(() => this.sweep(), sweepIntervalMs).unref();
+  }
+
+  async consume(key, limit, now = Date.now()) {
+    const { bucket, ...result } = consumeToken(this.buckets.get(key), limit, now);
+    this.buckets.set(key, { ...bucket, fullAt: now + result.resetMs });
+    return result;
+  }
+
+  sweep(now = Date.now()) {
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.fullAt <= now) this.buckets.delete(key);
+    });
+  }
+}
+
+class RateLimitService {
+  constructor() {
+    this.store = null;
+  }
+
+  // Swaps the bucket store, e.g. for a shared one when running several
+  // server processes. Call it before the server starts taking requests.
+  useStore(store) {
+    this.store = store;
+  }
+
+  // Takes a token from the bucket of `id` among the `name` limits ("ip",
+  // "key"), which have separate buckets.
+  async consume(name, id, limit) {
+    this.store ??= new MemoryStore();
+    return await this.store.consume(`${name}:${id}`, limit, Date.now());
+  }
+}
+
+export default new RateLimitService();
@@ -0,0 +1,59 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Adds months in UTC, clamping to the last day of the target month so that
+// e.g. Jan 31 + 1 month lands on Feb 28/29 instead of spilling into March.
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+class RecurrenceService {
+  // Due date of the nth occurrence (1-based). Always measured from the series
+  // start so month-end clamping doesn't drift later occurrences.
+  dateOf({ frequency, interval = 1, start }, occurrence) {
+    const steps = (occurrence - 1) * interval;
+    const from = new Date(start);
+
+    switch (frequency) {
+      case "daily":
+        return new Date(from.getTime() + steps * DAY_MS);
+      case "weekly":
+        return new Date(from.getTime() + steps * 7 * DAY_MS);
+      case "monthly":
+        return addMonths(from, steps);
+      case "yearly":
+        return addMonths(from, steps * 12);
+      default:
+        throw new Error(`Unknown recurrence frequency: ${frequency}`);
+    }
+  }
+
+  // The occurrence after `occurrence`, or null once the series has ended.
+  next(rule, occurrence) {
+    const nextOccurrence = occurrence + 1;
+    const date = this.dateOf(rule, nextOccurrence);
+
+    if (rule.count && nextOccurrence > rule.count) return null;
+    if (rule.until && date > new Date(rule.until)) return null;
+    return { occurrence: nextOccurrence, date };
+  }
+
+  upcoming(rule, occurrence, limit) {
+    const occurrences = [];
+    let current = { occurrence };
+
+    while (occurrences.length < limit) {
+      current = this.next(rule, current.occurrence);
+      if (!current) break;
+      occurrences.push(current);
+    }
+    return occurrences;
+  }
+}
+
+export default new RecurrenceService();
@@ -0,0 +1,113 @@
+import Task, { MAX_REMINDER_OFFSET_MS, reminderOffsetMs } from "../models/task.schema.js";
+import User from "../models/user.schema.js";
+import taskService from "./task.service.js";
+import logChannel from "./channels/log.channel.js";
+import emailChannel from "./channels/email.channel.js";
+import webhookChannel from "./channels/webhook.channel.js";
+
+class ReminderService {
+  constructor() {
+    this.channels = new Map();
+    this.timer = null;
+  }
+
+  // A channel is any object with a unique `name` and an async
+  // `send({ kind, task, user, reminder })`, where kind is "reminder" or "overdue".
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  defaultChannels() {
+    return (process.env.REMINDER_CHANNELS || "log,webhook")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+  }
+
+  // Sends through every channel; one failing channel doesn't stop the others.
+  async notify(kind, task, { reminder = null, channels = this.defaultChannels() } = {}) {
+    const user = await User.findById(task.owner);
+    const notification = { kind, task, user, reminder };
+
+    const results = await Promise.allSettled(channels.map(async (name) => {
+      const channel = this.channels.get(name);
+      if (!channel) throw new Error(`Unknown notification channel "${name}"`);
+      await channel.send(notification);
+    }));
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        console.error(`Notification channel ${channels[index]} failed:`, result.reason.message);
+      }
+    });
+  }
+
+  // Fires every reminder whose time before the deadline has come. Each one is
+  // claimed by setting sentAt first, so it fires once even with several
+  // servers; the deadline is part of the claim in case it just moved.
+  async sendDueReminders(now = new Date()) {
+    const tasks = await Task.find({
+      completed: false,
+      deletedAt: null,
+      deadline: { $gt: now, $lte: new Date(now.getTime() + MAX_REMINDER_OFFSET_MS) },
+      reminders: { $elemMatch: { sentAt: null } },
+    });
+
+    let count = 0;
+    for (const task of tasks) {
+      for (const reminder of task.reminders) {
+        if (reminder.sentAt) continue;
+        if (task.deadline.getTime() - reminderOffsetMs(reminder.offset) > now.getTime()) continue;
+
+        const claim = await Task.updateOne(
+          { _id: task._id, deadline: task.deadline, reminders: { $elemMatch: { _id: reminder._id, sentAt: null } } },
+          { $set: { "reminders.$.sentAt": now }, $inc: { __v: 1 } },
+          { timestamps: false }
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        reminder.sentAt = now;
+        await this.notify("reminder", task, {
+          reminder,
+          channels: reminder.channels?.length ? reminder.channels : undefined,
+        });
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async run() {
+    const [reminders, overdue] = await Promise.all([
+      this.sendDueReminders(),
+      taskService.notifyOverdue(),
+    ]);
+    return { reminders, overdue };
+  }
+
+  start(intervalMs) {
+    const tick = () => this.run()
+      .then(({ reminders, overdue }) => {
+        if (reminders || overdue) console.log(`Sent ${reminders} reminder(s) and ${overdue} overdue notice(s)`);
+      })
+      .catch((err) => console.error("Reminder run failed:", err.message));
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+const reminderService = new ReminderService();
+[logChannel, emailChannel, webhookChannel].forEach((channel) => reminderService.registerChannel(channel));
+
+taskService.on("task.overdue", ({ task }) => {
+  reminderService.notify("overdue", task)
+    .catch((err) => console.error("Overdue notification failed:", err.message));
+});
+
+export default reminderService;
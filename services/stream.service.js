@@ -0,0 +1,130 @@
+import taskService from "./task.service.js";
+import projectService from "./project.service.js";
+import { BadRequestError } from "../errors/app.error.js";
+
+// The change events the webhooks send too; task.overdue is left to the
+// reminder channels.
+const STREAM_EVENTS = ["task.created", "task.updated", "task.completed", "task.deleted"];
+const PRIORITIES = ["Low", "Medium", "High"];
+
+const bufferSize = () => parseInt(process.env.STREAM_BUFFER_SIZE, 10) || 1000;
+
+// Event IDs are "<boot>-<sequence>", so an ID handed out before a restart
+// is recognised as unknown rather than mistaken for a recent one.
+const BOOT_ID = Date.now().toString(36);
+
+const list = (value) => (value === undefined ? null : String(value).split(",").map((item) => item.trim()).filter(Boolean));
+
+// Category names compare like the category collation: case-insensitively.
+const sameName = (a, b) => a.localeCompare(b, "en", { sensitivity: "accent" }) === 0;
+
+export class StreamFilterError extends BadRequestError {
+  constructor(message) {
+    super("invalid_stream_filter", "Invalid stream filter", message);
+  }
+}
+
+// Keeps the most recent task events in memory, so that clients reconnecting
+// with the last event ID they saw get what they missed, and fans new events
+// out to the open streams of everyone who can read the task: its owner and,
+// for a project task, the project's members. Each server process has its
+// own buffer.
+class StreamService {
+  constructor() {
+    this.sequence = 0;
+    this.buffer = [];
+    this.subscribers = new Set();
+    this.publishing = Promise.resolve();
+  }
+
+  // `category` and `priority` as comma-separated lists; missing ones match
+  // every task.
+  parseFilter({ category, priority } = {}) {
+    const filter = { categories: list(category), priorities: list(priority) };
+    const unknown = filter.priorities?.find((value) => !PRIORITIES.includes(value));
+    if (unknown) throw new StreamFilterError(`Unknown priority "${unknown}", expected one of ${PRIORITIES.join(", ")}`);
+    return filter;
+  }
+
+  matches({ categories, priorities }, task) {
+    if (categories && !categories.some((name) => sameName(name, task.category))) return false;
+    if (priorities && !priorities.includes(task.priority)) return false;
+    return true;
+  }
+
+  lastEventId() {
+    return `${BOOT_ID}-${this.sequence}`;
+  }
+
+  // What a client receives, in the shape of a webhook payload.
+  toMessage({ sequence, event, createdAt, task }) {
+    return { id: `${BOOT_ID}-${sequence}`, event, createdAt, data: { task } };
+  }
+
+  // Tells a client that events it asked for are gone, so it has to reload
+  // its tasks; resuming from this message's ID picks up from here.
+  resetMessage() {
+    return {
+      id: this.lastEventId(),
+      event: "stream.reset",
+      createdAt: new Date(),
+      data: { message: "Some events are no longer available, reload the tasks" },
+    };
+  }
+
+  // Events are numbered and sent in the order they were published, even
+  // though looking up who may read each task takes a moment.
+  publish(event, task) {
+    const createdAt = new Date();
+    const snapshot = task.toJSON();
+    this.publishing = this.publishing
+      .then(() => projectService.readersOf(task))
+      .then((readers) => this.deliver({ event, createdAt, readers, task: snapshot }))
+      .catch((err) => console.error(`Streaming ${event} failed:`, err.message));
+    return this.publishing;
+  }
+
+  deliver({ event, createdAt, readers, task }) {
+    const entry = { sequence: ++this.sequence, event, createdAt, readers, task };
+    this.buffer.push(entry);
+    if (this.buffer.length > bufferSize()) this.buffer.splice(0, this.buffer.length - bufferSize());
+
+    this.subscribers.forEach((subscriber) => {
+      if (entry.readers.includes(subscriber.user) && this.matches(subscriber.filter, entry.task)) {
+        subscriber.send(this.toMessage(entry));
+      }
+    });
+  }
+
+  // Calls `send` with each new event for the tasks the user can read that
+  // match the filter. Returns the function that ends the subscription.
+  subscribe(userId, filter, send) {
+    const subscriber = { user: String(userId), filter, send };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  // The user's matching events after `lastEventId`, or null when some of
+  // them are no longer buffered or the ID is unknown.
+  replay(userId, filter, lastEventId) {
+    const [boot, sequence] = String(lastEventId).split("-");
+    const after = Number(sequence);
+    if (boot !== BOOT_ID || !Number.isInteger(after) || after < 0 || after > this.sequence) return null;
+
+    const oldest = this.buffer[0]?.sequence ?? this.sequence + 1;
+    if (after < oldest - 1) return null;
+
+    const user = String(userId);
+    return this.buffer
+      .filter((entry) => entry.sequence > after && entry.readers.includes(user) && this.matches(filter, entry.task))
+      .map((entry) => this.toMessage(entry));
+  }
+}
+
+const streamService = new StreamService();
+
+STREAM_EVENTS.forEach((event) => {
+  taskService.on(event, ({ task }) => streamService.publish(event, task));
+});
+
+export default streamService;
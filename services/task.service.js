@@ -1,55 +1,1056 @@
+import { EventEmitter } from "node:events";
+import { AsyncLocalStorage } from "node:async_hooks";
+import mongoose from "mongoose";
 import Task from "../models/task.schema.js";
+import recurrenceService from "./recurrence.service.js";
+import historyService from "./history.service.js";
+import categoryService from "./category.service.js";
+import { AppError, BadRequestError, ConflictError, NotFoundError, toProblem } from "../errors/app.error.js";
 
-class TaskService {
-  async createTask(data) {
-    return await Task.create(data);
+// Builds the keyset condition that selects everything after `cursor` in the
+// given sort. Ties on the sort field are broken by _id, and nulls sort first
+// ascending / last descending, matching MongoDB's own ordering.
+const afterCursor = (cursor, order) => {
+  const { f: field, v: value, id } = cursor;
+  const idAfter = { _id: { [order === 1 ? "$gt" : "$lt"]: id } };
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idAfter };
   }
 
-  async getTasks(filter = {}, sort = {}) {
-    return await Task.find(filter).sort(sort);
+  const or = [
+    { [field]: { [order === 1 ? "$gt" : "$lt"]: value } },
+    { [field]: value, ...idAfter },
+  ];
+  if (order === -1) or.push({ [field]: null });
+  return { $or: or };
+};
+
+// Whether `text` is a date as toISOString() writes it.
+const isIsoDate = (text) => {
+  const date = new Date(text);
+  return !Number.isNaN(date.getTime()) && date.toISOString() === text;
+};
+
+// $meta scores can't be compared inside find(), so relevance-ordered pages go
+// through an aggregation that materialises the score before paging on it.
+const findByRelevance = async (query, after, skip, limit, fields) => {
+  const rows = await Task.aggregate([
+    { $match: query },
+    { $addFields: { score: { $meta: "textScore" } } },
+    ...(after ? [{ $match: afterCursor(after, -1) }] : []),
+    { $sort: { score: -1, _id: -1 } },
+    { $skip: skip },
+    { $limit: limit },
+    ...(fields ? [{ $project: { ...fields, score: 1 } }] : []),
+  ]);
+  return rows.map((row) => Task.hydrate(row));
+};
+
+// Start of the UTC day, Monday-based week or month containing `date`,
+// matching what $dateTrunc produces for the stats buckets.
+const truncateDate = (date, interval) => {
+  const result = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === "week") result.setUTCDate(result.getUTCDate() - ((result.getUTCDay() + 6) % 7));
+  if (interval === "month") result.setUTCDate(1);
+  return result;
+};
+
+const addInterval = (date, interval) => {
+  const result = new Date(date);
+  if (interval === "day") result.setUTCDate(result.getUTCDate() + 1);
+  if (interval === "week") result.setUTCDate(result.getUTCDate() + 7);
+  if (interval === "month") result.setUTCMonth(result.getUTCMonth() + 1);
+  return result;
+};
+
+// Replaces `data.category` with the canonical name of the owner's category,
+// failing with a 400 when they have no category by that name.
+const withCategory = async (ownerId, data) => {
+  if (data.category === undefined) return data;
+
+  const category = await categoryService.findByName(ownerId, data.category);
+  if (!category) {
+    throw new BadRequestError("unknown_category", "Unknown category", `Unknown category "${data.category}"`);
   }
+  return { ...data, category: category.name };
+};
 
-  async getTaskById(id) {
-    return await Task.findById(id);
+// Thrown when a conditional write (If-Match) names a version the task is no
+// longer at.
+export class PreconditionFailedError extends AppError {
+  constructor(message = "The task has changed since you fetched it; fetch it again and reapply your change") {
+    super(412, "precondition_failed", "Precondition failed", message);
   }
+}
+
+// `versions` are the ones the caller said they expect (from If-Match), or
+// null for an unconditional write.
+const checkVersion = (task, versions) => {
+  if (versions && !versions.includes(task.__v)) throw new PreconditionFailedError();
+};
 
-  async updateTask(id, data) {
-    return await Task.findByIdAndUpdate(id, data, { new: true, runValidators: true });
+const MAX_BLOCKERS = 50;
+const MAX_GRAPH_DEPTH = 20;
+const GRAPH_FIELDS = ["_id", "title", "priority", "deadline", "completed", "blocked", "blockedBy"];
+
+// Thrown for a link between tasks that can't be made: a 400 for a missing
+// blocker or one too many, a 409 for a cycle, with its task IDs in `cycle`.
+export class DependencyError extends AppError {
+  constructor(message, cycle = null) {
+    if (cycle) super(409, "dependency_cycle", "Dependency cycle", message, { cycle });
+    else super(400, "invalid_dependency", "Invalid dependency", message);
   }
+}
 
-  async deleteTask(id) {
-    return await Task.findByIdAndDelete(id);
+// Thrown when a change would complete a task whose blockers are still open,
+// which are listed in `blockers`.
+export class BlockedTaskError extends ConflictError {
+  constructor(blockers) {
+    super("task_blocked", "Task is blocked", `This task is blocked by ${blockers.length} open task(s); complete them first`, { blockers });
   }
+}
 
-  async getTaskStats() {
-    const now = new Date();
-    
-    const allTasks = await Task.find({});
-    
-    const total = allTasks.length;
-    const completed = allTasks.filter(task => task.completed).length;
-    const pending = total - completed;
-    const overdue = allTasks.filter(task => 
-      !task.completed && task.deadline && new Date(task.deadline) < now
-    ).length;
-
-    const byCategory = allTasks.reduce((acc, task) => {
-      acc[task.category] = (acc[task.category] || 0) + 1;
-      return acc;
-    }, {});
-
-    const byPriority = allTasks.reduce((acc, task) => {
-      acc[task.priority] = (acc[task.priority] || 0) + 1;
-      return acc;
-    }, {});
+// The tasks that may block `task` or be blocked by it: those of its project,
+// or its owner's tasks outside any project.
+const linkScope = (task) => (task.project ? { project: task.project } : { owner: task.owner, project: null });
+
+// Blockers that are neither completed nor in the trash.
+const openBlockers = (task) => Task.find({ _id: { $in: task.blockedBy }, completed: false, deletedAt: null })
+  .select("title");
+
+// Refuses a change that completes a blocked task, unless the server runs
+// with BLOCKED_COMPLETION=warn.
+const checkCompletion = async (task, completing) => {
+  if (!completing || !task.blocked || process.env.BLOCKED_COMPLETION === "warn") return;
+  const blockers = await openBlockers(task);
+  if (blockers.length) throw new BlockedTaskError(blockers.map(({ id, title }) => ({ id, title })));
+};
+
+// The fields a client edits, in the form PUT takes them and PATCH patches
+// them. Works on tasks and on incoming data alike and fills in defaults, so an
+// unchanged value compares equal to the stored one.
+const editable = (task) => ({
+  title: task.title,
+  description: task.description ?? "",
+  category: task.category,
+  tags: task.tags ?? [],
+  priority: task.priority,
+  deadline: task.deadline ?? null,
+  completed: task.completed ?? false,
+  checklist: (task.checklist ?? []).map(({ text, done = false }) => ({ text, done })),
+  autoComplete: task.autoComplete ?? false,
+  estimate: task.estimate ?? null,
+  project: task.project ?? null,
+  recurrence: task.recurrence
+    ? {
+      frequency: task.recurrence.frequency,
+      interval: task.recurrence.interval ?? 1,
+      until: task.recurrence.until ?? null,
+      count: task.recurrence.count ?? null,
+    }
+    : null,
+  reminders: (task.reminders ?? []).map(({ offset, channels }) => (channels ? { offset, channels } : { offset })),
+});
+
+// `reminders` as the client sent them, each keeping the sentAt of the stored
+// reminder at the same offset, so changing one reminder doesn't fire the
+// others again. Only a new deadline re-arms them.
+const keepSent = (stored, reminders) => reminders.map((reminder) => ({
+  ...reminder,
+  sentAt: stored.find(({ offset }) => offset === reminder.offset)?.sentAt ?? null,
+}));
+
+// `userId`'s running timer on the task, if they have one.
+const runningTimer = (task, userId) => task.timeEntries.find((entry) => !entry.endedAt && entry.user.equals(userId));
+
+const entryEnd = (startedAt, minutes) => new Date(new Date(startedAt).getTime() + minutes * 60000);
+
+// Lifecycle events raised by a change, given the snapshot taken before it.
+const changeEvents = (before, task) => (
+  !before.completed && task.completed ? ["task.updated", "task.completed"] : ["task.updated"]
+);
+
+// Holds the events of an atomic bulk batch until its transaction commits.
+const deferredEvents = new AsyncLocalStorage();
+
+// Thrown inside a bulk transaction to abort it once an item has failed.
+class BulkRollback extends Error {}
+
+// IllegalOperation: the server is a standalone mongod without transactions.
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+// Emits task.created, task.updated, task.completed, task.deleted and
+// task.overdue with `{ task, actorId }` after each change is stored.
+// Single-task methods find the task among those of `ownerId`. The ones that
+// change it take the user making the change as an `actorId` option, for the
+// history and events; it defaults to the owner and differs when a project
+// member works on someone else's task.
+class TaskService extends EventEmitter {
+  // Events raised inside an atomic bulk batch are queued and only emitted
+  // once it commits, so rolled-back changes are never announced.
+  notify(event, task, actorId) {
+    const queue = deferredEvents.getStore();
+    if (queue) queue.push({ event, task, actorId });
+    else this.emit(event, { task, actorId });
+  }
+
+  async createTask(ownerId, data) {
+    data = await withCategory(ownerId, data);
+    const recurrence = data.recurrence && { ...data.recurrence, start: data.deadline ?? new Date() };
+    const task = await Task.create({ ...data, recurrence, owner: ownerId });
+    await historyService.record("create", task, ownerId);
+    this.notify("task.created", task, ownerId);
+    return task;
+  }
+
+  // `scope` picks the tasks to list: `{ owner }` for a user's own tasks or
+  // `{ project }` for a project's. `fields` is an optional inclusion
+  // projection; the sort field is always added to it since the next page's
+  // cursor is built from it.
+  async getTasks(scope, filter = {}, sort = {}, { limit = 20, skip = 0, after = null, fields = null } = {}) {
+    const [field, order] = Object.entries(sort)[0] || ["createdAt", -1];
+    const query = { ...filter, ...scope, deletedAt: null };
+    const pageQuery = after ? { ...query, $and: [...(query.$and || []), afterCursor(after, order)] } : query;
+    let projection = fields && field !== "score" ? { ...fields, [field]: 1 } : fields;
+    if (query.$text) projection = { ...projection, score: { $meta: "textScore" } };
+    const offset = after ? 0 : skip;
+
+    const [total, rows] = await Promise.all([
+      Task.countDocuments(query),
+      field === "score"
+        ? findByRelevance(query, after, offset, limit + 1, fields)
+        : Task.find(pageQuery, projection)
+          .sort({ [field]: order, _id: order })
+          .skip(offset)
+          .limit(limit + 1),
+    ]);
+
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+    const last = data[data.length - 1];
 
     return {
+      data,
       total,
-      completed,
-      pending,
-      overdue,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor(last, field) : null,
+    };
+  }
+
+  encodeCursor(task, field) {
+    const value = task.get(field);
+    const payload = {
+      f: field,
+      v: value instanceof Date ? value.toISOString() : value ?? null,
+      d: value instanceof Date,
+      id: task._id.toHexString(),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+  }
+
+  // The cursor comes from the client, so its value has to be one
+  // encodeCursor() could have written: anything else, an object in
+  // particular, would reach the query as an operator.
+  decodeCursor(cursor, field) {
+    try {
+      const { f, v, d, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+      if (f !== field || !mongoose.isValidObjectId(id)) return null;
+      if (v !== null && typeof v !== "string" && !Number.isFinite(v)) return null;
+      if (d && v !== null && (typeof v !== "string" || !isIsoDate(v))) return null;
+      return { f, v: d && v !== null ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async getTaskById(ownerId, id) {
+    return await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+  }
+
+  // Any task by ID, trashed or not and whoever owns it, with just what it
+  // takes to work out who may access it.
+  async findTask(id) {
+    return await Task.findById(id).select("owner project");
+  }
+
+  // With `versions` the update only goes through if the task is still at one
+  // of them, including when someone else writes between the read and the write.
+  async updateTask(ownerId, id, data, { versions = null, actorId = ownerId } = {}) {
+    const current = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!current) return null;
+    checkVersion(current, versions);
+    await checkCompletion(current, data.completed === true && !current.completed);
+
+    data = await withCategory(ownerId, data);
+    if (data.recurrence) {
+      const start = data.deadline ?? current.deadline ?? new Date();
+      data = { ...data, recurrence: { ...data.recurrence, start } };
+    }
+    if (data.completed !== undefined && data.completed !== current.completed) {
+      data = { ...data, completedAt: data.completed ? new Date() : null };
+    }
+    const deadline = data.deadline ? new Date(data.deadline).getTime() : null;
+    if (data.deadline !== undefined && deadline !== (current.deadline?.getTime() ?? null)) {
+      const reminders = data.reminders ?? current.reminders.map(({ offset, channels }) => ({ offset, channels }));
+      data = { ...data, reminders, overdueNotifiedAt: null };
+    } else if (data.reminders) {
+      data = { ...data, reminders: keepSent(current.reminders, data.reminders) };
+    }
+
+    const task = await Task.findOneAndUpdate(
+      { _id: id, owner: ownerId, deletedAt: null, ...(versions && { __v: current.__v }) },
+      { ...data, $inc: { __v: 1 } },
+      { new: true, runValidators: true }
+    );
+    if (!task && versions) throw new PreconditionFailedError();
+    if (!task) return null;
+
+    const before = historyService.snapshot(current);
+    await historyService.record("update", task, actorId, before);
+    changeEvents(before, task).forEach((event) => this.notify(event, task, actorId));
+    await this.refreshDependents(before, task);
+    if (data.completed === true) await this.spawnNextOccurrence(task, actorId);
+    return task;
+  }
+
+  // The task's editable fields as plain JSON, for PATCH to work on.
+  toEditable(task) {
+    return JSON.parse(JSON.stringify(editable(task.toObject())));
+  }
+
+  // Sets the task's editable fields to `rewrite(current)`, where `current` is
+  // what toEditable() returns; anything the result leaves out goes back to its
+  // default. Only fields that actually change are written, so e.g. checklist
+  // items keep their IDs unless the checklist itself changed. `versions` works
+  // as in updateTask().
+  async rewriteTask(ownerId, id, rewrite, { versions = null, actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!task) return null;
+    checkVersion(task, versions);
+
+    const current = editable(task.toObject());
+    const data = editable(await withCategory(ownerId, await rewrite(this.toEditable(task))));
+    const changes = Object.fromEntries(
+      Object.entries(data).filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(current[field]))
+    );
+    if (Object.keys(changes).length === 0) return task;
+    if (changes.checklist) changes.checklist = changes.checklist.map((item, order) => ({ ...item, order }));
+    if (changes.reminders) changes.reminders = keepSent(task.reminders, changes.reminders);
+    if (changes.recurrence) {
+      changes.recurrence = { ...changes.recurrence, start: data.deadline ?? task.deadline ?? new Date() };
+    }
+
+    const before = historyService.snapshot(task);
+    task.set(changes);
+    task.followChecklist();
+    await checkCompletion(task, !before.completed && task.completed);
+    try {
+      await task.save();
+    } catch (err) {
+      if (versions && err instanceof mongoose.Error.VersionError) throw new PreconditionFailedError();
+      throw err;
+    }
+
+    await historyService.record("update", task, actorId, before);
+    changeEvents(before, task).forEach((event) => this.notify(event, task, actorId));
+    await this.refreshDependents(before, task);
+    if (!before.completed && task.completed) await this.spawnNextOccurrence(task, actorId);
+    return task;
+  }
+
+  // History stays readable while the task is in the trash.
+  async getTaskHistory(ownerId, id) {
+    const exists = await Task.exists({ _id: id, owner: ownerId });
+    if (!exists) return null;
+    return await historyService.getHistory(ownerId, id);
+  }
+
+  // Puts the task's tracked fields back to how they were at `revision`. The
+  // series link is kept so a reverted recurring task can't spawn twice, and
+  // so are the blockers, which only change through addBlocker/removeBlocker,
+  // and the project, since moving a task into one is checked against the
+  // mover's role there. Time entries are kept too, as a record of time
+  // actually spent. Reminders still at their offset stay sent, and revisions
+  // recorded before reminders were tracked leave them as they are.
+  async revertTask(ownerId, id, revision, { actorId = ownerId } = {}) {
+    const [task, entry] = await Promise.all([
+      Task.findOne({ _id: id, owner: ownerId, deletedAt: null }),
+      historyService.getRevision(ownerId, id, revision),
+    ]);
+    if (!task || !entry) return null;
+
+    const before = historyService.snapshot(task);
+    const { deletedAt, blockedBy, project, recurrence, reminders, timeEntries, ...fields } = await withCategory(ownerId, entry.snapshot);
+    task.set({
+      ...fields,
+      recurrence: recurrence && { ...recurrence, nextTask: task.recurrence?.nextTask ?? null },
+      ...(reminders && { reminders: keepSent(task.reminders, reminders) }),
+    });
+    task.followChecklist();
+    await checkCompletion(task, !before.completed && task.completed);
+    await task.save();
+
+    await historyService.record("revert", task, actorId, before, { revertedTo: revision });
+    changeEvents(before, task).forEach((event) => this.notify(event, task, actorId));
+    await this.refreshDependents(before, task);
+    return task;
+  }
+
+  // Creates the next task of a recurring series when `task` is completed.
+  // The nextTask claim makes this a no-op if the occurrence already exists,
+  // so un-completing and re-completing a task doesn't spawn duplicates.
+  async spawnNextOccurrence(task, actorId) {
+    const rule = task.recurrence;
+    if (!task.completed || !rule || rule.nextTask) return null;
+
+    const next = recurrenceService.next(rule, rule.occurrence);
+    if (!next) return null;
+
+    const nextId = new mongoose.Types.ObjectId();
+    const claim = await Task.updateOne(
+      { _id: task._id, "recurrence.nextTask": null },
+      { $set: { "recurrence.nextTask": nextId }, $inc: { __v: 1 } }
+    );
+    if (claim.modifiedCount === 0) return null;
+    // Keep the copy in hand in step with the claim, so the ETag sent with it
+    // matches what's stored.
+    rule.nextTask = nextId;
+    task.__v += 1;
+    task.unmarkModified("recurrence.nextTask");
+    task.unmarkModified("__v");
+
+    const nextTask = await Task.create({
+      _id: nextId,
+      owner: task.owner,
+      project: task.project,
+      title: task.title,
+      description: task.description,
+      category: task.category,
+      tags: task.tags,
+      priority: task.priority,
+      deadline: next.date,
+      checklist: task.checklist.map(({ text, order }) => ({ text, order })),
+      autoComplete: task.autoComplete,
+      estimate: task.estimate,
+      recurrence: { ...rule.toObject(), occurrence: next.occurrence, nextTask: null },
+      reminders: task.reminders.map(({ offset, channels }) => ({ offset, channels })),
+    });
+    await historyService.record("create", nextTask, actorId);
+    this.notify("task.created", nextTask, actorId);
+    return nextTask;
+  }
+
+  async deleteTask(ownerId, id, { versions = null, actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!task) return null;
+    checkVersion(task, versions);
+
+    const before = historyService.snapshot(task);
+    task.deletedAt = new Date();
+    try {
+      await task.save();
+    } catch (err) {
+      if (versions && err instanceof mongoose.Error.VersionError) throw new PreconditionFailedError();
+      throw err;
+    }
+
+    await historyService.record("delete", task, actorId, before);
+    this.notify("task.deleted", task, actorId);
+    await this.refreshDependents(before, task);
+    return task;
+  }
+
+  async getTrash(ownerId) {
+    return await Task.find({ owner: ownerId, deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+  }
+
+  async restoreTask(ownerId, id, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: { $ne: null } });
+    if (!task) return null;
+
+    const before = historyService.snapshot(task);
+    task.deletedAt = null;
+    await task.save();
+
+    await historyService.record("restore", task, actorId, before);
+    this.notify("task.updated", task, actorId);
+    await this.refreshDependents(before, task);
+    return task;
+  }
+
+  // Trashed tasks already announced task.deleted when they were trashed. The
+  // task's history goes with it.
+  async destroyTask(ownerId, id, { actorId = ownerId } = {}) {
+    const task = await Task.findOneAndDelete({ _id: id, owner: ownerId });
+    if (!task) return null;
+    if (!task.deletedAt) this.notify("task.deleted", task, actorId);
+    await historyService.deleteHistory([task._id]);
+
+    const dependents = await Task.distinct("_id", { blockedBy: task._id });
+    await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id }, $inc: { __v: 1 } });
+    await this.refreshBlocked(dependents);
+    return task;
+  }
+
+  // Announces task.overdue once for every open task whose deadline has
+  // passed, across all users. Moving the deadline re-arms the notification.
+  async notifyOverdue() {
+    const now = new Date();
+    const overdue = await Task.find({
+      deadline: { $lt: now },
+      completed: false,
+      deletedAt: null,
+      overdueNotifiedAt: null,
+    }).select("_id");
+
+    let count = 0;
+    for (const { _id } of overdue) {
+      const task = await Task.findOneAndUpdate(
+        { _id, overdueNotifiedAt: null },
+        { $set: { overdueNotifiedAt: now }, $inc: { __v: 1 } },
+        { new: true, timestamps: false }
+      );
+      if (!task) continue;
+      this.notify("task.overdue", task, null);
+      count++;
+    }
+    return count;
+  }
+
+  // Permanently removes trashed tasks deleted more than `olderThanDays` ago,
+  // with their history.
+  // Without an owner this sweeps every user's trash.
+  async purgeTrash({ ownerId, olderThanDays }) {
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+    const query = { deletedAt: { $lte: cutoff } };
+    if (ownerId) query.owner = ownerId;
+
+    // Trashed tasks block nothing, so only the links to them need removing.
+    const ids = await Task.distinct("_id", query);
+    const { deletedCount } = await Task.deleteMany({ _id: { $in: ids } });
+    await historyService.deleteHistory(ids);
+    await Task.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } }, $inc: { __v: 1 } });
+    return deletedCount;
+  }
+
+  async addChecklistItem(ownerId, id, { text, done = false }, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!task) return null;
+
+    const before = historyService.snapshot(task);
+    task.checklist.push({ text, done, order: task.checklist.length });
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    changeEvents(before, task).forEach((event) => this.notify(event, task, actorId));
+    return task;
+  }
+
+  async updateChecklistItem(ownerId, id, itemId, data, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    const item = task?.checklist.id(itemId);
+    if (!item) return null;
+
+    const before = historyService.snapshot(task);
+    item.set(data);
+    task.followChecklist();
+    await checkCompletion(task, !before.completed && task.completed);
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    changeEvents(before, task).forEach((event) => this.notify(event, task, actorId));
+    await this.refreshDependents(before, task);
+    await this.spawnNextOccurrence(task, actorId);
+    return task;
+  }
+
+  // Items missing from `itemIds` keep their relative order after the listed ones.
+  async reorderChecklist(ownerId, id, itemIds, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!task) return null;
+
+    const before = historyService.snapshot(task);
+    const position = new Map(itemIds.map((itemId, index) => [itemId, index]));
+    task.checklist.forEach((item) => {
+      const index = position.get(item._id.toHexString());
+      item.order = index !== undefined ? index : itemIds.length + item.order;
+    });
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    changeEvents(before, task).forEach((event) => this.notify(event, task, actorId));
+    return task;
+  }
+
+  async removeChecklistItem(ownerId, id, itemId, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    const item = task?.checklist.id(itemId);
+    if (!item) return null;
+
+    const before = historyService.snapshot(task);
+    item.deleteOne();
+    task.followChecklist();
+    await checkCompletion(task, !before.completed && task.completed);
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    changeEvents(before, task).forEach((event) => this.notify(event, task, actorId));
+    await this.refreshDependents(before, task);
+    await this.spawnNextOccurrence(task, actorId);
+    return task;
+  }
+
+  // Starts a timer on the task for `actorId`, who can have one running per task.
+  async startTimer(ownerId, id, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!task) return null;
+    if (runningTimer(task, actorId)) {
+      throw new ConflictError("timer_running", "Timer already running", "You already have a timer running on this task");
+    }
+
+    const before = historyService.snapshot(task);
+    task.timeEntries.push({ user: actorId, startedAt: new Date() });
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    this.notify("task.updated", task, actorId);
+    return task;
+  }
+
+  // Stops `actorId`'s timer on the task, which books the whole minutes it ran.
+  async stopTimer(ownerId, id, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!task) return null;
+    const entry = runningTimer(task, actorId);
+    if (!entry) {
+      throw new ConflictError("timer_not_running", "Timer not running", "You have no timer running on this task");
+    }
+
+    const before = historyService.snapshot(task);
+    entry.endedAt = new Date();
+    entry.minutes = Math.round((entry.endedAt - entry.startedAt) / 60000);
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    this.notify("task.updated", task, actorId);
+    return task;
+  }
+
+  async addTimeEntry(ownerId, id, { minutes, startedAt, note = "" }, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!task) return null;
+
+    const start = startedAt ?? new Date(Date.now() - minutes * 60000);
+    const before = historyService.snapshot(task);
+    task.timeEntries.push({ user: actorId, startedAt: start, endedAt: entryEnd(start, minutes), minutes, note });
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    this.notify("task.updated", task, actorId);
+    return task;
+  }
+
+  // A running timer's entry only takes a new note; stop it to change its times.
+  async updateTimeEntry(ownerId, id, entryId, data, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    const entry = task?.timeEntries.id(entryId);
+    if (!entry) return null;
+    if (!entry.endedAt && (data.minutes !== undefined || data.startedAt !== undefined)) {
+      throw new ConflictError("timer_running", "Timer already running", "Stop the timer before changing its times");
+    }
+
+    const before = historyService.snapshot(task);
+    entry.set(data);
+    if (entry.endedAt) entry.endedAt = entryEnd(entry.startedAt, entry.minutes);
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    this.notify("task.updated", task, actorId);
+    return task;
+  }
+
+  // Removing a running timer's entry cancels the timer.
+  async removeTimeEntry(ownerId, id, entryId, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    const entry = task?.timeEntries.id(entryId);
+    if (!entry) return null;
+
+    const before = historyService.snapshot(task);
+    entry.deleteOne();
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    this.notify("task.updated", task, actorId);
+    return task;
+  }
+
+  // Makes task `blockerId` one of the tasks blocking task `id`. Linking a
+  // blocker twice changes nothing.
+  async addBlocker(ownerId, id, blockerId, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!task) return null;
+    if (task.blockedBy.some((blocker) => blocker.equals(blockerId))) return task;
+
+    if (task._id.equals(blockerId)) throw new DependencyError("A task can't block itself");
+    if (task.blockedBy.length >= MAX_BLOCKERS) {
+      throw new DependencyError(`A task can have at most ${MAX_BLOCKERS} blockers`);
+    }
+    const blocker = await Task.findOne({ _id: blockerId, ...linkScope(task), deletedAt: null });
+    if (!blocker) throw new DependencyError("No task found with the blocker's ID in the same project");
+
+    const path = await this.findDependencyPath(blocker._id, task._id);
+    if (path) {
+      throw new DependencyError("The tasks would end up blocking each other", [task.id, ...path]);
+    }
+
+    const before = historyService.snapshot(task);
+    task.blockedBy.push(blocker._id);
+    if (!blocker.completed) task.blocked = true;
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    this.notify("task.updated", task, actorId);
+    return task;
+  }
+
+  async removeBlocker(ownerId, id, blockerId, { actorId = ownerId } = {}) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null });
+    if (!task?.blockedBy.some((blocker) => blocker.equals(blockerId))) return null;
+
+    const before = historyService.snapshot(task);
+    task.blockedBy.pull(blockerId);
+    task.blocked = (await openBlockers(task)).length > 0;
+    await task.save();
+
+    await historyService.record("update", task, actorId, before);
+    this.notify("task.updated", task, actorId);
+    return task;
+  }
+
+  // The chain of blockedBy links leading from task `fromId` to task `toId`,
+  // as the task IDs along it, or null if there's none. Trashed tasks count,
+  // since they come back with their links when restored, and so do links
+  // that left the task's project when tasks were moved.
+  async findDependencyPath(fromId, toId) {
+    const [result] = await Task.aggregate([
+      { $match: { _id: fromId } },
+      {
+        $graphLookup: {
+          from: Task.collection.name,
+          startWith: "$blockedBy",
+          connectFromField: "blockedBy",
+          connectToField: "_id",
+          as: "upstream",
+        },
+      },
+      { $project: { blockedBy: 1, "upstream._id": 1, "upstream.blockedBy": 1 } },
+    ]);
+    if (!result) return null;
+
+    const links = new Map([result, ...result.upstream].map((task) => [String(task._id), task.blockedBy.map(String)]));
+    const previous = new Map([[String(fromId), null]]);
+    const queue = [String(fromId)];
+    while (queue.length) {
+      const current = queue.shift();
+      if (current === String(toId)) {
+        const path = [];
+        for (let step = current; step; step = previous.get(step)) path.unshift(step);
+        return path;
+      }
+      (links.get(current) ?? []).filter((next) => !previous.has(next)).forEach((next) => {
+        previous.set(next, current);
+        queue.push(next);
+      });
+    }
+    return null;
+  }
+
+  // The task with the trees of tasks blocking it (`blockedBy`) and of tasks it
+  // blocks (`blocks`), up to MAX_GRAPH_DEPTH levels each way. Trashed tasks
+  // and tasks outside its project are left out, and a task reached along
+  // several branches shows up in each.
+  async getDependencyGraph(ownerId, id) {
+    const task = await Task.findOne({ _id: id, owner: ownerId, deletedAt: null }).select("owner project");
+    if (!task) return null;
+
+    const match = { ...linkScope(task), deletedAt: null };
+    const lookup = (as, startWith, connectFromField, connectToField) => ({
+      $graphLookup: {
+        from: Task.collection.name,
+        startWith,
+        connectFromField,
+        connectToField,
+        as,
+        maxDepth: MAX_GRAPH_DEPTH - 1,
+        restrictSearchWithMatch: match,
+      },
+    });
+    const projection = Object.fromEntries(GRAPH_FIELDS.flatMap((field) => [
+      [field, 1],
+      [`upstream.${field}`, 1],
+      [`downstream.${field}`, 1],
+    ]));
+
+    const [result] = await Task.aggregate([
+      { $match: { _id: task._id } },
+      lookup("upstream", "$blockedBy", "blockedBy", "_id"),
+      lookup("downstream", "$_id", "_id", "blockedBy"),
+      { $project: projection },
+    ]);
+    if (!result) return null;
+
+    const upstream = new Map(result.upstream.map((task) => [String(task._id), task]));
+    const dependents = new Map();
+    result.downstream.forEach((task) => task.blockedBy.forEach((blockerId) => {
+      dependents.set(String(blockerId), [...(dependents.get(String(blockerId)) ?? []), task]);
+    }));
+
+    const node = ({ _id, title, priority, deadline = null, completed, blocked = false }) => (
+      { id: String(_id), title, priority, deadline, completed, blocked }
+    );
+    const blockersOf = (task, depth) => (depth >= MAX_GRAPH_DEPTH ? [] : task.blockedBy
+      .map((blockerId) => upstream.get(String(blockerId)))
+      .filter(Boolean)
+      .map((blocker) => ({ ...node(blocker), blockedBy: blockersOf(blocker, depth + 1) })));
+    const dependentsOf = (task, depth) => (depth >= MAX_GRAPH_DEPTH ? [] : (dependents.get(String(task._id)) ?? [])
+      .map((dependent) => ({ ...node(dependent), blocks: dependentsOf(dependent, depth + 1) })));
+
+    return { ...node(result), blockedBy: blockersOf(result, 0), blocks: dependentsOf(result, 0) };
+  }
+
+  // Once `task` is completed, reopened, trashed or restored, the tasks it
+  // blocks may have become blocked or unblocked. `before` is the snapshot
+  // taken before the change.
+  async refreshDependents(before, task) {
+    if (before.completed === task.completed && Boolean(before.deletedAt) === Boolean(task.deletedAt)) return;
+    await this.refreshBlocked(await Task.distinct("_id", { blockedBy: task._id }));
+  }
+
+  // Recomputes `blocked` on the given tasks and announces task.updated for
+  // those where it changed.
+  async refreshBlocked(taskIds) {
+    if (taskIds.length === 0) return;
+
+    const tasks = await Task.find({ _id: { $in: taskIds } }).select("blockedBy blocked");
+    const open = new Set((await Task.distinct("_id", {
+      _id: { $in: tasks.flatMap((task) => task.blockedBy) },
+      completed: false,
+      deletedAt: null,
+    })).map(String));
+    const changed = tasks.filter((task) => task.blocked !== task.blockedBy.some((blockerId) => open.has(String(blockerId))));
+    if (changed.length === 0) return;
+
+    await Task.bulkWrite(changed.map((task) => ({
+      updateOne: { filter: { _id: task._id }, update: { $set: { blocked: !task.blocked }, $inc: { __v: 1 } } },
+    })));
+    const updated = await Task.find({ _id: { $in: changed.map((task) => task._id) }, deletedAt: null });
+    updated.forEach((task) => this.notify("task.updated", task, null));
+  }
+
+  async exportTasks(ownerId, filter = {}) {
+    return await Task.find({ ...filter, owner: ownerId, deletedAt: null }).sort({ createdAt: -1 });
+  }
+
+  async getTaskIds(ownerId, filter, limit) {
+    const tasks = await Task.find({ ...filter, owner: ownerId, deletedAt: null })
+      .sort({ _id: 1 })
+      .limit(limit)
+      .select("_id");
+    return tasks.map((task) => task._id.toHexString());
+  }
+
+  // Runs create/update/delete operations in order and reports on each one.
+  // With `atomic` the batch runs in a transaction and the first failure rolls
+  // everything back, which needs MongoDB running as a replica set.
+  async runBulk(ownerId, operations, { atomic = false } = {}) {
+    const runOne = async ({ op, id, data }) => {
+      if (op === "create") {
+        return { status: 201, task: await this.createTask(ownerId, data) };
+      }
+
+      const task = op === "update"
+        ? await this.updateTask(ownerId, id, data)
+        : await this.deleteTask(ownerId, id);
+      return task ? { status: 200, task } : toProblem(new NotFoundError("Task"));
+    };
+
+    const results = [];
+    const runAll = async () => {
+      results.length = 0;
+      deferredEvents.getStore()?.splice(0);
+
+      for (const [index, operation] of operations.entries()) {
+        let result;
+        try {
+          result = await runOne(operation);
+        } catch (err) {
+          if (atomic && (err.code === TRANSACTIONS_UNSUPPORTED || err.hasErrorLabel?.("TransientTransactionError"))) {
+            throw err;
+          }
+          result = toProblem(err);
+        }
+
+        results.push({ index, op: operation.op, id: result.task?._id ?? operation.id ?? null, ...result });
+        if (atomic && result.status >= 400) throw new BulkRollback();
+      }
+    };
+
+    if (!atomic) {
+      await runAll();
+      return { atomic, committed: true, results };
+    }
+
+    const events = [];
+    try {
+      await deferredEvents.run(events, () => mongoose.connection.transaction(runAll));
+      events.forEach(({ event, task, actorId }) => this.emit(event, { task, actorId }));
+      return { atomic, committed: true, results };
+    } catch (err) {
+      if (err instanceof BulkRollback) {
+        results.forEach((result) => {
+          if (result.status < 400) result.rolledBack = true;
+        });
+        return { atomic, committed: false, results };
+      }
+      if (err.code === TRANSACTIONS_UNSUPPORTED) {
+        throw new AppError(501, "transactions_unsupported", "Not implemented", "Atomic bulk operations need MongoDB running as a replica set");
+      }
+      throw err;
+    }
+  }
+
+  // Counts and rates over every task matching `filter` within `scope` (as in
+  // getTasks()), plus created/completed counts and tracked minutes per
+  // `interval` bucket between `from` and `to`, in one round trip. Time is
+  // bucketed by when each entry started.
+  async getTaskStats(scope, filter = {}, { from, to, interval = "day" } = {}) {
+    const now = new Date();
+    const match = { ...filter, ...scope, deletedAt: null };
+    // Tasks completed before completedAt existed fall back to their last update.
+    const completedAt = { $ifNull: ["$completedAt", "$updatedAt"] };
+    const bucket = (date) => ({
+      $dateTrunc: { date, unit: interval, timezone: "UTC", startOfWeek: "monday" },
+    });
+    // Running timers have no minutes yet, so they add nothing.
+    const timeTotals = {
+      trackedMinutes: { $sum: { $sum: "$timeEntries.minutes" } },
+      estimateMinutes: { $sum: "$estimate" },
+    };
+
+    const [result] = await Task.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                completed: { $sum: { $cond: ["$completed", 1, 0] } },
+                overdue: {
+                  $sum: {
+                    $cond: [
+                      { $and: [{ $not: ["$completed"] }, { $ne: ["$deadline", null] }, { $lt: ["$deadline", now] }] },
+                      1,
+                      0,
+                    ],
+                  },
+                },
+                averageCompletionMs: {
+                  $avg: { $cond: ["$completed", { $subtract: [completedAt, "$createdAt"] }, null] },
+                },
+                ...timeTotals,
+              },
+            },
+          ],
+          byCategoryAndPriority: [
+            {
+              $group: {
+                _id: { category: "$category", priority: "$priority" },
+                count: { $sum: 1 },
+                ...timeTotals,
+              },
+            },
+          ],
+          byTag: [
+            { $unwind: "$tags" },
+            { $group: { _id: "$tags", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          created: [
+            { $match: { createdAt: { $gte: from, $lte: to } } },
+            { $group: { _id: bucket("$createdAt"), count: { $sum: 1 } } },
+          ],
+          completedOverTime: [
+            { $match: { completed: true } },
+            { $addFields: { finishedAt: completedAt } },
+            { $match: { finishedAt: { $gte: from, $lte: to } } },
+            { $group: { _id: bucket("$finishedAt"), count: { $sum: 1 } } },
+          ],
+          trackedOverTime: [
+            { $unwind: "$timeEntries" },
+            { $match: { "timeEntries.endedAt": { $ne: null }, "timeEntries.startedAt": { $gte: from, $lte: to } } },
+            { $group: { _id: bucket("$timeEntries.startedAt"), count: { $sum: "$timeEntries.minutes" } } },
+          ],
+        },
+      },
+    ]);
+
+    const totals = result.totals[0]
+      || { total: 0, completed: 0, overdue: 0, averageCompletionMs: null, trackedMinutes: 0, estimateMinutes: 0 };
+    const byCategory = {};
+    const byPriority = {};
+    const crossTab = {};
+    const timeByCategory = {};
+    result.byCategoryAndPriority.forEach(({ _id: { category, priority }, count, trackedMinutes, estimateMinutes }) => {
+      byCategory[category] = (byCategory[category] || 0) + count;
+      byPriority[priority] = (byPriority[priority] || 0) + count;
+      crossTab[category] = { ...crossTab[category], [priority]: count };
+      const time = timeByCategory[category] || { trackedMinutes: 0, estimateMinutes: 0 };
+      timeByCategory[category] = {
+        trackedMinutes: time.trackedMinutes + trackedMinutes,
+        estimateMinutes: time.estimateMinutes + estimateMinutes,
+      };
+    });
+
+    const byTag = Object.fromEntries(result.byTag.map(({ _id, count }) => [_id, count]));
+
+    const countsByPeriod = (rows) => new Map(rows.map(({ _id, count }) => [_id.getTime(), count]));
+    const created = countsByPeriod(result.created);
+    const completed = countsByPeriod(result.completedOverTime);
+    const tracked = countsByPeriod(result.trackedOverTime);
+    const buckets = [];
+    for (let period = truncateDate(from, interval); period <= to; period = addInterval(period, interval)) {
+      buckets.push({
+        period,
+        created: created.get(period.getTime()) || 0,
+        completed: completed.get(period.getTime()) || 0,
+        trackedMinutes: tracked.get(period.getTime()) || 0,
+      });
+    }
+
+    return {
+      total: totals.total,
+      completed: totals.completed,
+      pending: totals.total - totals.completed,
+      overdue: totals.overdue,
+      completionRate: totals.total ? Math.round((totals.completed / totals.total) * 1000) / 10 : 0,
+      averageCompletionHours: totals.averageCompletionMs === null
+        ? null
+        : Math.round((totals.averageCompletionMs / 36e5) * 100) / 100,
       byCategory,
-      byPriority
+      byPriority,
+      crossTab,
+      byTag,
+      time: {
+        trackedMinutes: totals.trackedMinutes,
+        estimateMinutes: totals.estimateMinutes,
+        byCategory: timeByCategory,
+      },
+      timeSeries: { interval, from, to, buckets },
     };
   }
 }
@@ -0,0 +1,117 @@
+import View from "../models/view.schema.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Weeks start on Monday.
+const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const dueBetween = (from, to) => ({
+  and: [
+    { field: "deadline", op: "gte", value: from.toISOString() },
+    { field: "deadline", op: "lt", value: to.toISOString() },
+  ],
+});
+
+// Built-in views every user has. Their queries are worked out from the
+// current time on each run, with days and weeks in UTC.
+const SMART_LISTS = [
+  {
+    id: "today",
+    name: "Today",
+    description: "Pending tasks due today",
+    query: (now) => ({
+      completed: false,
+      filter: dueBetween(startOfDay(now), new Date(startOfDay(now).getTime() + DAY_MS)),
+      sortBy: "deadline",
+      sortOrder: "asc",
+    }),
+  },
+  {
+    id: "overdue",
+    name: "Overdue",
+    description: "Pending tasks whose deadline has passed",
+    query: (now) => ({
+      completed: false,
+      filter: { field: "deadline", op: "lt", value: now.toISOString() },
+      sortBy: "deadline",
+      sortOrder: "asc",
+    }),
+  },
+  {
+    id: "this-week",
+    name: "This week",
+    description: "Pending tasks due between Monday and Sunday of this week",
+    query: (now) => ({
+      completed: false,
+      filter: dueBetween(startOfWeek(now), new Date(startOfWeek(now).getTime() + 7 * DAY_MS)),
+      sortBy: "deadline",
+      sortOrder: "asc",
+    }),
+  },
+  {
+    id: "high-priority-pending",
+    name: "High priority pending",
+    description: "Pending high priority tasks, newest first",
+    query: () => ({
+      completed: false,
+      priority: "High",
+    }),
+  },
+];
+
+export const SMART_LIST_IDS = SMART_LISTS.map((list) => list.id);
+
+class ViewService {
+  isSmartList(id) {
+    return SMART_LISTS.some((list) => list.id === id);
+  }
+
+  // A smart list as it would run at `now`.
+  getSmartList(id, now = new Date()) {
+    const list = SMART_LISTS.find((candidate) => candidate.id === id);
+    if (!list) return null;
+    return { id: list.id, name: list.name, description: list.description, builtIn: true, query: list.query(now) };
+  }
+
+  // The smart lists first, then the user's own views by name.
+  async getViews(ownerId, now = new Date()) {
+    const views = await View.find({ owner: ownerId }).sort({ name: 1 });
+    return [...SMART_LISTS.map((list) => this.getSmartList(list.id, now)), ...views];
+  }
+
+  async getViewById(ownerId, id) {
+    return await View.findOne({ _id: id, owner: ownerId });
+  }
+
+  async createView(ownerId, data) {
+    return await View.create({ ...data, owner: ownerId });
+  }
+
+  // `query` is replaced as a whole rather than merged, so clearing a filter
+  // is a matter of leaving it out.
+  async updateView(ownerId, id, data) {
+    const view = await View.findOne({ _id: id, owner: ownerId });
+    if (!view) return null;
+
+    view.set(data);
+    return await view.save();
+  }
+
+  async deleteView(ownerId, id) {
+    return await View.findOneAndDelete({ _id: id, owner: ownerId });
+  }
+
+  // The list parameters to run a view with. The page position always comes
+  // from the request, and so may the page size.
+  toListParams(view, { page, after, limit } = {}) {
+    const query = typeof view.query?.toObject === "function" ? view.query.toObject() : { ...view.query };
+    return { ...query, page, after, limit: limit ?? query.limit };
+  }
+}
+
+export default new ViewService();
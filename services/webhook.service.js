@@ -0,0 +1,278 @@
+import crypto from "node:crypto";
+import dns from "node:dns";
+import net from "node:net";
+import mongoose from "mongoose";
+import { Agent, buildConnector, fetch } from "undici";
+import Webhook from "../models/webhook.schema.js";
+import WebhookDelivery from "../models/delivery.schema.js";
+import taskService from "./task.service.js";
+import projectService from "./project.service.js";
+
+// task.overdue and task.reminder are sent by the reminder scheduler's webhook
+// channel instead, so they follow its channel settings.
+const CHANGE_EVENTS = ["task.created", "task.updated", "task.completed", "task.deleted"];
+
+const maxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const timeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Exponential backoff: the base delay, then twice that, four times, and so on.
+const retryDelayMs = (attempt) => {
+  const baseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+  return baseSeconds * 1000 * 2 ** (attempt - 1);
+};
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254),
+// multicast and other reserved ranges. Deliveries there are refused unless
+// WEBHOOK_ALLOWED_HOSTS lists the host or a range containing its address.
+const RESERVED_NETWORKS = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.0.2.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["198.51.100.0", 24, "ipv4"],
+  ["203.0.113.0", 24, "ipv4"],
+  ["224.0.0.0", 3, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["::ffff:0:0", 96, "ipv6"],
+  ["64:ff9b::", 96, "ipv6"],
+  ["2001:db8::", 32, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const reserved = new net.BlockList();
+RESERVED_NETWORKS.forEach(([network, prefix, type]) => reserved.addSubnet(network, prefix, type));
+
+// WEBHOOK_ALLOWED_HOSTS is a comma-separated list of host names, addresses
+// and CIDR ranges, e.g. "localhost,10.1.0.0/16" for receivers on your own
+// network.
+const allowList = () => {
+  const hosts = new Set();
+  const networks = new net.BlockList();
+  (process.env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map((entry) => entry.trim().toLowerCase()).filter(Boolean)
+    .forEach((entry) => {
+      const [address, prefix] = entry.split("/");
+      const type = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+      if (!net.isIP(address)) hosts.add(entry);
+      else if (prefix === undefined) networks.addAddress(address, type);
+      else networks.addSubnet(address, Number(prefix), type);
+    });
+  return { hosts, networks };
+};
+
+const refusal = (hostname) => new Error(`Refusing to deliver to ${hostname}: it resolves to a private or reserved address`);
+
+const isRefused = (networks, address, family) => {
+  const type = family === 6 ? "ipv6" : "ipv4";
+  return reserved.check(address, type) && !networks.check(address, type);
+};
+
+// dns.lookup, failing for a host with an address deliveries may not go to.
+// It runs as each connection is made, so the address checked is the one
+// connected to: a host can't pass with a public address and then answer
+// the connection's own lookup with a private one.
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const { hosts, networks } = allowList();
+    const addresses = options.all ? address : [{ address, family }];
+    if (!hosts.has(hostname.toLowerCase()) && addresses.some((entry) => isRefused(networks, entry.address, entry.family))) {
+      return callback(refusal(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+const connector = buildConnector({ lookup });
+
+// Deliveries connect through this. A URL with an address for its host skips
+// the lookup, so that address is checked here instead.
+const dispatcher = new Agent({
+  connect(options, callback) {
+    const hostname = options.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    const { hosts, networks } = allowList();
+    if (net.isIP(hostname) && !hosts.has(hostname) && isRefused(networks, hostname, net.isIP(hostname))) {
+      return callback(refusal(hostname), null);
+    }
+    connector(options, callback);
+  },
+});
+
+class WebhookService {
+  // Receivers recompute this over the raw request body to check that a
+  // delivery came from us and, via the timestamp, that it isn't a replay.
+  sign(secret, timestamp, body) {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(32).toString("hex");
+  }
+
+  async createWebhook(ownerId, { secret, ...data }) {
+    return await Webhook.create({ ...data, secret: secret ?? this.generateSecret(), owner: ownerId });
+  }
+
+  async getWebhooks(ownerId) {
+    return await Webhook.find({ owner: ownerId }).sort({ createdAt: -1 });
+  }
+
+  async getWebhookById(ownerId, id) {
+    return await Webhook.findOne({ _id: id, owner: ownerId });
+  }
+
+  // A new secret is echoed back once, like on create.
+  async updateWebhook(ownerId, id, data) {
+    return await Webhook.findOneAndUpdate(
+      { _id: id, owner: ownerId },
+      data,
+      { new: true, runValidators: true }
+    ).select(data.secret ? "+secret" : "");
+  }
+
+  async deleteWebhook(ownerId, id) {
+    const webhook = await Webhook.findOneAndDelete({ _id: id, owner: ownerId });
+    if (webhook) await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    return webhook;
+  }
+
+  async getDeliveries(ownerId, id, { status, limit = 50 } = {}) {
+    const exists = await Webhook.exists({ _id: id, owner: ownerId });
+    if (!exists) return null;
+
+    const query = { webhook: id, owner: ownerId };
+    if (status) query.status = status;
+    return await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  // Sends a ping to the subscription right away, without retries, and
+  // returns the logged delivery so the caller can see how it went.
+  async ping(ownerId, id) {
+    const webhook = await Webhook.findOne({ _id: id, owner: ownerId }).select("+secret");
+    if (!webhook) return null;
+
+    const delivery = await this.createDelivery(webhook, "ping", { webhook: webhook.id });
+    return await this.attempt(delivery, webhook, { retry: false });
+  }
+
+  // Delivers `event` for `task` to every active subscription of the users
+  // who can read it: its owner and, in a project, the project's members.
+  // `extra` is merged into the payload's data next to the task.
+  async dispatch(event, task, extra = {}) {
+    const readers = await projectService.readersOf(task);
+    const webhooks = await Webhook.find({ owner: { $in: readers }, events: event, active: true }).select("+secret");
+
+    return await Promise.all(webhooks.map(async (webhook) => {
+      const delivery = await this.createDelivery(webhook, event, { task: task.toJSON(), ...extra });
+      return await this.attempt(delivery, webhook);
+    }));
+  }
+
+  async createDelivery(webhook, event, data) {
+    const _id = new mongoose.Types.ObjectId();
+    return await WebhookDelivery.create({
+      _id,
+      webhook: webhook._id,
+      owner: webhook.owner,
+      event,
+      payload: { id: _id.toHexString(), event, createdAt: new Date(), data },
+    });
+  }
+
+  // Makes one POST and logs it on the delivery. A 2xx response is a success;
+  // anything else, including a host that resolves to a reserved address,
+  // schedules a retry until WEBHOOK_MAX_ATTEMPTS is reached.
+  async attempt(delivery, webhook, { retry = true } = {}) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = delivery.attempts.length + 1;
+    const startedAt = new Date();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "tg-crescentrating-webhooks/1.0",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${this.sign(webhook.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs()),
+        dispatcher,
+      });
+      statusCode = response.status;
+      if (!response.ok) error = `Receiver responded with ${response.status}`;
+      await response.body?.cancel();
+    } catch (err) {
+      error = err.cause?.message || err.message;
+    }
+
+    delivery.attempts.push({ attempt, at: startedAt, statusCode, error, durationMs: Date.now() - startedAt });
+    if (!error) {
+      delivery.status = "succeeded";
+      delivery.nextAttemptAt = null;
+    } else if (!retry || attempt >= maxAttempts()) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(attempt));
+    }
+    await delivery.save();
+    return delivery;
+  }
+
+  // Retries pending deliveries whose backoff has elapsed. Each one is claimed
+  // first so that several server processes never send the same retry twice.
+  async retryDue() {
+    const due = await WebhookDelivery.find({ status: "pending", nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(100)
+      .select("_id nextAttemptAt");
+
+    let count = 0;
+    for (const { _id, nextAttemptAt } of due) {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id, nextAttemptAt },
+        { $set: { nextAttemptAt: null } },
+        { new: true }
+      );
+      if (!delivery) continue;
+
+      const webhook = await Webhook.findOne({ _id: delivery.webhook, active: true }).select("+secret");
+      if (!webhook) {
+        delivery.status = "failed";
+        await delivery.save();
+        continue;
+      }
+
+      await this.attempt(delivery, webhook);
+      count++;
+    }
+    return count;
+  }
+}
+
+const webhookService = new WebhookService();
+
+CHANGE_EVENTS.forEach((event) => {
+  taskService.on(event, ({ task }) => {
+    webhookService.dispatch(event, task)
+      .catch((err) => console.error(`Webhook dispatch for ${event} failed:`, err.message));
+  });
+});
+
+export default webhookService;
@@ -0,0 +1,32 @@
+import { before, after, beforeEach } from "node:test";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET ??= "test-secret";
+// Every request in a test file comes from the same address within seconds.
+process.env.RATE_LIMIT_PER_IP = "100000";
+
+// Runs the calling test file against its own in-memory MongoDB, emptied
+// before each test. It's a one-node replica set so that atomic bulk requests
+// get their transactions. The first run downloads a mongod binary into
+// node_modules/.cache.
+export const useDatabase = () => {
+  let replSet;
+
+  before(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: "wiredTiger" } });
+    await mongoose.connect(replSet.getUri());
+    // Searches need the text index and duplicate checks the unique ones.
+    await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+  });
+
+  beforeEach(async () => {
+    await Promise.all(Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({})));
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    await replSet?.stop();
+  });
+};
@@ -0,0 +1,64 @@
+import request from "supertest";
+import app from "../../app.js";
+import Task from "../../models/task.schema.js";
+import User from "../../models/user.schema.js";
+import authService from "../../services/auth.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let sequence = 0;
+
+export const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+// Requests to the app as `auth` (headers), e.g. `api.get("/tasks")`, ready
+// for supertest's .query(), .send() and .expect().
+const client = (auth) => Object.fromEntries(
+  ["get", "post", "put", "patch", "delete"].map((method) => [method, (url) => request(app)[method](url).set(auth)])
+);
+
+// A registered user with a bearer token, and `api` to make requests as them.
+export const createUser = async (overrides = {}) => {
+  sequence++;
+  const user = await User.create({
+    name: `User ${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: "correct-horse",
+    ...overrides,
+  });
+  const token = authService.signToken(user);
+  return { user, token, api: client({ Authorization: `Bearer ${token}` }) };
+};
+
+// Requests without credentials.
+export const anonymous = client({});
+
+// A POST /tasks body that passes validation.
+export const taskPayload = (overrides = {}) => ({
+  title: `Task ${++sequence}`,
+  category: "Work",
+  priority: "Medium",
+  deadline: daysFromNow(7).toISOString(),
+  ...overrides,
+});
+
+// Stores a task for `owner` straight in the database, skipping validation
+// and history, so tests can set what the API doesn't let clients set:
+// timestamps, completedAt, deadlines in the past.
+export const createTask = async (owner, overrides = {}) => {
+  const now = new Date();
+  const [task] = await Task.create([{
+    ...taskPayload(),
+    deadline: daysFromNow(7),
+    createdAt: now,
+    updatedAt: now,
+    ...overrides,
+    owner: owner._id,
+  }], { timestamps: false });
+  return task;
+};
+
+// One task per entry of `overrides`, stored in order.
+export const createTasks = async (owner, overrides) => {
+  const tasks = [];
+  for (const fields of overrides) tasks.push(await createTask(owner, fields));
+  return tasks;
+};
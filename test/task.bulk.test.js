@@ -0,0 +1,123 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createTasks, createUser, taskPayload } from "./helpers/factories.js";
+import Task from "../models/task.schema.js";
+
+useDatabase();
+
+const MISSING_ID = "60d0fe4f5311236168a109ca";
+
+describe("POST /tasks/bulk", () => {
+  it("runs each operation and reports on it, failures included", async () => {
+    const { user, api } = await createUser();
+    const [kept, removed] = await createTasks(user, [{ title: "Kept" }, { title: "Removed" }]);
+
+    const res = await api.post("/tasks/bulk").send({
+      operations: [
+        { op: "create", data: taskPayload({ title: "Created" }) },
+        { op: "update", id: kept.id, data: { priority: "High" } },
+        { op: "delete", id: removed.id },
+        { op: "create", data: { title: "No category" } },
+        { op: "update", id: MISSING_ID, data: { priority: "Low" } },
+      ],
+    }).expect(200);
+
+    assert.equal(res.body.atomic, false);
+    assert.equal(res.body.committed, true);
+    assert.deepEqual(res.body.summary, { total: 5, succeeded: 3, failed: 2 });
+    assert.deepEqual(res.body.results.map((result) => [result.index, result.status]), [
+      [0, 201], [1, 200], [2, 200], [3, 400], [4, 404],
+    ]);
+    assert.equal(res.body.results[3].code, "validation_failed");
+    assert.equal(res.body.results[4].code, "task_not_found");
+
+    const { body } = await api.get("/tasks?sortBy=title&sortOrder=asc").expect(200);
+    assert.deepEqual(body.data.map((task) => [task.title, task.priority]), [["Created", "Medium"], ["Kept", "High"]]);
+  });
+
+  it("applies the data as validation converted it, like the single-task routes", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const res = await api.post("/tasks/bulk").send({
+      operations: [
+        { op: "create", data: taskPayload({ title: "Created", category: "  Work  " }) },
+        { op: "update", id: task.id, data: { category: " Personal " } },
+      ],
+    }).expect(200);
+
+    assert.deepEqual(res.body.results.map((result) => result.status), [201, 200]);
+    assert.equal(res.body.results[0].task.category, "Work");
+    assert.equal(res.body.results[1].task.category, "Personal");
+  });
+
+  it("rolls the whole batch back when an atomic one fails", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { title: "Untouched" });
+
+    const res = await api.post("/tasks/bulk").send({
+      atomic: true,
+      operations: [
+        { op: "create", data: taskPayload({ title: "Rolled back" }) },
+        { op: "update", id: task.id, data: { title: "Changed" } },
+        { op: "delete", id: MISSING_ID },
+      ],
+    }).expect(409);
+
+    assert.equal(res.body.code, "batch_not_applied");
+    assert.equal(res.body.committed, false);
+    assert.deepEqual(res.body.summary, { total: 3, succeeded: 0, failed: 1 });
+    assert.deepEqual(res.body.results.map((result) => result.rolledBack ?? false), [true, true, false]);
+    assert.deepEqual(await Task.find().distinct("title"), ["Untouched"]);
+  });
+
+  it("refuses an atomic batch with an invalid item before running any of it", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks/bulk").send({
+      atomic: true,
+      operations: [
+        { op: "create", data: taskPayload() },
+        { op: "create", data: taskPayload({ priority: "Urgent" }) },
+      ],
+    }).expect(409);
+
+    assert.equal(res.headers["content-type"], "application/problem+json; charset=utf-8");
+    assert.equal(res.body.code, "batch_not_applied");
+    assert.equal(res.body.committed, false);
+    assert.deepEqual(res.body.summary, { total: 2, succeeded: 0, failed: 1 });
+    assert.deepEqual(res.body.results.map((result) => result.index), [1]);
+    assert.equal(await Task.countDocuments(), 0);
+  });
+
+  it("commits an atomic batch that succeeds", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks/bulk").send({
+      atomic: true,
+      operations: [{ op: "create", data: taskPayload() }, { op: "create", data: taskPayload() }],
+    }).expect(200);
+
+    assert.equal(res.body.committed, true);
+    assert.deepEqual(res.body.summary, { total: 2, succeeded: 2, failed: 0 });
+    assert.equal(await Task.countDocuments(), 2);
+  });
+
+  it("patches every task matching a filter", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [
+      { title: "Eggs", category: "Shopping" },
+      { title: "Bread", category: "Shopping" },
+      { title: "Report", category: "Work" },
+    ]);
+
+    const res = await api.post("/tasks/bulk")
+      .send({ filter: { category: "Shopping", completed: false }, patch: { completed: true } })
+      .expect(200);
+
+    assert.deepEqual(res.body.summary, { total: 2, succeeded: 2, failed: 0 });
+    const { body } = await api.get("/tasks").query({ completed: "true", sortBy: "title", sortOrder: "asc" }).expect(200);
+    assert.deepEqual(body.data.map((task) => task.title), ["Bread", "Eggs"]);
+  });
+});
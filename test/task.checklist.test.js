@@ -0,0 +1,98 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createUser } from "./helpers/factories.js";
+
+useDatabase();
+
+const texts = (res) => res.body.checklist.map((item) => item.text);
+
+const withChecklist = (user, items, overrides = {}) => createTask(user, {
+  checklist: items.map((text, order) => ({ text, order })),
+  ...overrides,
+});
+
+describe("task checklists", () => {
+  it("appends an item", async () => {
+    const { user, api } = await createUser();
+    const task = await withChecklist(user, ["Outline"]);
+
+    const res = await api.post(`/tasks/${task.id}/checklist`).send({ text: "Draft" }).expect(201);
+
+    assert.deepEqual(texts(res), ["Outline", "Draft"]);
+    assert.deepEqual(res.body.checklist.map((item) => item.order), [0, 1]);
+    assert.equal(res.body.checklist[1].done, false);
+    assert.equal(res.body.progress, 0);
+  });
+
+  it("updates an item", async () => {
+    const { user, api } = await createUser();
+    const task = await withChecklist(user, ["Outline", "Draft"]);
+    const [item] = task.checklist;
+
+    const res = await api.put(`/tasks/${task.id}/checklist/${item.id}`).send({ text: "Outline v2", done: true }).expect(200);
+
+    assert.deepEqual(texts(res), ["Outline v2", "Draft"]);
+    assert.equal(res.body.checklist[0].done, true);
+    assert.equal(res.body.progress, 50);
+    assert.equal(res.body.completed, false);
+  });
+
+  it("reorders items, keeping the unlisted ones after the listed", async () => {
+    const { user, api } = await createUser();
+    const task = await withChecklist(user, ["A", "B", "C", "D"]);
+    const [a, b, c, d] = task.checklist.map((item) => item.id);
+
+    const res = await api.put(`/tasks/${task.id}/checklist/reorder`).send({ itemIds: [d, b] }).expect(200);
+
+    assert.deepEqual(texts(res), ["D", "B", "A", "C"]);
+    assert.deepEqual(res.body.checklist.map((item) => item._id), [d, b, a, c]);
+  });
+
+  it("removes an item", async () => {
+    const { user, api } = await createUser();
+    const task = await withChecklist(user, ["A", "B", "C"]);
+
+    const res = await api.delete(`/tasks/${task.id}/checklist/${task.checklist[1].id}`).expect(200);
+
+    assert.deepEqual(texts(res), ["A", "C"]);
+    assert.deepEqual(res.body.checklist.map((item) => item.order), [0, 1]);
+  });
+
+  it("404s for an item the task doesn't have", async () => {
+    const { user, api } = await createUser();
+    const task = await withChecklist(user, ["A"]);
+
+    const res = await api.put(`/tasks/${task.id}/checklist/60d0fe4f5311236168a109ca`).send({ done: true }).expect(404);
+
+    assert.equal(res.body.code, "checklist_item_not_found");
+    await api.delete(`/tasks/${task.id}/checklist/60d0fe4f5311236168a109ca`).expect(404);
+  });
+
+  it("completes an auto-completing task with its last item and reopens it after", async () => {
+    const { user, api } = await createUser();
+    const task = await withChecklist(user, ["A", "B"], { autoComplete: true });
+    const [a, b] = task.checklist.map((item) => item.id);
+
+    await api.put(`/tasks/${task.id}/checklist/${a}`).send({ done: true }).expect(200);
+    const done = await api.put(`/tasks/${task.id}/checklist/${b}`).send({ done: true }).expect(200);
+    const added = await api.post(`/tasks/${task.id}/checklist`).send({ text: "C" }).expect(201);
+
+    assert.equal(done.body.completed, true);
+    assert.ok(done.body.completedAt);
+    assert.equal(added.body.completed, false);
+    assert.equal(added.body.completedAt, null);
+  });
+
+  it("completes an auto-completing task when its last open item is removed", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, {
+      autoComplete: true,
+      checklist: [{ text: "A", done: true, order: 0 }, { text: "B", order: 1 }],
+    });
+
+    const res = await api.delete(`/tasks/${task.id}/checklist/${task.checklist[1].id}`).expect(200);
+
+    assert.equal(res.body.completed, true);
+  });
+});
@@ -0,0 +1,269 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import taskService from "../services/task.service.js";
+import { useDatabase } from "./helpers/db.js";
+import { anonymous, createTask, createUser, daysFromNow, taskPayload } from "./helpers/factories.js";
+
+useDatabase();
+
+describe("POST /tasks", () => {
+  it("creates a task for the caller with its version as ETag", async () => {
+    const { user, api } = await createUser();
+    const payload = taskPayload({ title: "Write the report", tags: ["Client-A", "q4"] });
+
+    const res = await api.post("/tasks").send(payload).expect(201);
+
+    assert.equal(res.body.title, "Write the report");
+    assert.equal(res.body.owner, user.id);
+    assert.equal(res.body.completed, false);
+    assert.deepEqual(res.body.tags, ["client-a", "q4"]);
+    assert.equal(res.body.deadline, payload.deadline);
+    assert.equal(res.headers.etag, '"0"');
+  });
+
+  it("stores the category under its canonical name", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks").send(taskPayload({ category: "work" })).expect(201);
+
+    assert.equal(res.body.category, "Work");
+  });
+
+  it("refuses a category the caller doesn't have", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks").send(taskPayload({ category: "Gardening" })).expect(400);
+
+    assert.equal(res.body.code, "unknown_category");
+  });
+
+  it("needs credentials", async () => {
+    const res = await anonymous.post("/tasks").send(taskPayload()).expect(401);
+
+    assert.equal(res.headers["content-type"], "application/problem+json; charset=utf-8");
+    assert.equal(res.body.code, "missing_credentials");
+  });
+});
+
+describe("GET /tasks/:id", () => {
+  it("returns the task", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { title: "Buy milk" });
+
+    const res = await api.get(`/tasks/${task.id}`).expect(200);
+
+    assert.equal(res.body._id, task.id);
+    assert.equal(res.body.title, "Buy milk");
+    assert.equal(res.headers.etag, '"0"');
+  });
+
+  it("answers 304 when the ETag still matches", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    await api.get(`/tasks/${task.id}`).set("If-None-Match", '"0"').expect(304);
+  });
+
+  it("changes the ETag when the reminder job marks the task overdue", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { deadline: daysFromNow(-1) });
+
+    await taskService.notifyOverdue();
+    const res = await api.get(`/tasks/${task.id}`).set("If-None-Match", '"0"').expect(200);
+
+    assert.ok(res.body.overdueNotifiedAt);
+    assert.equal(res.headers.etag, '"1"');
+  });
+
+  it("hides other users' tasks", async () => {
+    const { user } = await createUser();
+    const { api } = await createUser();
+    const task = await createTask(user);
+
+    const res = await api.get(`/tasks/${task.id}`).expect(404);
+
+    assert.equal(res.body.code, "task_not_found");
+  });
+});
+
+describe("PUT /tasks/:id", () => {
+  it("replaces the editable fields, resetting those left out", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { description: "Old notes", tags: ["old"] });
+    const payload = taskPayload({ title: "Replaced", priority: "High", completed: true });
+
+    const res = await api.put(`/tasks/${task.id}`).send(payload).expect(200);
+
+    assert.equal(res.body.title, "Replaced");
+    assert.equal(res.body.priority, "High");
+    assert.equal(res.body.completed, true);
+    assert.ok(res.body.completedAt);
+    assert.equal(res.body.description, "");
+    assert.deepEqual(res.body.tags, []);
+    assert.equal(res.headers.etag, '"1"');
+  });
+
+  it("completes an overdue task that keeps its deadline", async () => {
+    const { user, api } = await createUser();
+    const deadline = daysFromNow(-2);
+    const task = await createTask(user, { title: "Late", deadline });
+    const payload = taskPayload({ title: "Late", deadline: deadline.toISOString(), completed: true });
+
+    const res = await api.put(`/tasks/${task.id}`).send(payload).expect(200);
+    const moved = await api.put(`/tasks/${task.id}`)
+      .send({ ...payload, deadline: daysFromNow(-1).toISOString() })
+      .expect(400);
+
+    assert.equal(res.body.completed, true);
+    assert.equal(res.body.deadline, deadline.toISOString());
+    assert.equal(moved.body.errors[0].field, "deadline");
+  });
+
+  it("keeps the task in its project unless the body moves it", async () => {
+    const { api } = await createUser();
+    const { user: editor, api: editorApi } = await createUser();
+    const { body: project } = await api.post("/projects").send({ name: "Launch" }).expect(201);
+    await api.post(`/projects/${project._id}/members`).send({ email: editor.email, role: "editor" }).expect(201);
+    const { body: task } = await api.post("/tasks").send(taskPayload({ project: project._id })).expect(201);
+
+    const res = await editorApi.put(`/tasks/${task._id}`).send(taskPayload({ title: "Renamed" })).expect(200);
+
+    assert.equal(res.body.project, project._id);
+    await editorApi.get(`/tasks/${task._id}`).expect(200);
+  });
+
+  it("leaves taking a task out of its project to the task's owner or a project owner", async () => {
+    const { api } = await createUser();
+    const { user: author, api: authorApi } = await createUser();
+    const { user: editor, api: editorApi } = await createUser();
+    const { body: project } = await api.post("/projects").send({ name: "Launch" }).expect(201);
+    const { body: other } = await editorApi.post("/projects").send({ name: "Side" }).expect(201);
+    for (const member of [author, editor]) {
+      await api.post(`/projects/${project._id}/members`).send({ email: member.email, role: "editor" }).expect(201);
+    }
+    const { body: task } = await authorApi.post("/tasks").send(taskPayload({ project: project._id })).expect(201);
+
+    const out = await editorApi.put(`/tasks/${task._id}`).send(taskPayload({ project: null })).expect(403);
+    const away = await editorApi.patch(`/tasks/${task._id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ project: other._id }))
+      .expect(403);
+    const res = await api.put(`/tasks/${task._id}`).send(taskPayload({ project: null })).expect(200);
+
+    assert.equal(out.body.code, "forbidden");
+    assert.equal(away.body.code, "forbidden");
+    assert.equal(res.body.project, null);
+  });
+
+  it("goes through when If-Match names the current version", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    await api.put(`/tasks/${task.id}`).set("If-Match", '"0"').send(taskPayload()).expect(200);
+  });
+
+  it("refuses a stale If-Match with 412", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+    await api.put(`/tasks/${task.id}`).send(taskPayload()).expect(200);
+
+    const res = await api.put(`/tasks/${task.id}`).set("If-Match", '"0"').send(taskPayload()).expect(412);
+
+    assert.equal(res.body.code, "precondition_failed");
+  });
+
+  it("404s for a task that doesn't exist", async () => {
+    const { api } = await createUser();
+
+    await api.put("/tasks/60d0fe4f5311236168a109ca").send(taskPayload()).expect(404);
+  });
+});
+
+describe("PATCH /tasks/:id", () => {
+  it("applies a merge patch", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { priority: "Low", description: "Keep me" });
+
+    const res = await api.patch(`/tasks/${task.id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ priority: "High", tags: ["urgent"] }))
+      .expect(200);
+
+    assert.equal(res.body.priority, "High");
+    assert.deepEqual(res.body.tags, ["urgent"]);
+    assert.equal(res.body.description, "Keep me");
+  });
+
+  it("applies a JSON Patch", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { title: "Before" });
+
+    const res = await api.patch(`/tasks/${task.id}`)
+      .set("Content-Type", "application/json-patch+json")
+      .send(JSON.stringify([
+        { op: "test", path: "/title", value: "Before" },
+        { op: "replace", path: "/title", value: "After" },
+        { op: "add", path: "/checklist/-", value: { text: "First step", done: false } },
+      ]))
+      .expect(200);
+
+    assert.equal(res.body.title, "After");
+    assert.deepEqual(res.body.checklist.map((item) => item.text), ["First step"]);
+  });
+
+  it("refuses a JSON Patch whose test fails", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { title: "Before" });
+
+    const res = await api.patch(`/tasks/${task.id}`)
+      .set("Content-Type", "application/json-patch+json")
+      .send(JSON.stringify([{ op: "test", path: "/title", value: "Something else" }]))
+      .expect(409);
+
+    assert.equal(res.body.code, "patch_conflict");
+  });
+
+  it("answers 422 when the patched task is invalid", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const res = await api.patch(`/tasks/${task.id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ priority: "Urgent" }))
+      .expect(422);
+
+    assert.equal(res.body.code, "validation_failed");
+    assert.deepEqual(res.body.errors.map((error) => error.field), ["priority"]);
+  });
+
+  it("only takes the patch media types", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const res = await api.patch(`/tasks/${task.id}`).send({ priority: "High" }).expect(415);
+
+    assert.equal(res.body.code, "unsupported_patch_format");
+    assert.equal(res.headers["accept-patch"], "application/merge-patch+json, application/json-patch+json");
+  });
+});
+
+describe("DELETE /tasks/:id", () => {
+  it("moves the task to the trash", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { title: "Old task" });
+
+    const res = await api.delete(`/tasks/${task.id}`).expect(200);
+
+    assert.equal(res.body.message, "Task moved to trash");
+    assert.equal(res.body.deletedTask.title, "Old task");
+    assert.ok(res.body.deletedTask.deletedAt);
+    await api.get(`/tasks/${task.id}`).expect(404);
+  });
+
+  it("refuses a stale If-Match with 412", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    await api.delete(`/tasks/${task.id}`).set("If-Match", '"7"').expect(412);
+  });
+});
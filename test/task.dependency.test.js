@@ -0,0 +1,122 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createTasks, createUser } from "./helpers/factories.js";
+
+useDatabase();
+
+const complete = (api, id) => api.patch(`/tasks/${id}`)
+  .set("Content-Type", "application/merge-patch+json")
+  .send(JSON.stringify({ completed: true }));
+
+describe("task dependencies", () => {
+  it("blocks a task by an open one", async () => {
+    const { user, api } = await createUser();
+    const [task, blocker] = await createTasks(user, [{ title: "Ship" }, { title: "Test" }]);
+
+    const res = await api.post(`/tasks/${task.id}/blockers`).send({ taskId: blocker.id }).expect(201);
+
+    assert.deepEqual(res.body.blockedBy, [blocker.id]);
+    assert.equal(res.body.blocked, true);
+  });
+
+  it("doesn't mark a task blocked by a completed one", async () => {
+    const { user, api } = await createUser();
+    const [task, blocker] = await createTasks(user, [{}, { completed: true }]);
+
+    const res = await api.post(`/tasks/${task.id}/blockers`).send({ taskId: blocker.id }).expect(201);
+
+    assert.equal(res.body.blocked, false);
+  });
+
+  it("refuses a task blocking itself, or a blocker of someone else's", async () => {
+    const { user, api } = await createUser();
+    const { user: other } = await createUser();
+    const task = await createTask(user);
+    const theirs = await createTask(other);
+
+    const self = await api.post(`/tasks/${task.id}/blockers`).send({ taskId: task.id }).expect(400);
+    const foreign = await api.post(`/tasks/${task.id}/blockers`).send({ taskId: theirs.id }).expect(400);
+
+    assert.equal(self.body.code, "invalid_dependency");
+    assert.equal(foreign.body.code, "invalid_dependency");
+  });
+
+  it("refuses a link that closes a cycle and names the tasks in it", async () => {
+    const { user, api } = await createUser();
+    const [a, b, c] = await createTasks(user, [{}, {}, {}]);
+    await api.post(`/tasks/${a.id}/blockers`).send({ taskId: b.id }).expect(201);
+    await api.post(`/tasks/${b.id}/blockers`).send({ taskId: c.id }).expect(201);
+
+    const res = await api.post(`/tasks/${c.id}/blockers`).send({ taskId: a.id }).expect(409);
+
+    assert.equal(res.body.code, "dependency_cycle");
+    assert.deepEqual(res.body.cycle, [c.id, a.id, b.id, c.id]);
+  });
+
+  it("refuses to complete a blocked task until its blockers are done", async () => {
+    const { user, api } = await createUser();
+    const [task, blocker] = await createTasks(user, [{}, { title: "Test first" }]);
+    await api.post(`/tasks/${task.id}/blockers`).send({ taskId: blocker.id }).expect(201);
+
+    const refused = await complete(api, task.id).expect(409);
+    await complete(api, blocker.id).expect(200);
+    const unblocked = await api.get(`/tasks/${task.id}`).expect(200);
+    await complete(api, task.id).expect(200);
+
+    assert.equal(refused.body.code, "task_blocked");
+    assert.deepEqual(refused.body.blockers, [{ id: blocker.id, title: "Test first" }]);
+    assert.equal(unblocked.body.blocked, false);
+  });
+
+  it("unblocks a task when its blocker is trashed and blocks it again on restore", async () => {
+    const { user, api } = await createUser();
+    const [task, blocker] = await createTasks(user, [{}, {}]);
+    await api.post(`/tasks/${task.id}/blockers`).send({ taskId: blocker.id }).expect(201);
+
+    await api.delete(`/tasks/${blocker.id}`).expect(200);
+    const trashed = await api.get(`/tasks/${task.id}`).expect(200);
+    await api.post(`/tasks/${blocker.id}/restore`).expect(200);
+    const restored = await api.get(`/tasks/${task.id}`).expect(200);
+
+    assert.equal(trashed.body.blocked, false);
+    assert.equal(restored.body.blocked, true);
+  });
+
+  it("removes a blocker", async () => {
+    const { user, api } = await createUser();
+    const [task, blocker] = await createTasks(user, [{}, {}]);
+    await api.post(`/tasks/${task.id}/blockers`).send({ taskId: blocker.id }).expect(201);
+
+    const res = await api.delete(`/tasks/${task.id}/blockers/${blocker.id}`).expect(200);
+    const missing = await api.delete(`/tasks/${task.id}/blockers/${blocker.id}`).expect(404);
+
+    assert.deepEqual(res.body.blockedBy, []);
+    assert.equal(res.body.blocked, false);
+    assert.equal(missing.body.code, "dependency_not_found");
+  });
+
+  it("returns the tasks blocking a task and those it blocks, as trees", async () => {
+    const { user, api } = await createUser();
+    const [design, build, ship, announce] = await createTasks(user, [
+      { title: "Design" },
+      { title: "Build" },
+      { title: "Ship" },
+      { title: "Announce" },
+    ]);
+    await api.post(`/tasks/${build.id}/blockers`).send({ taskId: design.id }).expect(201);
+    await api.post(`/tasks/${ship.id}/blockers`).send({ taskId: build.id }).expect(201);
+    await api.post(`/tasks/${announce.id}/blockers`).send({ taskId: ship.id }).expect(201);
+
+    const res = await api.get(`/tasks/${ship.id}/graph`).expect(200);
+
+    assert.equal(res.body.id, ship.id);
+    assert.equal(res.body.blocked, true);
+    assert.equal(res.body.blockedBy.length, 1);
+    assert.equal(res.body.blockedBy[0].title, "Build");
+    assert.deepEqual(res.body.blockedBy[0].blockedBy.map((node) => node.title), ["Design"]);
+    assert.deepEqual(res.body.blockedBy[0].blockedBy[0].blockedBy, []);
+    assert.deepEqual(res.body.blocks.map((node) => node.title), ["Announce"]);
+    assert.deepEqual(res.body.blocks[0].blocks, []);
+  });
+});
@@ -0,0 +1,294 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createTasks, createUser, daysFromNow } from "./helpers/factories.js";
+
+useDatabase();
+
+const titles = (res) => res.body.data.map((task) => task.title);
+
+// The Link header as `{ rel: URLSearchParams }`.
+const links = (res) => Object.fromEntries(res.headers.link.split(", ").map((link) => {
+  const [, url, rel] = link.match(/^<([^>]+)>; rel="(\w+)"$/);
+  return [rel, new URL(url).searchParams];
+}));
+
+describe("GET /tasks filters", () => {
+  it("lists only the caller's tasks that aren't in the trash", async () => {
+    const { user, api } = await createUser();
+    const { user: other } = await createUser();
+    await createTask(user, { title: "Mine" });
+    await createTask(user, { title: "Trashed", deletedAt: new Date() });
+    await createTask(other, { title: "Theirs" });
+
+    const res = await api.get("/tasks").expect(200);
+
+    assert.deepEqual(titles(res), ["Mine"]);
+    assert.equal(res.body.total, 1);
+  });
+
+  it("filters by category, priority and completion, alone and combined", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [
+      { title: "A", category: "Work", priority: "High", completed: false },
+      { title: "B", category: "Work", priority: "High", completed: true },
+      { title: "C", category: "Work", priority: "Low", completed: false },
+      { title: "D", category: "Personal", priority: "High", completed: false },
+    ]);
+    const list = async (query) => titles(await api.get("/tasks").query({ sortBy: "title", sortOrder: "asc", ...query }).expect(200));
+
+    assert.deepEqual(await list({ category: "Work" }), ["A", "B", "C"]);
+    assert.deepEqual(await list({ priority: "High" }), ["A", "B", "D"]);
+    assert.deepEqual(await list({ completed: "true" }), ["B"]);
+    assert.deepEqual(await list({ completed: "false" }), ["A", "C", "D"]);
+    assert.deepEqual(await list({ category: "Work", priority: "High" }), ["A", "B"]);
+    assert.deepEqual(await list({ category: "Work", priority: "High", completed: "false" }), ["A"]);
+    assert.deepEqual(await list({ category: "Personal", priority: "Low" }), []);
+  });
+
+  it("matches any of the tags, or all of them with tagMatch=all", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [
+      { title: "A", tags: ["client-a", "urgent"] },
+      { title: "B", tags: ["client-a"] },
+      { title: "C", tags: ["urgent"] },
+      { title: "D", tags: [] },
+    ]);
+    const list = async (query) => titles(await api.get("/tasks").query({ sortBy: "title", sortOrder: "asc", ...query }).expect(200));
+
+    assert.deepEqual(await list({ tags: "client-a,urgent" }), ["A", "B", "C"]);
+    assert.deepEqual(await list({ tags: "Client-A,URGENT", tagMatch: "all" }), ["A"]);
+    assert.deepEqual(
+      titles(await api.get("/tasks?tags=client-a&tags=urgent&tagMatch=all&sortBy=title&sortOrder=asc").expect(200)),
+      ["A"]
+    );
+  });
+
+  it("filters on blocked", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [{ title: "Free" }, { title: "Waiting", blocked: true }]);
+
+    assert.deepEqual(titles(await api.get("/tasks").query({ blocked: "true" }).expect(200)), ["Waiting"]);
+    assert.deepEqual(titles(await api.get("/tasks").query({ blocked: "false" }).expect(200)), ["Free"]);
+  });
+
+  it("filters on a deadline range, inclusive at both ends", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [
+      { title: "First", deadline: new Date("2030-01-01T00:00:00Z") },
+      { title: "Start", deadline: new Date("2030-01-02T00:00:00Z") },
+      { title: "End", deadline: new Date("2030-01-05T00:00:00Z") },
+      { title: "Later", deadline: new Date("2030-01-06T00:00:00Z") },
+      { title: "None", deadline: null },
+    ]);
+    const list = async (query) => titles(await api.get("/tasks").query({ sortBy: "deadline", sortOrder: "asc", ...query }).expect(200));
+
+    assert.deepEqual(await list({ deadlineFrom: "2030-01-02T00:00:00Z", deadlineTo: "2030-01-05T00:00:00Z" }), ["Start", "End"]);
+    assert.deepEqual(await list({ deadlineFrom: "2030-01-05T00:00:00Z" }), ["End", "Later"]);
+    assert.deepEqual(await list({ deadlineTo: "2030-01-01T12:00:00Z" }), ["First"]);
+  });
+
+  it("searches titles and descriptions, best match first with sortBy=relevance", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [
+      { title: "Quarterly report", description: "Numbers for the board" },
+      { title: "Email Sam", description: "About the report" },
+      { title: "Buy milk" },
+    ]);
+
+    const res = await api.get("/tasks").query({ q: "report", sortBy: "relevance" }).expect(200);
+
+    assert.deepEqual(titles(res), ["Quarterly report", "Email Sam"]);
+    assert.ok(res.body.data[0].score > res.body.data[1].score);
+  });
+
+  it("takes conditions in the filter language", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [
+      { title: "Draft plan", priority: "High" },
+      { title: "Final plan", priority: "Medium", deadline: null },
+      { title: "Final memo", priority: "Medium" },
+      { title: "Chores", priority: "Low" },
+    ]);
+    const list = async (filter) => titles(await api.get("/tasks").query({ filter, sortBy: "title", sortOrder: "asc" }).expect(200));
+
+    assert.deepEqual(await list("priority:in:High,Medium;!title:contains:draft"), ["Final memo", "Final plan"]);
+    assert.deepEqual(await list("priority:eq:Low|deadline:null"), ["Chores", "Final plan"]);
+  });
+
+  it("refuses filters on fields outside the whitelist", async () => {
+    const { api } = await createUser();
+
+    const res = await api.get("/tasks").query({ filter: "owner:eq:someone" }).expect(400);
+
+    assert.equal(res.body.code, "invalid_filter");
+  });
+
+  it("returns only the fields asked for", async () => {
+    const { user, api } = await createUser();
+    await createTask(user, { title: "Slim", description: "Left out" });
+
+    const res = await api.get("/tasks").query({ fields: "title,priority" }).expect(200);
+
+    const [task] = res.body.data;
+    assert.equal(task.title, "Slim");
+    assert.equal(task.priority, "Medium");
+    assert.ok(task.id);
+    assert.equal(task.description, undefined);
+    assert.equal(task.category, undefined);
+  });
+});
+
+describe("GET /tasks sorting", () => {
+  const fixtures = [
+    { title: "Bravo", priority: "Low", deadline: daysFromNow(3), createdAt: daysFromNow(-3), updatedAt: daysFromNow(-1) },
+    { title: "Alpha", priority: "High", deadline: daysFromNow(1), createdAt: daysFromNow(-2), updatedAt: daysFromNow(-3) },
+    { title: "Charlie", priority: "Medium", deadline: daysFromNow(2), createdAt: daysFromNow(-1), updatedAt: daysFromNow(-2) },
+  ];
+
+  it("sorts by createdAt, newest first, by default", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, fixtures);
+
+    assert.deepEqual(titles(await api.get("/tasks").expect(200)), ["Charlie", "Alpha", "Bravo"]);
+  });
+
+  const expected = {
+    createdAt: ["Bravo", "Alpha", "Charlie"],
+    updatedAt: ["Alpha", "Charlie", "Bravo"],
+    deadline: ["Alpha", "Charlie", "Bravo"],
+    title: ["Alpha", "Bravo", "Charlie"],
+    priority: ["Alpha", "Bravo", "Charlie"],
+  };
+  for (const [sortBy, ascending] of Object.entries(expected)) {
+    it(`sorts by ${sortBy} in both directions`, async () => {
+      const { user, api } = await createUser();
+      await createTasks(user, fixtures);
+
+      const asc = await api.get("/tasks").query({ sortBy, sortOrder: "asc" }).expect(200);
+      const desc = await api.get("/tasks").query({ sortBy, sortOrder: "desc" }).expect(200);
+
+      assert.deepEqual(titles(asc), ascending);
+      assert.deepEqual(titles(desc), [...ascending].reverse());
+    });
+  }
+
+  it("sorts a filtered list", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [...fixtures, { title: "Delta", priority: "High", category: "Personal" }]);
+
+    const res = await api.get("/tasks").query({ category: "Work", sortBy: "deadline", sortOrder: "desc" }).expect(200);
+
+    assert.deepEqual(titles(res), ["Bravo", "Charlie", "Alpha"]);
+  });
+
+  it("puts tasks without a deadline first ascending and last descending", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [{ title: "Dated", deadline: daysFromNow(1) }, { title: "Undated", deadline: null }]);
+
+    assert.deepEqual(titles(await api.get("/tasks?sortBy=deadline&sortOrder=asc").expect(200)), ["Undated", "Dated"]);
+    assert.deepEqual(titles(await api.get("/tasks?sortBy=deadline&sortOrder=desc").expect(200)), ["Dated", "Undated"]);
+  });
+
+  it("only sorts by relevance with a search", async () => {
+    const { api } = await createUser();
+
+    const res = await api.get("/tasks?sortBy=relevance").expect(400);
+
+    assert.equal(res.body.code, "invalid_sort");
+  });
+});
+
+describe("GET /tasks pagination", () => {
+  const seed = async (user, count) => createTasks(user, Array.from({ length: count }, (_, index) => ({
+    title: `Task ${String(index).padStart(2, "0")}`,
+  })));
+
+  it("pages with page and limit and links to the other pages", async () => {
+    const { user, api } = await createUser();
+    await seed(user, 5);
+
+    const res = await api.get("/tasks?sortBy=title&sortOrder=asc&page=2&limit=2").expect(200);
+
+    assert.deepEqual(titles(res), ["Task 02", "Task 03"]);
+    assert.equal(res.body.total, 5);
+    assert.equal(res.body.page, 2);
+    assert.equal(res.body.limit, 2);
+    assert.equal(res.body.hasMore, true);
+    const { first, prev, last } = links(res);
+    assert.equal(first.get("page"), "1");
+    assert.equal(prev.get("page"), "1");
+    assert.equal(last.get("page"), "3");
+    assert.equal(last.get("limit"), "2");
+    assert.equal(last.get("sortBy"), "title");
+  });
+
+  it("walks every task once with the after cursor", async () => {
+    const { user, api } = await createUser();
+    await seed(user, 5);
+
+    const seen = [];
+    let res = await api.get("/tasks?sortBy=title&sortOrder=desc&limit=2").expect(200);
+    seen.push(...titles(res));
+    while (res.body.nextCursor) {
+      assert.equal(links(res).next.get("after"), res.body.nextCursor);
+      res = await api.get("/tasks").query({ sortBy: "title", sortOrder: "desc", limit: 2, after: res.body.nextCursor }).expect(200);
+      assert.equal(res.body.page, null);
+      seen.push(...titles(res));
+    }
+
+    assert.deepEqual(seen, ["Task 04", "Task 03", "Task 02", "Task 01", "Task 00"]);
+    assert.equal(res.body.hasMore, false);
+  });
+
+  it("refuses a cursor issued for another sort", async () => {
+    const { user, api } = await createUser();
+    await seed(user, 3);
+    const first = await api.get("/tasks?sortBy=title&limit=1").expect(200);
+
+    const res = await api.get("/tasks").query({ sortBy: "deadline", after: first.body.nextCursor }).expect(400);
+
+    assert.equal(res.body.code, "invalid_cursor");
+  });
+
+  it("refuses a cursor whose value is an operator or not a date", async () => {
+    const { user, api } = await createUser();
+    await seed(user, 3);
+    const cursor = (payload) => Buffer.from(JSON.stringify({ id: "60d0fe4f5311236168a109ca", ...payload })).toString("base64url");
+
+    const operator = await api.get("/tasks")
+      .query({ sortBy: "title", after: cursor({ f: "title", v: { $regex: ".*" }, d: false }) })
+      .expect(400);
+    const date = await api.get("/tasks")
+      .query({ sortBy: "deadline", after: cursor({ f: "deadline", v: "next week", d: true }) })
+      .expect(400);
+
+    assert.equal(operator.body.code, "invalid_cursor");
+    assert.equal(date.body.code, "invalid_cursor");
+  });
+});
+
+describe("POST /tasks/search", () => {
+  it("takes the list parameters and a filter tree in the body", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [
+      { title: "A", tags: ["client-a", "urgent"], deadline: null },
+      { title: "B", tags: ["client-a"] },
+      { title: "C", tags: ["urgent"], deadline: null },
+    ]);
+
+    const res = await api.post("/tasks/search").send({
+      filter: {
+        or: [
+          { field: "tags", op: "all", value: ["client-a", "urgent"] },
+          { not: { field: "deadline", op: "null" } },
+        ],
+      },
+      sortBy: "title",
+      sortOrder: "asc",
+    }).expect(200);
+
+    assert.deepEqual(titles(res), ["A", "B"]);
+    assert.equal(res.headers.link, undefined);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createUser, taskPayload } from "./helpers/factories.js";
+
+useDatabase();
+
+const completed = (api, id, value = true) => api.patch(`/tasks/${id}`)
+  .set("Content-Type", "application/merge-patch+json")
+  .send(JSON.stringify({ completed: value }))
+  .expect(200);
+
+// A monthly task due on January 31st, four times in all.
+const createRecurring = async (api) => {
+  const { body } = await api.post("/tasks").send(taskPayload({
+    title: "Pay rent",
+    deadline: "2030-01-31T09:00:00.000Z",
+    recurrence: { frequency: "monthly", count: 4 },
+  })).expect(201);
+  return body;
+};
+
+describe("recurring tasks", () => {
+  it("lists the upcoming occurrences, clamped to the end of each month", async () => {
+    const { api } = await createUser();
+    const task = await createRecurring(api);
+
+    const res = await api.get(`/tasks/${task._id}/occurrences`).expect(200);
+
+    assert.equal(res.body.taskId, task._id);
+    assert.equal(res.body.recurrence.frequency, "monthly");
+    assert.deepEqual(res.body.occurrences, [
+      { occurrence: 2, deadline: "2030-02-28T09:00:00.000Z" },
+      { occurrence: 3, deadline: "2030-03-31T09:00:00.000Z" },
+      { occurrence: 4, deadline: "2030-04-30T09:00:00.000Z" },
+    ]);
+  });
+
+  it("lists as many occurrences as asked for", async () => {
+    const { api } = await createUser();
+    const { body: task } = await api.post("/tasks")
+      .send(taskPayload({ recurrence: { frequency: "daily", interval: 2 } }))
+      .expect(201);
+
+    const defaults = await api.get(`/tasks/${task._id}/occurrences`).expect(200);
+    const more = await api.get(`/tasks/${task._id}/occurrences`).query({ count: 12 }).expect(200);
+
+    assert.equal(defaults.body.occurrences.length, 5);
+    assert.equal(more.body.occurrences.length, 12);
+  });
+
+  it("refuses a task that doesn't recur", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const res = await api.get(`/tasks/${task.id}/occurrences`).expect(400);
+
+    assert.equal(res.body.code, "task_not_recurring");
+  });
+
+  it("creates the next occurrence once, when the task is completed", async () => {
+    const { api } = await createUser();
+    const task = await createRecurring(api);
+
+    await completed(api, task._id);
+    await completed(api, task._id, false);
+    await completed(api, task._id);
+
+    const { body } = await api.get("/tasks").query({ completed: "false" }).expect(200);
+    assert.equal(body.total, 1);
+    const [next] = body.data;
+    assert.equal(next.title, "Pay rent");
+    assert.equal(next.deadline, "2030-02-28T09:00:00.000Z");
+    assert.equal(next.recurrence.occurrence, 2);
+    const { body: first } = await api.get(`/tasks/${task._id}`).expect(200);
+    assert.equal(first.recurrence.nextTask, next._id);
+  });
+
+  it("gives the next occurrence the same reminders, not yet sent", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, {
+      deadline: new Date("2030-01-31T09:00:00Z"),
+      recurrence: { frequency: "monthly", start: new Date("2030-01-31T09:00:00Z") },
+      reminders: [{ offset: "1d", sentAt: new Date("2030-01-30T09:00:00Z") }, { offset: "2h", channels: ["email"] }],
+    });
+
+    await completed(api, task.id);
+
+    const { body } = await api.get("/tasks").query({ completed: "false" }).expect(200);
+    const [next] = body.data;
+    assert.deepEqual(
+      next.reminders.map(({ offset, channels, sentAt }) => ({ offset, channels, sentAt })),
+      [{ offset: "1d", channels: undefined, sentAt: null }, { offset: "2h", channels: ["email"], sentAt: null }]
+    );
+  });
+
+  it("stops after the last occurrence", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, {
+      deadline: new Date("2030-04-30T09:00:00Z"),
+      recurrence: { frequency: "monthly", count: 4, start: new Date("2030-01-31T09:00:00Z"), occurrence: 4 },
+    });
+
+    await completed(api, task.id);
+
+    const { body } = await api.get("/tasks").expect(200);
+    assert.equal(body.total, 1);
+  });
+});
@@ -0,0 +1,220 @@
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import net from "node:net";
+import Task from "../models/task.schema.js";
+import reminderService from "../services/reminder.service.js";
+import logChannel from "../services/channels/log.channel.js";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createUser, daysFromNow } from "./helpers/factories.js";
+
+useDatabase();
+
+// What the reminder job sent, as `{ channel, kind, offset, title }`. The
+// defaults go to a recording "inbox" channel, and the log channel is swapped
+// for a recorder too so reminders that pick their own channels can be seen.
+let sent;
+const recorder = (name) => ({
+  name,
+  async send({ kind, task, reminder }) {
+    sent.push({ channel: name, kind, offset: reminder?.offset ?? null, title: task.title });
+  },
+});
+
+before(() => {
+  process.env.REMINDER_CHANNELS = "inbox";
+  reminderService.registerChannel(recorder("inbox"));
+  reminderService.registerChannel(recorder("log"));
+});
+
+beforeEach(() => {
+  sent = [];
+});
+
+after(() => {
+  delete process.env.REMINDER_CHANNELS;
+  reminderService.registerChannel(logChannel);
+});
+
+const offsets = () => sent.map(({ offset }) => offset);
+
+// Listens on a free local port and resolves to it.
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+});
+
+// An SMTP stand-in like scripts/smtp-receiver.js, keeping each message it's
+// given in `mails`.
+const smtpServer = (mails) => net.createServer((socket) => {
+  let buffer = "";
+  let message = null;
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  reply("220 localhost ready");
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let newline;
+    while ((newline = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+
+      if (message && line === ".") {
+        mails.push(message.join("\n"));
+        message = null;
+        reply("250 OK");
+      } else if (message) {
+        message.push(line);
+      } else if (/^DATA/i.test(line)) {
+        message = [];
+        reply("354 Go ahead");
+      } else if (/^QUIT/i.test(line)) {
+        reply("221 Bye");
+        socket.end();
+      } else {
+        reply("250 OK");
+      }
+    }
+  });
+});
+
+describe("sending reminders", () => {
+  it("sends the reminders that are due, each once", async () => {
+    const { user } = await createUser();
+    const task = await createTask(user, {
+      title: "Report",
+      deadline: daysFromNow(2),
+      reminders: [{ offset: "3d" }, { offset: "1d" }],
+    });
+    await createTask(user, { deadline: daysFromNow(2), completed: true, reminders: [{ offset: "3d" }] });
+    await createTask(user, { deadline: daysFromNow(2), deletedAt: new Date(), reminders: [{ offset: "3d" }] });
+    await createTask(user, { deadline: daysFromNow(-1), reminders: [{ offset: "3d" }] });
+
+    const first = await reminderService.sendDueReminders();
+    const second = await reminderService.sendDueReminders();
+
+    assert.equal(first, 1);
+    assert.equal(second, 0);
+    assert.deepEqual(sent, [{ channel: "inbox", kind: "reminder", offset: "3d", title: "Report" }]);
+    const stored = await Task.findById(task._id);
+    assert.ok(stored.reminders[0].sentAt);
+    assert.equal(stored.reminders[1].sentAt, null);
+  });
+
+  it("sends a reminder once when runs overlap", async () => {
+    const { user } = await createUser();
+    await createTask(user, { deadline: daysFromNow(2), reminders: [{ offset: "3d" }] });
+
+    const counts = await Promise.all([1, 2, 3].map(() => reminderService.sendDueReminders()));
+
+    assert.equal(counts.reduce((total, count) => total + count, 0), 1);
+    assert.deepEqual(offsets(), ["3d"]);
+  });
+
+  it("sends the reminders again once the deadline changes", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { deadline: daysFromNow(2), reminders: [{ offset: "3d" }] });
+    await reminderService.sendDueReminders();
+
+    const res = await api.patch(`/tasks/${task.id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ deadline: daysFromNow(2.5).toISOString() }))
+      .expect(200);
+    await reminderService.sendDueReminders();
+
+    assert.equal(res.body.reminders[0].sentAt, null);
+    assert.deepEqual(offsets(), ["3d", "3d"]);
+  });
+
+  it("uses a reminder's own channels instead of the defaults", async () => {
+    const { user } = await createUser();
+    await createTask(user, {
+      deadline: daysFromNow(2),
+      reminders: [{ offset: "3d", channels: ["log"] }, { offset: "1w" }],
+    });
+
+    await reminderService.sendDueReminders();
+
+    assert.deepEqual(sent.map(({ channel, offset }) => [offset, channel]), [["3d", "log"], ["1w", "inbox"]]);
+  });
+
+  it("emails the task's owner", async () => {
+    const mails = [];
+    const server = smtpServer(mails);
+    process.env.SMTP_HOST = "127.0.0.1";
+    process.env.SMTP_PORT = String(await listen(server));
+    const { user } = await createUser();
+    await createTask(user, { title: "Report", deadline: daysFromNow(2), reminders: [{ offset: "3d", channels: ["email"] }] });
+
+    try {
+      await reminderService.sendDueReminders();
+    } finally {
+      server.close();
+    }
+
+    assert.equal(mails.length, 1);
+    assert.match(mails[0], new RegExp(`^To: ${user.email}$`, "m"));
+    assert.match(mails[0], /^Subject: Reminder: Report is due soon$/m);
+  });
+
+  it("sends task.reminder to the owner's webhooks", async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        received.push({ event: req.headers["x-webhook-event"], body: JSON.parse(body) });
+        res.end();
+      });
+    });
+    const port = await listen(server);
+    process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+    const { user, api } = await createUser();
+    await api.post("/webhooks").send({ url: `http://127.0.0.1:${port}/hooks`, events: ["task.reminder"] }).expect(201);
+    const task = await createTask(user, { deadline: daysFromNow(2), reminders: [{ offset: "3d", channels: ["webhook"] }] });
+
+    try {
+      await reminderService.sendDueReminders();
+    } finally {
+      delete process.env.WEBHOOK_ALLOWED_HOSTS;
+      server.close();
+    }
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].event, "task.reminder");
+    assert.equal(received[0].body.data.task._id, task.id);
+    assert.deepEqual(received[0].body.data.reminder, { offset: "3d" });
+  });
+});
+
+describe("editing reminders", () => {
+  it("doesn't send the ones already sent again", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { deadline: daysFromNow(2), reminders: [{ offset: "3d" }, { offset: "1w" }] });
+    await reminderService.sendDueReminders();
+
+    await api.patch(`/tasks/${task.id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ reminders: [{ offset: "3d" }, { offset: "2w" }] }))
+      .expect(200);
+    sent = [];
+    await reminderService.sendDueReminders();
+
+    assert.deepEqual(offsets(), ["2w"]);
+  });
+
+  it("doesn't send them again after a bulk update either", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { deadline: daysFromNow(2), reminders: [{ offset: "3d" }] });
+    await reminderService.sendDueReminders();
+
+    await api.post("/tasks/bulk").send({
+      operations: [{ op: "update", id: task.id, data: { reminders: [{ offset: "3d", channels: ["log"] }, { offset: "1w" }] } }],
+    }).expect(200);
+    sent = [];
+    await reminderService.sendDueReminders();
+
+    assert.deepEqual(offsets(), ["1w"]);
+  });
+});
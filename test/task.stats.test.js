@@ -0,0 +1,224 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createTasks, createUser, daysFromNow } from "./helpers/factories.js";
+
+useDatabase();
+
+// Five tasks for `user`: two completed ones taking 6 and 24 hours, one
+// overdue, and two open in Work and Personal, one of them created before
+// March. Plus a trashed task and another user's, which the stats leave out.
+const seed = async (user) => {
+  const { user: other } = await createUser();
+  await createTask(other, { completed: true, completedAt: new Date("2025-03-03T12:00:00Z") });
+  await createTask(user, { priority: "High", deadline: daysFromNow(-2), deletedAt: new Date() });
+
+  return createTasks(user, [
+    {
+      category: "Work",
+      priority: "High",
+      tags: ["client-a", "urgent"],
+      completed: true,
+      createdAt: new Date("2025-03-03T10:00:00Z"),
+      completedAt: new Date("2025-03-03T16:00:00Z"),
+    },
+    {
+      category: "Work",
+      priority: "Low",
+      tags: ["client-a"],
+      completed: true,
+      createdAt: new Date("2025-03-04T00:00:00Z"),
+      completedAt: new Date("2025-03-05T00:00:00Z"),
+    },
+    {
+      category: "Personal",
+      priority: "High",
+      tags: ["urgent"],
+      deadline: daysFromNow(-1),
+      createdAt: new Date("2025-03-04T12:00:00Z"),
+    },
+    {
+      category: "Personal",
+      priority: "Medium",
+      createdAt: new Date("2025-03-10T08:00:00Z"),
+    },
+    {
+      category: "Work",
+      priority: "Medium",
+      deadline: null,
+      createdAt: new Date("2025-02-20T09:00:00Z"),
+    },
+  ]);
+};
+
+describe("GET /tasks/stats", () => {
+  it("counts the caller's tasks outside the trash", async () => {
+    const { user, api } = await createUser();
+    await seed(user);
+
+    const res = await api.get("/tasks/stats").expect(200);
+
+    assert.equal(res.body.total, 5);
+    assert.equal(res.body.completed, 2);
+    assert.equal(res.body.pending, 3);
+    assert.equal(res.body.overdue, 1);
+    assert.equal(res.body.completionRate, 40);
+    assert.equal(res.body.averageCompletionHours, 15);
+  });
+
+  it("breaks the counts down by category, priority and tag", async () => {
+    const { user, api } = await createUser();
+    await seed(user);
+
+    const res = await api.get("/tasks/stats").expect(200);
+
+    assert.deepEqual(res.body.byCategory, { Work: 3, Personal: 2 });
+    assert.deepEqual(res.body.byPriority, { High: 2, Low: 1, Medium: 2 });
+    assert.deepEqual(res.body.crossTab, {
+      Work: { High: 1, Low: 1, Medium: 1 },
+      Personal: { High: 1, Medium: 1 },
+    });
+    assert.deepEqual(res.body.byTag, { "client-a": 2, urgent: 2 });
+  });
+
+  it("rounds the completion rate to one decimal and the average to two", async () => {
+    const { user, api } = await createUser();
+    const createdAt = new Date("2025-03-03T10:00:00Z");
+    await createTasks(user, [
+      { completed: true, createdAt, completedAt: new Date("2025-03-03T10:20:00Z") },
+      { createdAt },
+      { createdAt },
+    ]);
+
+    const res = await api.get("/tasks/stats").expect(200);
+
+    assert.equal(res.body.completionRate, 33.3);
+    assert.equal(res.body.averageCompletionHours, 0.33);
+  });
+
+  it("applies the list filters", async () => {
+    const { user, api } = await createUser();
+    await seed(user);
+
+    const work = await api.get("/tasks/stats").query({ category: "Work" }).expect(200);
+    const urgent = await api.get("/tasks/stats").query({ tags: "urgent", completed: "false" }).expect(200);
+    const expression = await api.get("/tasks/stats").query({ filter: "priority:eq:Medium" }).expect(200);
+
+    assert.equal(work.body.total, 3);
+    assert.equal(work.body.completionRate, 66.7);
+    assert.deepEqual(work.body.byCategory, { Work: 3 });
+    assert.equal(urgent.body.total, 1);
+    assert.equal(urgent.body.overdue, 1);
+    assert.equal(urgent.body.averageCompletionHours, null);
+    assert.deepEqual(expression.body.byPriority, { Medium: 2 });
+  });
+
+  it("returns zeros for no tasks", async () => {
+    const { api } = await createUser();
+
+    const res = await api.get("/tasks/stats").expect(200);
+
+    assert.equal(res.body.total, 0);
+    assert.equal(res.body.completionRate, 0);
+    assert.equal(res.body.averageCompletionHours, null);
+    assert.deepEqual(res.body.byCategory, {});
+    assert.deepEqual(res.body.byTag, {});
+  });
+
+  it("counts created and completed tasks per day", async () => {
+    const { user, api } = await createUser();
+    await seed(user);
+
+    const res = await api.get("/tasks/stats")
+      .query({ from: "2025-03-03T00:00:00Z", to: "2025-03-05T23:59:59Z", interval: "day" })
+      .expect(200);
+
+    assert.deepEqual(res.body.timeSeries, {
+      interval: "day",
+      from: "2025-03-03T00:00:00.000Z",
+      to: "2025-03-05T23:59:59.000Z",
+      buckets: [
+        { period: "2025-03-03T00:00:00.000Z", created: 1, completed: 1, trackedMinutes: 0 },
+        { period: "2025-03-04T00:00:00.000Z", created: 2, completed: 0, trackedMinutes: 0 },
+        { period: "2025-03-05T00:00:00.000Z", created: 0, completed: 1, trackedMinutes: 0 },
+      ],
+    });
+  });
+
+  it("buckets by UTC weeks starting on Monday", async () => {
+    const { user, api } = await createUser();
+    await seed(user);
+
+    const res = await api.get("/tasks/stats")
+      .query({ from: "2025-03-01T00:00:00Z", to: "2025-03-16T00:00:00Z", interval: "week" })
+      .expect(200);
+
+    assert.deepEqual(res.body.timeSeries.buckets, [
+      { period: "2025-02-24T00:00:00.000Z", created: 0, completed: 0, trackedMinutes: 0 },
+      { period: "2025-03-03T00:00:00.000Z", created: 3, completed: 2, trackedMinutes: 0 },
+      { period: "2025-03-10T00:00:00.000Z", created: 1, completed: 0, trackedMinutes: 0 },
+    ]);
+  });
+
+  it("buckets by month", async () => {
+    const { user, api } = await createUser();
+    await seed(user);
+
+    const res = await api.get("/tasks/stats")
+      .query({ from: "2025-02-01T00:00:00Z", to: "2025-03-31T00:00:00Z", interval: "month" })
+      .expect(200);
+
+    assert.deepEqual(res.body.timeSeries.buckets, [
+      { period: "2025-02-01T00:00:00.000Z", created: 1, completed: 0, trackedMinutes: 0 },
+      { period: "2025-03-01T00:00:00.000Z", created: 4, completed: 2, trackedMinutes: 0 },
+    ]);
+  });
+
+  it("covers the last 30 days by default", async () => {
+    const { api } = await createUser();
+
+    const res = await api.get("/tasks/stats").expect(200);
+
+    assert.equal(res.body.timeSeries.interval, "day");
+    assert.equal(res.body.timeSeries.buckets.length, 31);
+  });
+
+  it("totals tracked and estimated time by category and per period", async () => {
+    const { user, api } = await createUser();
+    const entry = (startedAt, minutes) => ({
+      user: user._id,
+      startedAt: new Date(startedAt),
+      endedAt: new Date(new Date(startedAt).getTime() + minutes * 60000),
+      minutes,
+    });
+    await createTasks(user, [
+      { category: "Work", estimate: 120, timeEntries: [entry("2025-03-03T09:00:00Z", 90), entry("2025-03-04T09:00:00Z", 45)] },
+      { category: "Work", estimate: 30 },
+      { category: "Personal", timeEntries: [entry("2025-03-04T18:00:00Z", 20), { user: user._id, startedAt: new Date() }] },
+    ]);
+
+    const res = await api.get("/tasks/stats")
+      .query({ from: "2025-03-03T00:00:00Z", to: "2025-03-04T23:59:59Z", interval: "day" })
+      .expect(200);
+
+    assert.deepEqual(res.body.time, {
+      trackedMinutes: 155,
+      estimateMinutes: 150,
+      byCategory: {
+        Work: { trackedMinutes: 135, estimateMinutes: 150 },
+        Personal: { trackedMinutes: 20, estimateMinutes: 0 },
+      },
+    });
+    assert.deepEqual(res.body.timeSeries.buckets.map((bucket) => bucket.trackedMinutes), [90, 65]);
+  });
+
+  it("refuses a range that ends before it starts or has too many buckets", async () => {
+    const { api } = await createUser();
+
+    const backwards = await api.get("/tasks/stats").query({ from: "2025-03-05", to: "2025-03-01" }).expect(400);
+    const tooLong = await api.get("/tasks/stats").query({ from: "2000-01-01", to: "2025-01-01" }).expect(400);
+
+    assert.equal(backwards.body.code, "invalid_stats_range");
+    assert.equal(tooLong.body.code, "invalid_stats_range");
+  });
+});
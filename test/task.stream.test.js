@@ -0,0 +1,127 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { useDatabase } from "./helpers/db.js";
+import { createUser, taskPayload } from "./helpers/factories.js";
+import app from "../app.js";
+
+useDatabase();
+
+// GET /tasks/stream holds its response open, so it's read over a real
+// connection rather than through supertest.
+describe("GET /tasks/stream", () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = app.listen(0);
+    await once(server, "listening");
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    server.close();
+    await once(server, "close");
+  });
+
+  // Opens the stream as the user with `token` and resolves once it's open,
+  // with the response and `next()`, which resolves with the next event.
+  const openStream = async (token, query = "") => {
+    const req = http.get(`${base}/tasks/stream${query}`, { headers: { Authorization: `Bearer ${token}` } });
+    const [res] = await once(req, "response");
+    res.setEncoding("utf8");
+
+    let buffer = "";
+    const frames = [];
+    const waiting = [];
+    res.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        const frame = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(frame.split("\n").map((line) => {
+          const separator = line.indexOf(": ");
+          return [line.slice(0, separator), line.slice(separator + 2)];
+        }));
+        if (!fields.event) continue;
+        if (waiting.length) waiting.shift()(fields);
+        else frames.push(fields);
+      }
+    });
+
+    const next = () => (frames.length ? Promise.resolve(frames.shift()) : new Promise((resolve) => waiting.push(resolve)));
+    return { req, res, next };
+  };
+
+  it("sends the caller's task events as they happen", async () => {
+    const { token, api } = await createUser();
+    const stream = await openStream(token);
+
+    try {
+      assert.equal(stream.res.statusCode, 200);
+      assert.equal(stream.res.headers["content-type"], "text/event-stream; charset=utf-8");
+
+      const { body: task } = await api.post("/tasks").send(taskPayload({ title: "Live" })).expect(201);
+      const created = await stream.next();
+
+      assert.equal(created.event, "task.created");
+      const message = JSON.parse(created.data);
+      assert.equal(message.id, created.id);
+      assert.equal(message.data.task._id, task._id);
+      assert.equal(message.data.task.title, "Live");
+    } finally {
+      stream.req.destroy();
+    }
+  });
+
+  it("only sends the events matching its filter, and not other users'", async () => {
+    const { token, api } = await createUser();
+    const { api: otherApi } = await createUser();
+    const stream = await openStream(token, "?category=Work&priority=High");
+
+    try {
+      await otherApi.post("/tasks").send(taskPayload({ priority: "High" })).expect(201);
+      await api.post("/tasks").send(taskPayload({ category: "Personal", priority: "High" })).expect(201);
+      await api.post("/tasks").send(taskPayload({ priority: "Low" })).expect(201);
+      await api.post("/tasks").send(taskPayload({ title: "Match", priority: "High" })).expect(201);
+
+      const event = await stream.next();
+
+      assert.equal(JSON.parse(event.data).data.task.title, "Match");
+    } finally {
+      stream.req.destroy();
+    }
+  });
+
+  it("sends the events of a project's tasks to its members", async () => {
+    const { api } = await createUser();
+    const { user: member, token } = await createUser();
+    const { body: project } = await api.post("/projects").send({ name: "Launch" }).expect(201);
+    await api.post(`/projects/${project._id}/members`).send({ email: member.email, role: "viewer" }).expect(201);
+    const stream = await openStream(token);
+
+    try {
+      await api.post("/tasks").send(taskPayload({ title: "Private" })).expect(201);
+      await api.post("/tasks").send(taskPayload({ title: "Shared", project: project._id })).expect(201);
+
+      const event = await stream.next();
+
+      assert.equal(event.event, "task.created");
+      assert.equal(JSON.parse(event.data).data.task.title, "Shared");
+    } finally {
+      stream.req.destroy();
+    }
+  });
+
+  it("refuses an unknown priority before opening the stream", async () => {
+    const { token } = await createUser();
+    const req = http.get(`${base}/tasks/stream?priority=Urgent`, { headers: { Authorization: `Bearer ${token}` } });
+    const [res] = await once(req, "response");
+    res.resume();
+
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createUser, daysFromNow, taskPayload } from "./helpers/factories.js";
+
+useDatabase();
+
+const MINUTE_MS = 60 * 1000;
+
+// A task for `user` with a finished entry of `minutes` per argument.
+const withEntries = (user, ...minutes) => createTask(user, {
+  timeEntries: minutes.map((length, index) => {
+    const startedAt = new Date(Date.UTC(2025, 2, 3 + index, 9));
+    return { user: user._id, startedAt, endedAt: new Date(startedAt.getTime() + length * MINUTE_MS), minutes: length };
+  }),
+});
+
+describe("task estimates", () => {
+  it("are set on create and cleared with a patch", async () => {
+    const { api } = await createUser();
+
+    const { body: task } = await api.post("/tasks").send(taskPayload({ estimate: 90 })).expect(201);
+    const res = await api.patch(`/tasks/${task._id}`)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ estimate: null }))
+      .expect(200);
+
+    assert.equal(task.estimate, 90);
+    assert.equal(task.trackedMinutes, 0);
+    assert.deepEqual(task.timeEntries, []);
+    assert.equal(res.body.estimate, null);
+  });
+
+  it("must be a whole number of minutes", async () => {
+    const { api } = await createUser();
+
+    await api.post("/tasks").send(taskPayload({ estimate: 0 })).expect(400);
+    await api.post("/tasks").send(taskPayload({ estimate: 1.5 })).expect(400);
+  });
+});
+
+describe("task timers", () => {
+  it("starts and stops the caller's timer", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const started = await api.post(`/tasks/${task.id}/timer/start`).expect(201);
+    const [running] = started.body.timeEntries;
+    assert.equal(running.user, user.id);
+    assert.equal(running.endedAt, null);
+    assert.equal(running.minutes, 0);
+
+    const stopped = await api.post(`/tasks/${task.id}/timer/stop`).expect(200);
+    const [entry] = stopped.body.timeEntries;
+    assert.equal(entry._id, running._id);
+    assert.ok(entry.endedAt);
+    assert.equal(stopped.body.trackedMinutes, 0);
+  });
+
+  it("refuses to start a second timer or stop one that isn't running", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const notRunning = await api.post(`/tasks/${task.id}/timer/stop`).expect(409);
+    await api.post(`/tasks/${task.id}/timer/start`).expect(201);
+    const running = await api.post(`/tasks/${task.id}/timer/start`).expect(409);
+
+    assert.equal(notRunning.body.code, "timer_not_running");
+    assert.equal(running.body.code, "timer_running");
+  });
+
+  it("books the minutes a timer ran for", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, {
+      timeEntries: [{ user: user._id, startedAt: new Date(Date.now() - 25 * MINUTE_MS) }],
+    });
+
+    const res = await api.post(`/tasks/${task.id}/timer/stop`).expect(200);
+
+    assert.equal(res.body.timeEntries[0].minutes, 25);
+    assert.equal(res.body.trackedMinutes, 25);
+  });
+});
+
+describe("time entries", () => {
+  it("adds an entry ending now unless it says when it started", async () => {
+    const { user, api } = await createUser();
+    const task = await withEntries(user, 30);
+
+    const now = await api.post(`/tasks/${task.id}/time-entries`).send({ minutes: 45, note: "Review" }).expect(201);
+    const res = await api.post(`/tasks/${task.id}/time-entries`)
+      .send({ minutes: 60, startedAt: "2025-03-10T09:00:00Z" })
+      .expect(201);
+
+    const added = now.body.timeEntries[1];
+    assert.equal(added.minutes, 45);
+    assert.equal(added.note, "Review");
+    assert.equal(new Date(added.endedAt) - new Date(added.startedAt), 45 * MINUTE_MS);
+    assert.ok(Math.abs(new Date(added.endedAt) - Date.now()) < MINUTE_MS);
+    assert.equal(res.body.timeEntries[2].endedAt, "2025-03-10T10:00:00.000Z");
+    assert.equal(res.body.trackedMinutes, 135);
+  });
+
+  it("updates an entry, moving its end with it", async () => {
+    const { user, api } = await createUser();
+    const task = await withEntries(user, 30, 15);
+    const [entry] = task.timeEntries;
+
+    const res = await api.put(`/tasks/${task.id}/time-entries/${entry.id}`).send({ minutes: 50 }).expect(200);
+
+    assert.equal(res.body.timeEntries[0].minutes, 50);
+    assert.equal(res.body.timeEntries[0].endedAt, "2025-03-03T09:50:00.000Z");
+    assert.equal(res.body.trackedMinutes, 65);
+  });
+
+  it("only changes a running timer's note", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { timeEntries: [{ user: user._id, startedAt: new Date() }] });
+    const [entry] = task.timeEntries;
+
+    const note = await api.put(`/tasks/${task.id}/time-entries/${entry.id}`).send({ note: "Call" }).expect(200);
+    const res = await api.put(`/tasks/${task.id}/time-entries/${entry.id}`).send({ minutes: 10 }).expect(409);
+
+    assert.equal(note.body.timeEntries[0].note, "Call");
+    assert.equal(res.body.code, "timer_running");
+  });
+
+  it("removes an entry", async () => {
+    const { user, api } = await createUser();
+    const task = await withEntries(user, 30, 15);
+
+    const res = await api.delete(`/tasks/${task.id}/time-entries/${task.timeEntries[0].id}`).expect(200);
+
+    assert.deepEqual(res.body.timeEntries.map((entry) => entry.minutes), [15]);
+    assert.equal(res.body.trackedMinutes, 15);
+  });
+
+  it("records each change in the task's history, which a revert leaves alone", async () => {
+    const { user, api } = await createUser();
+    const { body: task } = await api.post("/tasks").send(taskPayload()).expect(201);
+    await api.post(`/tasks/${task._id}/timer/start`).expect(201);
+    await api.post(`/tasks/${task._id}/timer/stop`).expect(200);
+    const { body: added } = await api.post(`/tasks/${task._id}/time-entries`).send({ minutes: 30 }).expect(201);
+    const entryId = added.timeEntries[1]._id;
+    await api.put(`/tasks/${task._id}/time-entries/${entryId}`).send({ note: "Review" }).expect(200);
+    await api.delete(`/tasks/${task._id}/time-entries/${entryId}`).expect(200);
+
+    const { body: history } = await api.get(`/tasks/${task._id}/history`).expect(200);
+    const res = await api.post(`/tasks/${task._id}/revert`).send({ revision: 1 }).expect(200);
+
+    assert.deepEqual(history.map((entry) => entry.action), ["update", "update", "update", "update", "update", "create"]);
+    assert.ok(history.slice(0, 5).every((entry) => entry.changes.map(({ field }) => field).join() === "timeEntries"));
+    assert.equal(history[0].actor.email, user.email);
+    assert.equal(history[0].changes[0].oldValue.length, 2);
+    assert.equal(history[0].changes[0].newValue.length, 1);
+    assert.equal(res.body.timeEntries.length, 1);
+  });
+
+  it("404s for an entry the task doesn't have", async () => {
+    const { user, api } = await createUser();
+    const task = await withEntries(user, 30);
+
+    const res = await api.put(`/tasks/${task.id}/time-entries/60d0fe4f5311236168a109ca`).send({ note: "x" }).expect(404);
+
+    assert.equal(res.body.code, "time_entry_not_found");
+    await api.delete(`/tasks/${task.id}/time-entries/60d0fe4f5311236168a109ca`).expect(404);
+  });
+
+  it("refuses entries longer than a day, starting in the future or with a bad ID", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    await api.post(`/tasks/${task.id}/time-entries`).send({ minutes: 24 * 60 + 1 }).expect(400);
+    await api.post(`/tasks/${task.id}/time-entries`).send({ minutes: 10, startedAt: daysFromNow(1) }).expect(400);
+    const res = await api.put(`/tasks/${task.id}/time-entries/nope`).send({ note: "x" }).expect(400);
+
+    assert.equal(res.body.code, "invalid_id");
+    assert.equal(res.body.detail, "Time entry ID must be a valid MongoDB ObjectId");
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useDatabase } from "./helpers/db.js";
+import { createTasks, createUser, daysFromNow } from "./helpers/factories.js";
+
+useDatabase();
+
+const seed = (user) => createTasks(user, [
+  {
+    title: "Report, final",
+    description: 'Say "done"',
+    category: "Work",
+    priority: "High",
+    tags: ["client-a", "q4"],
+    deadline: new Date("2030-01-15T09:00:00Z"),
+    createdAt: new Date("2025-01-01T00:00:00Z"),
+  },
+  { title: "Milk", category: "Shopping", priority: "Low", deadline: null, completed: true },
+]);
+
+describe("GET /tasks/export", () => {
+  it("exports JSON by default", async () => {
+    const { user, api } = await createUser();
+    await seed(user);
+
+    const res = await api.get("/tasks/export").expect(200);
+
+    assert.equal(res.headers["content-type"], "application/json; charset=utf-8");
+    assert.equal(res.headers["content-disposition"], 'attachment; filename="tasks.json"');
+    assert.deepEqual(JSON.parse(res.text).map((task) => task.title).sort(), ["Milk", "Report, final"]);
+  });
+
+  it("exports CSV with quoting", async () => {
+    const { user, api } = await createUser();
+    const [report] = await seed(user);
+
+    const res = await api.get("/tasks/export").query({ format: "csv", category: "Work" }).expect(200);
+
+    assert.equal(res.headers["content-type"], "text/csv; charset=utf-8");
+    const [header, row, end] = res.text.split("\r\n");
+    assert.equal(header, "id,title,description,category,priority,deadline,completed,tags,createdAt,updatedAt");
+    assert.ok(row.startsWith(`${report.id},"Report, final","Say ""done""",Work,High,2030-01-15T09:00:00.000Z,false,"client-a,q4",2025-01-01T00:00:00.000Z,`));
+    assert.equal(end, "");
+  });
+
+  it("keeps spreadsheets from running cells as formulas", async () => {
+    const { user, api } = await createUser();
+    await createTasks(user, [{ title: '=HYPERLINK("http://evil.example","Open")', description: "-1", tags: ["@home"] }]);
+
+    const res = await api.get("/tasks/export").query({ format: "csv" }).expect(200);
+    const { api: other } = await createUser();
+    await other.post("/tasks/import").set("Content-Type", "text/csv").send(res.text).expect(200);
+
+    const [, row] = res.text.split("\r\n");
+    assert.ok(row.includes(`,"'=HYPERLINK(""http://evil.example"",""Open"")",'-1,`));
+    assert.ok(row.includes(",'@home,"));
+    const { body } = await other.get("/tasks").expect(200);
+    assert.equal(body.data[0].title, '=HYPERLINK("http://evil.example","Open")');
+    assert.equal(body.data[0].description, "-1");
+  });
+
+  it("exports an iCalendar to-do per task", async () => {
+    const { user, api } = await createUser();
+    const [report] = await seed(user);
+
+    const res = await api.get("/tasks/export").query({ format: "ics", completed: "false" }).expect(200);
+
+    assert.equal(res.headers["content-type"], "text/calendar; charset=utf-8");
+    const lines = res.text.split("\r\n");
+    assert.equal(lines.filter((line) => line === "BEGIN:VTODO").length, 1);
+    assert.ok(lines.includes(`UID:${report.id}@tg-crescentrating`));
+    assert.ok(lines.includes("SUMMARY:Report\\, final"));
+    assert.ok(lines.includes("CATEGORIES:Work,client-a,q4"));
+    assert.ok(lines.includes("PRIORITY:1"));
+    assert.ok(lines.includes("DUE:20300115T090000Z"));
+    assert.ok(lines.includes("STATUS:NEEDS-ACTION"));
+  });
+});
+
+describe("POST /tasks/import", () => {
+  it("imports what it exported", async () => {
+    const { user, api } = await createUser();
+    await seed(user);
+    const { text } = await api.get("/tasks/export").query({ format: "csv" }).expect(200);
+    const { api: other } = await createUser();
+
+    const res = await other.post("/tasks/import").set("Content-Type", "text/csv").send(text).expect(200);
+
+    assert.equal(res.body.format, "csv");
+    assert.equal(res.body.imported, 2);
+    const { body } = await other.get("/tasks?sortBy=title&sortOrder=asc").expect(200);
+    assert.deepEqual(
+      body.data.map(({ title, description, tags, completed }) => ({ title, description, tags, completed })),
+      [
+        { title: "Milk", description: "", tags: [], completed: true },
+        { title: "Report, final", description: 'Say "done"', tags: ["client-a", "q4"], completed: false },
+      ]
+    );
+  });
+
+  it("imports the good JSON records and reports the bad ones by row", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks/import").send([
+      { title: "Fine", category: "Work", priority: "Medium" },
+      { title: "Bad priority", category: "Work", priority: "Urgent" },
+      { title: "Late", category: "Work", priority: "Low", deadline: daysFromNow(-1).toISOString() },
+      { title: "Unknown category", category: "Gardening", priority: "Low" },
+    ]).expect(200);
+
+    assert.equal(res.body.format, "json");
+    assert.equal(res.body.total, 4);
+    assert.equal(res.body.imported, 1);
+    assert.equal(res.body.failed, 3);
+    assert.equal(res.body.taskIds.length, 1);
+    assert.deepEqual(res.body.errors.map((error) => error.row), [2, 3, 4]);
+    assert.deepEqual(res.body.errors[0].reasons, ['"priority" must be one of [Low, Medium, High]']);
+    assert.deepEqual(res.body.errors[2].reasons, ['Unknown category "Gardening"']);
+  });
+
+  it("takes a JSON body larger than other requests may send", async () => {
+    const { api } = await createUser();
+    const records = Array.from({ length: 200 }, (_, index) => ({
+      title: `Task ${index}`,
+      description: "x".repeat(1000),
+      category: "Work",
+      priority: "Medium",
+    }));
+
+    const res = await api.post("/tasks/import").send(records).expect(200);
+
+    assert.equal(res.body.imported, 200);
+  });
+
+  it("imports an iCalendar file", async () => {
+    const { api } = await createUser();
+    const ics = [
+      "BEGIN:VCALENDAR",
+      "BEGIN:VTODO",
+      "SUMMARY:Renew passport",
+      "CATEGORIES:Personal,travel",
+      "PRIORITY:9",
+      "DUE:20300301T120000Z",
+      "END:VTODO",
+      "END:VCALENDAR",
+    ].join("\r\n");
+
+    const res = await api.post("/tasks/import").set("Content-Type", "text/calendar").send(ics).expect(200);
+
+    assert.equal(res.body.format, "ics");
+    const { body: task } = await api.get(`/tasks/${res.body.taskIds[0]}`).expect(200);
+    assert.equal(task.title, "Renew passport");
+    assert.equal(task.category, "Personal");
+    assert.deepEqual(task.tags, ["travel"]);
+    assert.equal(task.priority, "Low");
+    assert.equal(task.deadline, "2030-03-01T12:00:00.000Z");
+  });
+
+  it("refuses a body it can't read", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks/import?format=json").send({ tasks: [] }).expect(400);
+
+    assert.equal(res.body.code, "unreadable_import");
+  });
+});
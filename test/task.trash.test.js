@@ -0,0 +1,169 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import TaskHistory from "../models/history.schema.js";
+import Task from "../models/task.schema.js";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createUser, daysFromNow, taskPayload } from "./helpers/factories.js";
+
+useDatabase();
+
+const mergePatch = (api, id, patch) => api.patch(`/tasks/${id}`)
+  .set("Content-Type", "application/merge-patch+json")
+  .send(JSON.stringify(patch))
+  .expect(200);
+
+describe("the trash", () => {
+  it("lists trashed tasks, most recently deleted first", async () => {
+    const { user, api } = await createUser();
+    await createTask(user, { title: "Kept" });
+    await createTask(user, { title: "Older", deletedAt: daysFromNow(-2) });
+    await createTask(user, { title: "Newer", deletedAt: daysFromNow(-1) });
+
+    const res = await api.get("/tasks/trash").expect(200);
+
+    assert.deepEqual(res.body.map((task) => task.title), ["Newer", "Older"]);
+  });
+
+  it("restores a trashed task", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user, { deletedAt: new Date() });
+
+    const res = await api.post(`/tasks/${task.id}/restore`).expect(200);
+
+    assert.equal(res.body.deletedAt, null);
+    await api.get(`/tasks/${task.id}`).expect(200);
+  });
+
+  it("only restores tasks that are in the trash", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const res = await api.post(`/tasks/${task.id}/restore`).expect(404);
+
+    assert.equal(res.body.detail, "No trashed task found with the provided ID");
+  });
+
+  it("deletes a task for good, trashed or not", async () => {
+    const { user, api } = await createUser();
+    const live = await createTask(user, { title: "Live" });
+    const trashed = await createTask(user, { title: "Trashed", deletedAt: new Date() });
+
+    const first = await api.delete(`/tasks/${live.id}/permanent`).expect(200);
+    const second = await api.delete(`/tasks/${trashed.id}/permanent`).expect(200);
+
+    assert.equal(first.body.message, "Task permanently deleted");
+    assert.equal(first.body.deletedTask.title, "Live");
+    assert.equal(second.body.deletedTask.title, "Trashed");
+    await api.post(`/tasks/${trashed.id}/restore`).expect(404);
+    assert.deepEqual((await api.get("/tasks/trash").expect(200)).body, []);
+  });
+
+  it("deletes the history of tasks deleted for good", async () => {
+    const { api } = await createUser();
+    const { body: destroyed } = await api.post("/tasks").send(taskPayload()).expect(201);
+    const { body: purged } = await api.post("/tasks").send(taskPayload()).expect(201);
+    await api.delete(`/tasks/${purged._id}`).expect(200);
+
+    await api.delete(`/tasks/${destroyed._id}/permanent`).expect(200);
+    await api.delete("/tasks/trash").expect(200);
+
+    assert.equal(await TaskHistory.countDocuments({ task: { $in: [destroyed._id, purged._id] } }), 0);
+  });
+
+  it("empties the trash, or only what was deleted long enough ago", async () => {
+    const { user, api } = await createUser();
+    const { user: other, api: otherApi } = await createUser();
+    await createTask(user, { deletedAt: daysFromNow(-10) });
+    await createTask(user, { deletedAt: daysFromNow(-1) });
+    await createTask(user);
+    await createTask(other, { deletedAt: daysFromNow(-10) });
+
+    const old = await api.delete("/tasks/trash").query({ olderThanDays: 7 }).expect(200);
+    const rest = await api.delete("/tasks/trash").expect(200);
+
+    assert.deepEqual(old.body, { message: "Trash emptied", purged: 1 });
+    assert.equal(rest.body.purged, 1);
+    assert.equal((await api.get("/tasks").expect(200)).body.total, 1);
+    assert.equal((await otherApi.get("/tasks/trash").expect(200)).body.length, 1);
+  });
+});
+
+describe("task history", () => {
+  it("records each change with the fields it touched, newest first", async () => {
+    const { user, api } = await createUser();
+    const { body: task } = await api.post("/tasks").send(taskPayload({ title: "First" })).expect(201);
+    await mergePatch(api, task._id, { title: "Second" });
+    await api.delete(`/tasks/${task._id}`).expect(200);
+
+    const res = await api.get(`/tasks/${task._id}/history`).expect(200);
+
+    assert.deepEqual(res.body.map((entry) => [entry.revision, entry.action]), [[3, "delete"], [2, "update"], [1, "create"]]);
+    assert.deepEqual(res.body[1].changes, [{ field: "title", oldValue: "First", newValue: "Second" }]);
+    assert.equal(res.body[0].actor.email, user.email);
+    assert.equal(res.body[0].snapshot, undefined);
+  });
+
+  it("gives concurrent changes consecutive revisions", async () => {
+    const { api } = await createUser();
+    const { body: task } = await api.post("/tasks").send(taskPayload()).expect(201);
+
+    // Bulk updates write without a version check, so these all go through.
+    const results = await Promise.all(["a", "b", "c", "d"].map((tag) => api.post("/tasks/bulk").send({
+      operations: [{ op: "update", id: task._id, data: { tags: [tag] } }],
+    }).expect(200)));
+
+    assert.ok(results.every((res) => res.body.summary.succeeded === 1));
+    const { body: history } = await api.get(`/tasks/${task._id}/history`).expect(200);
+    assert.deepEqual(history.map((entry) => entry.revision), [5, 4, 3, 2, 1]);
+  });
+
+  it("404s for a task that isn't the caller's", async () => {
+    const { user } = await createUser();
+    const { api } = await createUser();
+    const task = await createTask(user);
+
+    await api.get(`/tasks/${task.id}/history`).expect(404);
+  });
+
+  it("reverts the task to an earlier revision and records the revert", async () => {
+    const { api } = await createUser();
+    const { body: task } = await api.post("/tasks").send(taskPayload({ title: "First", priority: "Low" })).expect(201);
+    await mergePatch(api, task._id, { title: "Second", priority: "High" });
+
+    const res = await api.post(`/tasks/${task._id}/revert`).send({ revision: 1 }).expect(200);
+
+    assert.equal(res.body.title, "First");
+    assert.equal(res.body.priority, "Low");
+    const { body: history } = await api.get(`/tasks/${task._id}/history`).expect(200);
+    assert.equal(history[0].action, "revert");
+    assert.equal(history[0].revertedTo, 1);
+  });
+
+  it("records and reverts reminder changes, but not when they were sent", async () => {
+    const { api } = await createUser();
+    const { body: task } = await api.post("/tasks").send(taskPayload({ reminders: [{ offset: "1d" }] })).expect(201);
+    const sentAt = new Date();
+    await Task.updateOne({ _id: task._id }, { $set: { "reminders.0.sentAt": sentAt } });
+    await mergePatch(api, task._id, { reminders: [{ offset: "1d" }, { offset: "2h", channels: ["email"] }] });
+
+    const { body: history } = await api.get(`/tasks/${task._id}/history`).expect(200);
+    const res = await api.post(`/tasks/${task._id}/revert`).send({ revision: 1 }).expect(200);
+
+    assert.deepEqual(history[0].changes, [{
+      field: "reminders",
+      oldValue: [{ offset: "1d" }],
+      newValue: [{ offset: "1d" }, { offset: "2h", channels: ["email"] }],
+    }]);
+    assert.deepEqual(res.body.reminders.map(({ offset }) => offset), ["1d"]);
+    assert.equal(res.body.reminders[0].sentAt, sentAt.toISOString());
+  });
+
+  it("404s for a revision that doesn't exist", async () => {
+    const { api } = await createUser();
+    const { body: task } = await api.post("/tasks").send(taskPayload()).expect(201);
+
+    const res = await api.post(`/tasks/${task._id}/revert`).send({ revision: 5 }).expect(404);
+
+    assert.equal(res.body.code, "revision_not_found");
+  });
+});
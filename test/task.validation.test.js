@@ -0,0 +1,193 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { useDatabase } from "./helpers/db.js";
+import { createTask, createUser, daysFromNow, taskPayload } from "./helpers/factories.js";
+
+useDatabase();
+
+// The fields a validation_failed problem names, in order.
+const fields = (res) => res.body.errors.map((error) => error.field);
+
+describe("request body validation", () => {
+  it("lists every invalid field of a new task", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks").send({ description: 42, priority: "Urgent" }).expect(400);
+
+    assert.equal(res.headers["content-type"], "application/problem+json; charset=utf-8");
+    assert.equal(res.body.code, "validation_failed");
+    assert.equal(res.body.type, "urn:task-api:problem:validation_failed");
+    assert.equal(res.body.status, 400);
+    assert.ok(res.body.requestId);
+    assert.deepEqual(fields(res).sort(), ["category", "description", "priority", "title"]);
+    assert.deepEqual(res.body.errors.find((error) => error.field === "title").code, "any.required");
+  });
+
+  it("refuses a deadline in the past", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks").send(taskPayload({ deadline: daysFromNow(-1).toISOString() })).expect(400);
+
+    assert.deepEqual(fields(res), ["deadline"]);
+  });
+
+  it("refuses tags with commas and tags repeated in another case", async () => {
+    const { api } = await createUser();
+
+    const commas = await api.post("/tasks").send(taskPayload({ tags: ["a,b"] })).expect(400);
+    const repeated = await api.post("/tasks").send(taskPayload({ tags: ["urgent", "URGENT"] })).expect(400);
+
+    assert.deepEqual(fields(commas), ["tags.0"]);
+    assert.deepEqual(fields(repeated), ["tags.1"]);
+  });
+
+  it("refuses fields the API doesn't know or set itself", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks").send(taskPayload({ owner: "60d0fe4f5311236168a109aa" })).expect(400);
+
+    assert.deepEqual(fields(res), ["owner"]);
+  });
+
+  it("needs a deadline for a recurring task", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks")
+      .send(taskPayload({ deadline: undefined, recurrence: { frequency: "weekly" } }))
+      .expect(400);
+
+    assert.deepEqual(fields(res), ["deadline"]);
+  });
+
+  it("needs every required field for a PUT", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const res = await api.put(`/tasks/${task.id}`).send({ title: "Only a title" }).expect(400);
+
+    assert.deepEqual(fields(res).sort(), ["category", "priority"]);
+  });
+
+  it("reports malformed JSON", async () => {
+    const { api } = await createUser();
+
+    const res = await api.post("/tasks").set("Content-Type", "application/json").send('{"title": ').expect(400);
+
+    assert.equal(res.body.code, "invalid_json");
+  });
+
+  it("checks the bodies of the checklist, blocker and revert routes", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const checklist = await api.post(`/tasks/${task.id}/checklist`).send({ text: "  " }).expect(400);
+    const reorder = await api.put(`/tasks/${task.id}/checklist/reorder`).send({ itemIds: ["nope"] }).expect(400);
+    const blocker = await api.post(`/tasks/${task.id}/blockers`).send({}).expect(400);
+    const revert = await api.post(`/tasks/${task.id}/revert`).send({ revision: 0 }).expect(400);
+
+    assert.deepEqual(fields(checklist), ["text"]);
+    assert.deepEqual(fields(reorder), ["itemIds.0"]);
+    assert.deepEqual(fields(blocker), ["taskId"]);
+    assert.deepEqual(fields(revert), ["revision"]);
+  });
+
+  it("takes either bulk operations or a filter with a patch", async () => {
+    const { api } = await createUser();
+
+    const both = await api.post("/tasks/bulk")
+      .send({ operations: [{ op: "delete", id: "60d0fe4f5311236168a109ca" }], filter: {}, patch: {} })
+      .expect(400);
+    const noPatch = await api.post("/tasks/bulk").send({ filter: { category: "Work" } }).expect(400);
+    const badOp = await api.post("/tasks/bulk").send({ operations: [{ op: "create" }] }).expect(400);
+
+    assert.equal(both.body.code, "validation_failed");
+    assert.equal(noPatch.body.code, "validation_failed");
+    assert.deepEqual(fields(badOp), ["operations.0.data"]);
+  });
+});
+
+describe("query string validation", () => {
+  const invalid = {
+    "a sortBy that isn't a field": [{ sortBy: "owner" }, ["sortBy"]],
+    "an unknown sortOrder": [{ sortOrder: "up" }, ["sortOrder"]],
+    "a limit above 100": [{ limit: "500" }, ["limit"]],
+    "a limit of 0": [{ limit: "0" }, ["limit"]],
+    "a page of 0": [{ page: "0" }, ["page"]],
+    "a completed that isn't a boolean": [{ completed: "maybe" }, ["completed"]],
+    "a priority that doesn't exist": [{ priority: "Urgent" }, ["priority"]],
+    "a deadlineFrom that isn't ISO 8601": [{ deadlineFrom: "next tuesday" }, ["deadlineFrom"]],
+    "an unknown tagMatch": [{ tagMatch: "some" }, ["tagMatch"]],
+    "a parameter GET /tasks doesn't take": [{ colour: "red" }, ["colour"]],
+    "several bad parameters at once": [{ limit: "abc", sortBy: "owner" }, ["sortBy", "limit"]],
+  };
+  for (const [name, [query, expected]] of Object.entries(invalid)) {
+    it(`refuses ${name}`, async () => {
+      const { api } = await createUser();
+
+      const res = await api.get("/tasks").query(query).expect(400);
+
+      assert.equal(res.body.code, "validation_failed");
+      assert.equal(res.body.detail, "The query string has invalid parameters");
+      assert.deepEqual(fields(res).sort(), expected.sort());
+    });
+  }
+
+  it("checks the parameters of the other task routes", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const stats = await api.get("/tasks/stats").query({ interval: "year" }).expect(400);
+    const exported = await api.get("/tasks/export").query({ format: "xml" }).expect(400);
+    const imported = await api.post("/tasks/import?format=xml").send([]).expect(400);
+    const trash = await api.delete("/tasks/trash").query({ olderThanDays: "-1" }).expect(400);
+    const occurrences = await api.get(`/tasks/${task.id}/occurrences`).query({ count: "99" }).expect(400);
+
+    assert.deepEqual(fields(stats), ["interval"]);
+    assert.deepEqual(fields(exported), ["format"]);
+    assert.deepEqual(fields(imported), ["format"]);
+    assert.deepEqual(fields(trash), ["olderThanDays"]);
+    assert.deepEqual(fields(occurrences), ["count"]);
+  });
+});
+
+describe("route param validation", () => {
+  it("refuses a task ID that isn't an ObjectId on every task route", async () => {
+    const { api } = await createUser();
+    const requests = [
+      api.get("/tasks/nope"),
+      api.put("/tasks/nope").send(taskPayload()),
+      api.patch("/tasks/nope").set("Content-Type", "application/merge-patch+json").send("{}"),
+      api.delete("/tasks/nope"),
+      api.post("/tasks/nope/restore"),
+      api.delete("/tasks/nope/permanent"),
+      api.get("/tasks/nope/history"),
+      api.post("/tasks/nope/revert").send({ revision: 1 }),
+      api.get("/tasks/nope/occurrences"),
+      api.get("/tasks/nope/graph"),
+      api.post("/tasks/nope/checklist").send({ text: "Step" }),
+      api.put("/tasks/nope/checklist/reorder").send({ itemIds: ["60d0fe4f5311236168a109ca"] }),
+      api.post("/tasks/nope/blockers").send({ taskId: "60d0fe4f5311236168a109ca" }),
+    ];
+
+    for (const req of requests) {
+      const res = await req.expect(400);
+      assert.equal(res.body.code, "invalid_id");
+      assert.deepEqual(res.body.errors, [{
+        field: "id",
+        message: "Task ID must be a valid MongoDB ObjectId",
+        code: "string.pattern.base",
+      }]);
+    }
+  });
+
+  it("names the checklist item and blocker IDs", async () => {
+    const { user, api } = await createUser();
+    const task = await createTask(user);
+
+    const item = await api.put(`/tasks/${task.id}/checklist/nope`).send({ done: true }).expect(400);
+    const blocker = await api.delete(`/tasks/${task.id}/blockers/nope`).expect(400);
+
+    assert.equal(item.body.detail, "Checklist item ID must be a valid MongoDB ObjectId");
+    assert.equal(blocker.body.detail, "Blocker ID must be a valid MongoDB ObjectId");
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { useDatabase } from "./helpers/db.js";
+import { createUser } from "./helpers/factories.js";
+
+useDatabase();
+
+// Subscribes the caller to task.created at `url` and pings it.
+const ping = async (api, url) => {
+  const { body: webhook } = await api.post("/webhooks").send({ url, events: ["task.created"] }).expect(201);
+  const res = await api.post(`/webhooks/${webhook.id}/ping`).expect(200);
+  return { webhook, delivery: res.body };
+};
+
+describe("webhook deliveries", () => {
+  it("refuses loopback, private and link-local receivers and logs the deliveries as failed", async () => {
+    const { api } = await createUser();
+
+    for (const url of [
+      "http://127.0.0.1:9/hooks",
+      "http://localhost:9/hooks",
+      "http://[::1]:9/hooks",
+      "http://10.0.0.1/hooks",
+      "http://192.168.1.20/hooks",
+      "http://169.254.169.254/latest/meta-data",
+    ]) {
+      const { webhook, delivery } = await ping(api, url);
+      const { body: deliveries } = await api.get(`/webhooks/${webhook.id}/deliveries`).expect(200);
+
+      assert.equal(delivery.status, "failed", url);
+      assert.match(delivery.attempts[0].error, /resolves to a private or reserved address$/, url);
+      assert.equal(delivery.attempts[0].statusCode, null, url);
+      assert.deepEqual(deliveries.map(({ status }) => status), ["failed"], url);
+    }
+  });
+
+  it("delivers to a receiver WEBHOOK_ALLOWED_HOSTS lets through", async () => {
+    const server = http.createServer((req, res) => res.end());
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.0/8";
+    const { api } = await createUser();
+
+    try {
+      const { delivery } = await ping(api, `http://127.0.0.1:${server.address().port}/hooks`);
+
+      assert.equal(delivery.status, "succeeded");
+      assert.equal(delivery.attempts[0].statusCode, 200);
+    } finally {
+      delete process.env.WEBHOOK_ALLOWED_HOSTS;
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,9 @@
+import Joi from "joi";
+import { idParams } from "./common.validator.js";
+
+export const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  rateLimit: Joi.number().integer().min(1).max(10000).allow(null),
+});
+
+export const apiKeyParamsSchema = idParams({ id: "API key ID" });
@@ -0,0 +1,25 @@
+import Joi from "joi";
+import { idParams } from "./common.validator.js";
+
+const color = Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).messages({
+  "string.pattern.base": "{{#label}} must be a hex color like #1E88E5",
+});
+
+export const createCategorySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  color,
+  icon: Joi.string().trim().max(50).allow(null, ""),
+});
+
+export const updateCategorySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50),
+  color,
+  icon: Joi.string().trim().max(50).allow(null, ""),
+}).min(1);
+
+export const categoryParamsSchema = idParams({ id: "Category ID" });
+
+// Tasks in a category being deleted can be moved to another one first.
+export const deleteCategoryQuerySchema = Joi.object({
+  reassignTo: Joi.string().trim().min(1),
+});
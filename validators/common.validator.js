@@ -0,0 +1,12 @@
+import Joi from "joi";
+
+// A MongoDB ObjectId, written as its 24 hex digits.
+export const objectId = () => Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+  "string.pattern.base": "{{#label}} must be a valid MongoDB ObjectId",
+});
+
+// Route params that are all ObjectIds, given as `{ param: label }`. The labels
+// name them in error messages, e.g. "Task ID must be a valid MongoDB ObjectId".
+export const idParams = (labels) => Joi.object(
+  Object.fromEntries(Object.entries(labels).map(([param, label]) => [param, objectId().required().label(label)]))
+).prefs({ errors: { wrap: { label: false } } });
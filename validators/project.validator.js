@@ -0,0 +1,28 @@
+import Joi from "joi";
+import { idParams } from "./common.validator.js";
+import { PROJECT_ROLES } from "../models/project.schema.js";
+
+const role = Joi.string().valid(...PROJECT_ROLES);
+
+export const createProjectSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow(""),
+});
+
+export const updateProjectSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow(""),
+}).min(1);
+
+// Members are added by the email they registered with.
+export const addMemberSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: role.required(),
+});
+
+export const updateMemberSchema = Joi.object({
+  role: role.required(),
+});
+
+export const projectParamsSchema = idParams({ id: "Project ID" });
+export const memberParamsSchema = idParams({ id: "Project ID", userId: "User ID" });
@@ -1,18 +1,262 @@
 import Joi from "joi";
+import { objectId, idParams } from "./common.validator.js";
+import {
+  REMINDER_CHANNELS,
+  REMINDER_OFFSET_PATTERN,
+  MAX_REMINDER_OFFSET_MS,
+  reminderOffsetMs,
+} from "../models/task.schema.js";
+
+export const checklistItemSchema = Joi.object({
+  text: Joi.string().trim().min(1).required(),
+  done: Joi.boolean(),
+});
+
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid("daily", "weekly", "monthly", "yearly").required(),
+  interval: Joi.number().integer().min(1).max(365),
+  until: Joi.date().allow(null),
+  count: Joi.number().integer().min(1).allow(null),
+}).oxor("until", "count", { isPresent: (value) => value !== undefined && value !== null });
+
+const reminderSchema = Joi.object({
+  offset: Joi.string()
+    .pattern(REMINDER_OFFSET_PATTERN)
+    .custom((value, helpers) => (
+      reminderOffsetMs(value) > MAX_REMINDER_OFFSET_MS ? helpers.error("any.invalid") : value
+    ))
+    .required()
+    .messages({
+      "string.pattern.base": "{{#label}} must be a number followed by m, h, d or w, like \"1d\"",
+      "any.invalid": "{{#label}} can be at most 4 weeks",
+    }),
+  channels: Joi.array().items(Joi.string().valid(...REMINDER_CHANNELS)).min(1).unique(),
+});
+
+// Tags are stored lowercase, so "Urgent" and "urgent" count as the same tag.
+// Commas are reserved for separating tags in ?tags= and CSV files.
+const tagsSchema = Joi.array()
+  .items(Joi.string().trim().min(1).max(50).pattern(/^[^,]+$/).messages({
+    "string.pattern.base": "{{#label}} must not contain commas",
+  }))
+  .max(20)
+  .unique((a, b) => a.trim().toLowerCase() === b.trim().toLowerCase());
+
+const remindersSchema = Joi.array().items(reminderSchema).max(10).unique("offset");
+
+// In minutes.
+const estimateSchema = Joi.number().integer().min(1).allow(null);
 
 export const createTaskSchema = Joi.object({
   title: Joi.string().min(1).required(),
   description: Joi.string().allow(""),
-  category: Joi.string().valid("Work", "Personal", "Shopping", "Health", "Education", "Other").required(),
+  category: Joi.string().trim().min(1).max(50).required(),
+  tags: tagsSchema,
   priority: Joi.string().valid("Low", "Medium", "High").required(),
-  deadline: Joi.date().greater("now").allow(null),
+  deadline: Joi.date().greater("now").allow(null).when("recurrence", {
+    is: Joi.object().required(),
+    then: Joi.date().greater("now").required(),
+  }),
+  checklist: Joi.array().items(checklistItemSchema),
+  autoComplete: Joi.boolean(),
+  estimate: estimateSchema,
+  recurrence: recurrenceSchema.allow(null),
+  reminders: remindersSchema,
+  project: objectId().allow(null),
+});
+
+// PUT replaces a task's editable fields as a whole, so it takes what a new
+// task does, plus `completed`. Fields left out go back to their defaults. A
+// PATCHed task is checked the same way. Either can keep a deadline that has
+// already passed, as long as it's the task's current one: validate with it
+// as `$deadline`.
+export const replaceTaskSchema = createTaskSchema.keys({
+  completed: Joi.boolean(),
+  deadline: Joi.alternatives(
+    Joi.date().greater("now"),
+    Joi.date().valid(Joi.ref("$deadline"))
+  )
+    .allow(null)
+    .messages({
+      "alternatives.match": "{{#label}} must be a date in the future",
+      "alternatives.types": "{{#label}} must be a date in the future",
+      "any.invalid": "{{#label}} is required for recurring tasks",
+    })
+    .when("recurrence", { is: Joi.object().required(), then: Joi.required().invalid(null) }),
 });
 
 export const updateTaskSchema = Joi.object({
   title: Joi.string().min(1),
   description: Joi.string().allow(""),
-  category: Joi.string().valid("Work", "Personal", "Shopping", "Health", "Education", "Other"),
+  category: Joi.string().trim().min(1).max(50),
+  tags: tagsSchema,
   priority: Joi.string().valid("Low", "Medium", "High"),
   deadline: Joi.date().greater("now").allow(null),
   completed: Joi.boolean(),
+  autoComplete: Joi.boolean(),
+  estimate: estimateSchema,
+  recurrence: recurrenceSchema.allow(null),
+  reminders: remindersSchema,
+});
+
+export const updateChecklistItemSchema = Joi.object({
+  text: Joi.string().trim().min(1),
+  done: Joi.boolean(),
+}).min(1);
+
+export const reorderChecklistSchema = Joi.object({
+  itemIds: Joi.array().items(objectId()).min(1).unique().required(),
+});
+
+// A time entry made by hand is at most a day long. Without `startedAt` it
+// ends now.
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+export const timeEntrySchema = Joi.object({
+  minutes: Joi.number().integer().min(1).max(MAX_ENTRY_MINUTES).required(),
+  startedAt: Joi.date().max("now"),
+  note: Joi.string().trim().max(500).allow(""),
+});
+
+export const updateTimeEntrySchema = Joi.object({
+  minutes: Joi.number().integer().min(1).max(MAX_ENTRY_MINUTES),
+  startedAt: Joi.date().max("now"),
+  note: Joi.string().trim().max(500).allow(""),
+}).min(1);
+
+export const blockerSchema = Joi.object({
+  taskId: objectId().required(),
+});
+
+export const revertTaskSchema = Joi.object({
+  revision: Joi.number().integer().min(1).required(),
+});
+
+export const BULK_LIMIT = 500;
+
+// Item payloads are checked against createTaskSchema/updateTaskSchema one by
+// one in the controller, so a bad item is reported instead of failing the batch.
+export const bulkTaskSchema = Joi.object({
+  operations: Joi.array().items(Joi.object({
+    op: Joi.string().valid("create", "update", "delete").required(),
+    id: objectId().when("op", {
+      is: "create",
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
+    data: Joi.object().when("op", {
+      is: "delete",
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
+  })).min(1).max(BULK_LIMIT),
+  filter: Joi.object({
+    category: Joi.string(),
+    tags: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())),
+    tagMatch: Joi.string().valid("any", "all"),
+    filter: Joi.alternatives(Joi.string(), Joi.object()),
+    priority: Joi.string(),
+    completed: Joi.boolean(),
+    blocked: Joi.boolean(),
+    deadlineFrom: Joi.date(),
+    deadlineTo: Joi.date(),
+    q: Joi.string(),
+  }),
+  patch: Joi.object(),
+  atomic: Joi.boolean(),
+}).xor("operations", "filter").and("filter", "patch");
+
+export const IMPORT_LIMIT = 1000;
+
+// Imported records may also carry their completion state.
+export const importTaskSchema = createTaskSchema.keys({
+  completed: Joi.boolean(),
+});
+
+export const SORT_FIELDS = ["createdAt", "updatedAt", "deadline", "priority", "title", "relevance"];
+
+// Only the shape is checked here; the filter service validates `filter`
+// itself and `fields` against its whitelist.
+export const searchTaskSchema = Joi.object({
+  filter: Joi.alternatives(Joi.string(), Joi.object()),
+  fields: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()).min(1)),
+  q: Joi.string(),
+  category: Joi.string(),
+  tags: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())),
+  tagMatch: Joi.string().valid("any", "all"),
+  priority: Joi.string(),
+  completed: Joi.boolean(),
+  blocked: Joi.boolean(),
+  deadlineFrom: Joi.date(),
+  deadlineTo: Joi.date(),
+  sortBy: Joi.string().valid(...SORT_FIELDS),
+  sortOrder: Joi.string().valid("asc", "desc"),
+  limit: Joi.number().integer().min(1),
+  page: Joi.number().integer().min(1),
+  after: Joi.string(),
+});
+
+export const taskParamsSchema = idParams({ id: "Task ID" });
+export const checklistItemParamsSchema = idParams({ id: "Task ID", itemId: "Checklist item ID" });
+export const blockerParamsSchema = idParams({ id: "Task ID", blockerId: "Blocker ID" });
+export const timeEntryParamsSchema = idParams({ id: "Task ID", entryId: "Time entry ID" });
+
+// The list filters of GET /tasks, which its stats and export take too. Query
+// string values arrive as strings, or as arrays when a parameter is repeated;
+// validate() hands the converted values on.
+const filterQuery = {
+  category: Joi.string(),
+  tags: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())),
+  tagMatch: Joi.string().valid("any", "all"),
+  priority: Joi.string().valid("Low", "Medium", "High"),
+  completed: Joi.boolean(),
+  blocked: Joi.boolean(),
+  deadlineFrom: Joi.date().iso(),
+  deadlineTo: Joi.date().iso(),
+  q: Joi.string(),
+  filter: Joi.string(),
+};
+
+export const listTasksQuerySchema = Joi.object({
+  ...filterQuery,
+  fields: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())),
+  sortBy: Joi.string().valid(...SORT_FIELDS),
+  sortOrder: Joi.string().valid("asc", "desc"),
+  limit: Joi.number().integer().min(1).max(100),
+  page: Joi.number().integer().min(1),
+  after: Joi.string(),
+});
+
+export const statsQuerySchema = Joi.object({
+  ...filterQuery,
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  interval: Joi.string().valid("day", "week", "month").default("day"),
+});
+
+const FILE_FORMATS = ["csv", "json", "ics"];
+
+export const exportQuerySchema = Joi.object({
+  ...filterQuery,
+  format: Joi.string().valid(...FILE_FORMATS).default("json"),
+});
+
+// Without a format, the importer goes by the Content-Type.
+export const importQuerySchema = Joi.object({
+  format: Joi.string().valid(...FILE_FORMATS),
+});
+
+export const emptyTrashQuerySchema = Joi.object({
+  olderThanDays: Joi.number().integer().min(0).default(0),
+});
+
+export const occurrencesQuerySchema = Joi.object({
+  count: Joi.number().integer().min(1).max(50).default(5),
+});
+
+// Priorities may be comma-separated; the stream service checks them.
+export const streamQuerySchema = Joi.object({
+  category: Joi.string(),
+  priority: Joi.string(),
+  lastEventId: Joi.string(),
 });
@@ -0,0 +1,47 @@
+import Joi from "joi";
+import { objectId } from "./common.validator.js";
+import { searchTaskSchema, SORT_FIELDS } from "./task.validator.js";
+import { SMART_LIST_IDS } from "../services/view.service.js";
+
+// The POST /tasks/search parameters without the page position. Lists are
+// stored as arrays, so they can't be given as comma-separated strings here.
+const querySchema = searchTaskSchema.keys({
+  tags: Joi.array().items(Joi.string()),
+  fields: Joi.array().items(Joi.string()).min(1),
+  sortBy: Joi.string().valid(...SORT_FIELDS).when("q", {
+    is: Joi.exist(),
+    otherwise: Joi.invalid("relevance").messages({
+      "any.only": "{{#label}} must be one of {{#valids}}; it can only be relevance when q is set",
+    }),
+  }),
+  limit: Joi.number().integer().min(1).max(100),
+  page: Joi.forbidden(),
+  after: Joi.forbidden(),
+});
+
+export const createViewSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow(""),
+  query: querySchema,
+});
+
+export const updateViewSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow(""),
+  query: querySchema,
+}).min(1);
+
+// Views are addressed by ID, or by name for the smart lists.
+export const viewParamsSchema = Joi.object({
+  id: Joi.alternatives(objectId(), Joi.string().valid(...SMART_LIST_IDS))
+    .required()
+    .label("View ID")
+    .messages({ "alternatives.match": "{{#label}} must be a valid MongoDB ObjectId or a smart list name" }),
+}).prefs({ errors: { wrap: { label: false } } });
+
+// A view's own page size can be overridden when running it.
+export const viewTasksQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  after: Joi.string(),
+  limit: Joi.number().integer().min(1).max(100),
+});
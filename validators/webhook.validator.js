@@ -0,0 +1,31 @@
+import Joi from "joi";
+import { idParams } from "./common.validator.js";
+import { WEBHOOK_EVENTS } from "../models/webhook.schema.js";
+import { DELIVERY_STATUSES } from "../models/delivery.schema.js";
+
+const url = Joi.string().uri({ scheme: ["http", "https"] });
+const events = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique();
+const secret = Joi.string().min(16).max(256);
+
+export const createWebhookSchema = Joi.object({
+  url: url.required(),
+  events: events.required(),
+  description: Joi.string().max(500).allow(""),
+  secret,
+  active: Joi.boolean(),
+});
+
+export const updateWebhookSchema = Joi.object({
+  url,
+  events,
+  description: Joi.string().max(500).allow(""),
+  secret,
+  active: Joi.boolean(),
+}).min(1);
+
+export const webhookParamsSchema = idParams({ id: "Webhook ID" });
+
+export const deliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid(...DELIVERY_STATUSES),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});